@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest'
+import http from 'http'
+import sharp from 'sharp'
+import { validateStreamSource } from '../config.js'
+import CoopcamRelayProxy from '../coopcamRelayProxy.js'
+
+describe('relay source config', () => {
+  const relay = (overrides) => ({ id: 'coop1', name: 'Coop', type: 'coopcam-relay', url: 'https://pi.example.com', ...overrides })
+
+  it('should accept a remote instance base url with a token', () => {
+    expect(validateStreamSource(relay({ remoteSourceId: 'coop2', token: 's3cret' }))).toMatchObject({ type: 'coopcam-relay' })
+  })
+
+  it('should reject stream urls, bad remote ids and token plus auth', () => {
+    expect(() => validateStreamSource(relay({ url: 'https://pi.example.com/api/stream/coop1' }))).toThrow(/base url/)
+    expect(() => validateStreamSource(relay({ remoteSourceId: '../admin' }))).toThrow(/remoteSourceId/)
+    expect(() => validateStreamSource(relay({ token: 't', auth: { username: 'a', password: 'b' } }))).toThrow(/token or auth/)
+  })
+})
+
+describe('CoopcamRelayProxy', () => {
+  let frame
+  let server
+  let proxy
+  let requests
+  let sendEvent
+
+  beforeAll(async () => {
+    frame = await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 40, g: 120, b: 40 } } })
+      .jpeg()
+      .toBuffer()
+  })
+
+  //stands in for the remote coop-cam instance
+  const startRemote = () => new Promise(resolve => {
+    requests = []
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization })
+      if (req.url === '/api/stream/coop2') {
+        res.writeHead(200, { 'Content-Type': 'multipart/x-mixed-replace; boundary=frame' })
+        res.write(Buffer.concat([Buffer.from('--frame\r\nContent-Type: image/jpeg\r\n\r\n'), frame, Buffer.from('\r\n')]))
+      } else if (req.url === '/api/events/motion') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        res.write(`data: ${JSON.stringify({ type: 'connected', timestamp: Date.now() })}\n\n`)
+        sendEvent = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`)
+      } else {
+        res.writeHead(404).end()
+      }
+    })
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))
+  })
+
+  afterEach(async () => {
+    proxy?.disconnect()
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('should pull the remote stream and events with the api token', async () => {
+    const url = await startRemote()
+    proxy = new CoopcamRelayProxy(`${url}/`, { sourceId: 'coop1', remoteSourceId: 'coop2', token: 's3cret' })
+    const onFrame = vi.fn()
+    proxy.on('frame', onFrame)
+
+    await vi.waitFor(() => expect(onFrame).toHaveBeenCalled())
+    await vi.waitFor(() => expect(proxy.relayStats.eventsConnected).toBe(true))
+    expect(requests.map(request => request.url).sort()).toEqual(['/api/events/motion', '/api/stream/coop2'])
+    expect(requests.every(request => request.authorization === 'Bearer s3cret')).toBe(true)
+    expect(proxy.getStats()).toMatchObject({ sourceType: 'coopcam-relay', remoteSourceId: 'coop2', instanceUrl: url })
+  })
+
+  it('should mirror motion on the relayed camera under the local source id', async () => {
+    const url = await startRemote()
+    proxy = new CoopcamRelayProxy(url, { sourceId: 'coop1', remoteSourceId: 'coop2' })
+    const onMotion = vi.fn()
+    proxy.on('remote-motion', onMotion)
+    await vi.waitFor(() => expect(proxy.relayStats.eventsConnected).toBe(true))
+
+    sendEvent({ type: 'motion', sourceId: 'coop3', timestamp: 1700000000000, intensity: 9 })
+    sendEvent({ type: 'stream-stalled', sourceId: 'coop2', timestamp: 1700000000000 })
+    sendEvent({ type: 'motion', sourceId: 'coop2', timestamp: 1700000000000, intensity: '12.50' })
+
+    await vi.waitFor(() => expect(onMotion).toHaveBeenCalledTimes(1))
+    expect(onMotion.mock.calls[0][0]).toMatchObject({
+      sourceId: 'coop1',
+      relayedFrom: 'coop2',
+      intensity: '12.50',
+      timestamp: new Date(1700000000000).toISOString()
+    })
+    expect(proxy.relayStats.motionEvents).toBe(1)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import http from 'http'
+import sharp from 'sharp'
+import { validateStreamSource, validateDerivedParents } from '../config.js'
+import { createStreamManager } from '../services/streamManager.js'
+import DerivedProxy from '../derivedProxy.js'
+import MjpegProxy from '../mjpegProxy.js'
+
+//mock http so parent cameras never really connect
+vi.mock('http', () => ({
+  default: {
+    get: vi.fn()
+  }
+}))
+
+const NEST_BOX = { x: 0.5, y: 0.5, width: 0.5, height: 0.5 }
+
+describe('derived source config', () => {
+  it('should accept a crop of the parent frame and give it a placeholder url', () => {
+    const source = validateStreamSource({ id: 'nest', name: 'Nest box', type: 'derived', parent: 'coop1', crop: NEST_BOX })
+
+    expect(source.url).toBe('derived://coop1')
+  })
+
+  it('should reject crops outside the frame and bad parents', () => {
+    const derived = (overrides) => ({ id: 'nest', name: 'Nest box', type: 'derived', parent: 'coop1', crop: NEST_BOX, ...overrides })
+
+    expect(() => validateStreamSource(derived({ crop: { x: 0.6, y: 0, width: 0.5, height: 0.5 } }))).toThrow(/fits inside/)
+    expect(() => validateStreamSource(derived({ parent: 'nest' }))).toThrow(/own parent/)
+    expect(() => validateDerivedParents([validateStreamSource(derived())])).toThrow(/unknown parent/)
+    expect(() => validateDerivedParents([
+      { id: 'coop1', type: 'derived', parent: 'coop2' },
+      { id: 'coop2', type: 'mjpeg' },
+      validateStreamSource(derived())
+    ])).toThrow(/not another derived/)
+  })
+})
+
+describe('DerivedProxy', () => {
+  let frame
+  let parent
+
+  beforeAll(async () => {
+    frame = await sharp({ create: { width: 640, height: 360, channels: 3, background: { r: 40, g: 120, b: 40 } } })
+      .jpeg()
+      .toBuffer()
+  })
+
+  beforeEach(() => {
+    parent = new MjpegProxy('http://192.168.1.67:4747/video', { disableAutoConnect: true, sourceId: 'coop1' })
+  })
+
+  it('should crop and scale the parent frames into its own stream', async () => {
+    const derived = new DerivedProxy('derived://coop1', {
+      sourceId: 'nest',
+      parent: 'coop1',
+      crop: NEST_BOX,
+      outputWidth: 640,
+      resolveParent: () => parent
+    })
+    const onFrame = vi.fn()
+    derived.on('frame', onFrame)
+
+    parent.processFrame(frame)
+
+    await vi.waitFor(() => expect(onFrame).toHaveBeenCalledTimes(1))
+    const metadata = await sharp(onFrame.mock.calls[0][0]).metadata()
+    expect(metadata.width).toBe(640)
+    expect(metadata.height).toBe(360)
+    expect(derived.lastFrame).toBe(onFrame.mock.calls[0][0])
+    expect(derived.getStats()).toMatchObject({ sourceType: 'derived', parentId: 'coop1', cropStats: { framesCropped: 1 } })
+  })
+
+  it('should follow the parent connection state and let go of it on disconnect', () => {
+    const derived = new DerivedProxy('derived://coop1', { sourceId: 'nest', parent: 'coop1', crop: NEST_BOX, resolveParent: () => parent })
+
+    parent.emit('connected')
+    expect(derived.isConnected).toBe(true)
+
+    derived.disconnect()
+    expect(parent.listenerCount('clean-frame')).toBe(0)
+  })
+
+  it('should mirror the parent pause and stop cropping until it resumes', async () => {
+    const derived = new DerivedProxy('derived://coop1', { sourceId: 'nest', parent: 'coop1', crop: NEST_BOX, resolveParent: () => parent })
+    const onFrame = vi.fn()
+    derived.on('frame', onFrame)
+
+    await parent.pauseStream({ durationMs: 60000, slate: 'bedtime' })
+    parent.processFrame(frame)
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(onFrame).not.toHaveBeenCalled()
+    expect(derived.getPauseStatus()).toMatchObject({ isPaused: true, reason: 'parent', slate: 'bedtime', pauseEndTime: parent.pauseState.pauseEndTime })
+
+    parent.resumeStream()
+    expect(derived.pauseState.isPaused).toBe(false)
+    derived.disconnect()
+  })
+
+  it('should pause straight away when attached to an already paused parent', async () => {
+    await parent.pauseStream({ durationMs: 60000 })
+
+    const derived = new DerivedProxy('derived://coop1', { sourceId: 'nest', parent: 'coop1', crop: NEST_BOX, resolveParent: () => parent })
+
+    expect(derived.pauseState.isPaused).toBe(true)
+    parent.resumeStream()
+    derived.disconnect()
+  })
+})
+
+describe('StreamManager with derived sources', () => {
+  let streamManager
+
+  beforeEach(() => {
+    http.get.mockImplementation(() => {
+      const request = new EventEmitter()
+      request.setTimeout = vi.fn()
+      request.destroy = vi.fn()
+      return request
+    })
+    streamManager = createStreamManager({
+      config: {
+        streamSources: [
+          { id: 'coop1', name: 'Coop', url: 'http://192.168.1.67:4747/video', type: 'mjpeg', isDefault: true },
+          { id: 'coop2', name: 'Run', url: 'http://192.168.1.68:4747/video', type: 'mjpeg' },
+          { id: 'nest', name: 'Nest box', url: 'derived://coop2', type: 'derived', parent: 'coop2', crop: NEST_BOX }
+        ]
+      }
+    })
+  })
+
+  afterEach(() => {
+    streamManager.shutdown()
+    vi.clearAllMocks()
+  })
+
+  it('should share the parent camera connection', () => {
+    const derived = streamManager.getProxy('nest')
+
+    expect(derived).toBeInstanceOf(DerivedProxy)
+    expect(derived.parent).toBe(streamManager.getProxy('coop2'))
+    expect(http.get).toHaveBeenCalledTimes(1)
+  })
+
+  it('should re-attach derived views when the parent is rebuilt', () => {
+    const derived = streamManager.getProxy('nest')
+    const oldParent = derived.parent
+
+    streamManager.updateSource('coop2', { ...streamManager.getSourceConfig('coop2'), name: 'Run camera' })
+
+    expect(derived.parent).not.toBe(oldParent)
+    expect(derived.parent).toBe(streamManager.getProxy('coop2'))
+    expect(oldParent.listenerCount('clean-frame')).toBe(0)
+  })
+
+  it('should not remove a parent that still has derived views', () => {
+    expect(streamManager.getDerivedSourceIds('coop2')).toEqual(['nest'])
+    expect(() => streamManager.removeSource('coop2')).toThrow(/parent of derived sources: nest/)
+
+    expect(streamManager.removeSource('nest')).toBe(true)
+    expect(streamManager.removeSource('coop2')).toBe(true)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { config } from '../config.js'
+import DvrService from '../services/dvrService.js'
+import { createStreamController } from '../controllers/streamController.js'
+
+const jpeg = (marker) => Buffer.concat([
+  Buffer.from([0xFF, 0xD8]),
+  Buffer.from(marker),
+  Buffer.from([0xFF, 0xD9])
+])
+
+//minimal multipart viewer response
+const createMockResponse = () => {
+  const res = new EventEmitter()
+  res.headersSent = false
+  res.chunks = []
+  res.writeHead = vi.fn(() => { res.headersSent = true })
+  res.write = vi.fn((chunk) => { res.chunks.push(chunk); return true })
+  res.status = vi.fn(() => res)
+  res.json = vi.fn(() => res)
+  return res
+}
+
+describe('DvrService', () => {
+  let tmpDir
+  let originalDvr
+  let proxy
+  let dvr
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dvr-'))
+    originalDvr = config.dvr
+    config.dvr = { enabled: true, windowSeconds: 20, fps: 5, segmentSeconds: 10, catchUpSpeed: 1.5, outputDir: tmpDir }
+    proxy = new EventEmitter()
+    proxy.pauseState = { isPaused: false }
+    dvr = new DvrService(proxy, 'coop1')
+    await dvr.start()
+  })
+
+  afterEach(() => {
+    dvr.stop()
+    config.dvr = originalDvr
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should buffer frames at the configured rate and read them back', async () => {
+    const start = Date.now() - 5000
+    dvr.addFrame(jpeg('one'), start)
+    dvr.addFrame(jpeg('too soon'), start + 100)
+    dvr.addFrame(jpeg('two'), start + 200)
+    proxy.pauseState.isPaused = true
+    dvr.addFrame(jpeg('hidden'), start + 400)
+    proxy.pauseState.isPaused = false
+    proxy.emit('frame', jpeg('live'))
+
+    await vi.waitFor(() => expect(dvr.stats.framesWritten).toBe(3))
+    const first = dvr.findFrame(start - 1000)
+    expect(await dvr.readFrame(first)).toEqual(jpeg('one'))
+    expect(await dvr.readFrame(dvr.findFrame(start, { after: true }))).toEqual(jpeg('two'))
+    expect(dvr.getRange()).toMatchObject({ enabled: true, windowSeconds: 20, availableSeconds: 5 })
+  })
+
+  it('should delete whole segments once they leave the window', async () => {
+    const start = Date.now() - 60000
+    for (let second = 0; second <= 40; second++) {
+      dvr.addFrame(jpeg(`frame ${second}`), start + second * 1000)
+    }
+
+    await vi.waitFor(() => expect(dvr.stats.framesWritten).toBeGreaterThan(20))
+    expect(dvr.stats.segmentsDeleted).toBe(2)
+    expect(dvr.segments.map(segment => segment.startedAt - start)).toEqual([20000, 30000, 40000])
+    await vi.waitFor(() => expect(fs.readdirSync(path.join(tmpDir, 'coop1'))).toHaveLength(3))
+    expect(new Date(dvr.getRange().oldestAt).getTime()).toBe(start + 20000)
+  })
+
+  it('should play from the offset and report live once caught up', async () => {
+    const start = Date.now() - 4000
+    ;['FRAME-A', 'FRAME-B', 'FRAME-C', 'FRAME-D'].forEach((marker, index) => dvr.addFrame(jpeg(marker), start + index * 1000))
+    await vi.waitFor(() => expect(dvr.stats.framesWritten).toBe(4))
+    const res = createMockResponse()
+
+    const result = await dvr.play(res, { offsetSeconds: -3.5, speed: 4 })
+
+    expect(result).toBe('live')
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'multipart/x-mixed-replace; boundary=frame'
+    }))
+    const played = Buffer.concat(res.chunks).toString('latin1')
+    expect(played.indexOf('FRAME-B')).toBeGreaterThan(-1)
+    expect(played.indexOf('FRAME-A')).toBe(-1)
+    expect(played.indexOf('FRAME-C')).toBeGreaterThan(played.indexOf('FRAME-B'))
+    expect(played.indexOf('FRAME-D')).toBeGreaterThan(played.indexOf('FRAME-C'))
+  })
+
+  it('should stop playing when the viewer goes away', async () => {
+    const start = Date.now() - 2000
+    ;['a', 'b'].forEach((marker, index) => dvr.addFrame(jpeg(marker), start + index * 1000))
+    await vi.waitFor(() => expect(dvr.stats.framesWritten).toBe(2))
+    const res = createMockResponse()
+
+    const playing = dvr.play(res, { offsetSeconds: -2, speed: 1 })
+    res.emit('close')
+
+    expect(await playing).toBe('closed')
+    expect(dvr.stats.activePlaybacks).toBe(0)
+  })
+})
+
+describe('StreamController rewind', () => {
+  const proxy = { sourceId: 'coop1', pauseState: { isPaused: false }, mustQueue: () => false, addClient: vi.fn(), startPlayback: vi.fn(), endPlayback: vi.fn() }
+  const streamManager = { getProxy: () => proxy, listAvailableSources: () => [] }
+  const dvrService = { play: vi.fn(async () => 'live'), getRange: () => ({ enabled: true, windowSeconds: 600 }) }
+  const controllerConfig = { dvr: { windowSeconds: 600, catchUpSpeed: 1.5 } }
+
+  it('should validate the offset and hand over to live after playback', async () => {
+    const controller = createStreamController({
+      streamManager,
+      authService: {},
+      dvrServices: new Map([['coop1', dvrService]]),
+      config: controllerConfig
+    })
+    const invalid = createMockResponse()
+    const valid = createMockResponse()
+
+    controller.handleStream({ params: { sourceId: 'coop1' }, query: { offset: '-900' } }, invalid)
+    await controller.handleStream({ params: { sourceId: 'coop1' }, query: { offset: '-120' } }, valid)
+
+    expect(invalid.status).toHaveBeenCalledWith(400)
+    expect(dvrService.play).toHaveBeenCalledWith(valid, { offsetSeconds: -120, speed: 1.5 })
+    expect(proxy.addClient).toHaveBeenCalledWith(expect.any(String), valid, null, null, { isMobile: false })
+    expect(proxy.endPlayback).toHaveBeenCalledTimes(1)
+  })
+
+  it('should report when rewind is unavailable', () => {
+    const controller = createStreamController({ streamManager, authService: {}, config: controllerConfig })
+    const res = createMockResponse()
+
+    controller.getDvrRange({ params: { sourceId: 'coop1' } }, res)
+
+    expect(res.json).toHaveBeenCalledWith({ success: true, sourceId: 'coop1', enabled: false })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+import sharp from 'sharp'
+import FrameOverlay, { resolveOverlayOptions } from '../services/frameOverlay.js'
+import MjpegProxy from '../mjpegProxy.js'
+
+describe('resolveOverlayOptions', () => {
+  it('should merge source settings onto the defaults', () => {
+    const options = resolveOverlayOptions({ enabled: true, position: 'top-right', items: ['name'] })
+
+    expect(options.enabled).toBe(true)
+    expect(options.position).toBe('top-right')
+    expect(options.items).toEqual(['name'])
+  })
+
+  it('should drop invalid values', () => {
+    const options = resolveOverlayOptions({ position: 'middle', items: ['name', 'bogus'], color: 'red;', backgroundOpacity: 3 })
+
+    expect(options.enabled).toBe(false)
+    expect(options.position).toBe('bottom-left')
+    expect(options.items).toEqual(['name'])
+    expect(options.color).toBe('#ffffff')
+    expect(options.backgroundOpacity).toBe(1)
+  })
+})
+
+describe('FrameOverlay', () => {
+  let frame
+
+  beforeAll(async () => {
+    frame = await sharp({
+      create: { width: 640, height: 360, channels: 3, background: { r: 40, g: 120, b: 40 } }
+    }).jpeg().toBuffer()
+  })
+
+  it('should join the configured items in order', () => {
+    const overlay = new FrameOverlay(
+      { enabled: true, items: ['weather', 'name'] },
+      { sourceName: 'Coop', getWeatherText: () => '72°F Sunny' }
+    )
+
+    expect(overlay.getText()).toBe('72°F Sunny  |  Coop')
+  })
+
+  it('should leave out weather until it has been fetched', () => {
+    const overlay = new FrameOverlay(
+      { enabled: true, items: ['name', 'weather'] },
+      { sourceName: 'Coop', getWeatherText: () => null }
+    )
+
+    expect(overlay.getText()).toBe('Coop')
+  })
+
+  it('should burn the overlay and rasterize the text box once per distinct text', async () => {
+    const overlay = new FrameOverlay({ enabled: true, items: ['name'], position: 'top-left' }, { sourceName: 'Coop' })
+
+    const first = await overlay.render(frame)
+    await overlay.render(frame)
+
+    expect(first).not.toBe(frame)
+    const metadata = await sharp(first).metadata()
+    expect(metadata.width).toBe(640)
+    expect(metadata.height).toBe(360)
+    expect(overlay.getStats()).toMatchObject({ framesRendered: 2, boxesRasterized: 1 })
+  })
+
+  it('should drop frames that arrive while a render is in progress', async () => {
+    const overlay = new FrameOverlay({ enabled: true, items: ['name'] }, { sourceName: 'Coop' })
+
+    const pending = overlay.render(frame)
+    expect(await overlay.render(frame)).toBeNull()
+    await pending
+
+    expect(overlay.getStats().framesSkipped).toBe(1)
+  })
+
+  it('should render once per frame for all clients and keep motion frames raw', async () => {
+    const proxy = new MjpegProxy('http://192.168.1.67:4747/video', {
+      disableAutoConnect: true,
+      sourceName: 'Coop',
+      overlay: { enabled: true, items: ['name'] }
+    })
+    const createResponse = () => ({ writeHead: vi.fn(), write: vi.fn(() => true), on: vi.fn(), end: vi.fn() })
+    const clients = [createResponse(), createResponse()]
+    clients.forEach((res, index) => proxy.addClient(`client-${index}`, res))
+    const onFrame = vi.fn()
+    const onMotionFrame = vi.fn()
+    proxy.on('frame', onFrame)
+    proxy.on('motion-frame', onMotionFrame)
+    const renderSpy = vi.spyOn(proxy.overlay, 'render')
+
+    proxy.frameCount = 29 // next frame is a motion sample
+    proxy.processFrame(frame)
+
+    expect(onMotionFrame).toHaveBeenCalledWith(frame, 30)
+    await vi.waitFor(() => expect(onFrame).toHaveBeenCalledTimes(1))
+    expect(renderSpy).toHaveBeenCalledTimes(1)
+    expect(onFrame.mock.calls[0][0]).not.toBe(frame)
+    expect(proxy.lastFrame).toBe(onFrame.mock.calls[0][0])
+    clients.forEach(res => expect(res.write).toHaveBeenCalled())
+  })
+
+  it('should log and drop a rendered frame when a frame listener throws', async () => {
+    const proxy = new MjpegProxy('http://192.168.1.67:4747/video', {
+      disableAutoConnect: true,
+      sourceId: 'coop1',
+      overlay: { enabled: true, items: ['name'] }
+    })
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    proxy.on('frame', () => {
+      throw new Error('listener failed')
+    })
+
+    proxy.processFrame(frame)
+
+    await vi.waitFor(() => expect(errorSpy).toHaveBeenCalledWith(
+      '[Proxy coop1] Error delivering rendered frame 1:',
+      'listener failed'
+    ))
+    errorSpy.mockRestore()
+  })
+})
\ No newline at end of file
@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import express from 'express'
+import request from 'supertest'
+import sharp from 'sharp'
+import GridProxy, { parseGridLayout } from '../gridProxy.js'
+import { createStreamController } from '../controllers/streamController.js'
+import { createStreamRouter } from '../routes/api/stream.js'
+import { config } from '../config.js'
+
+const createStreamResponse = () => {
+  const res = new EventEmitter()
+  res.writeHead = vi.fn(() => { res.headersSent = true })
+  res.write = vi.fn(() => true)
+  res.end = vi.fn()
+  res.set = vi.fn(() => res)
+  res.status = vi.fn(() => res)
+  res.json = vi.fn(() => res)
+  return res
+}
+
+//rgb of one pixel in a raw 3 channel frame
+const pixelAt = (data, info, x, y) => {
+  const offset = (y * info.width + x) * info.channels
+  return [data[offset], data[offset + 1], data[offset + 2]]
+}
+
+describe('parseGridLayout', () => {
+  it('should default to auto and accept layouts up to 4x4', () => {
+    expect(parseGridLayout(undefined)).toBe('auto')
+    expect(parseGridLayout('auto')).toBe('auto')
+    expect(parseGridLayout('2x1')).toBe('2x1')
+    expect(parseGridLayout('4x4')).toBe('4x4')
+  })
+
+  it('should reject anything else', () => {
+    expect(parseGridLayout('5x5')).toBeNull()
+    expect(parseGridLayout('0x2')).toBeNull()
+    expect(parseGridLayout('2x2x2')).toBeNull()
+    expect(parseGridLayout('big')).toBeNull()
+  })
+})
+
+describe('GridProxy', () => {
+  const originalGridConfig = { ...config.grid }
+  let greenFrame
+  let proxies
+  let grid
+
+  beforeAll(async () => {
+    greenFrame = await sharp({ create: { width: 320, height: 180, channels: 3, background: { r: 40, g: 200, b: 40 } } })
+      .jpeg()
+      .toBuffer()
+  })
+
+  beforeEach(() => {
+    config.grid = { ...originalGridConfig, tileWidth: 160, tileHeight: 90, staleFrameSeconds: 10 }
+    proxies = new Map()
+  })
+
+  afterEach(() => {
+    grid?.disconnect()
+    config.grid = originalGridConfig
+  })
+
+  const createGrid = (sources, layout = 'auto') => {
+    grid = new GridProxy({
+      listAvailableSources: () => sources,
+      getActiveProxy: (sourceId) => proxies.get(sourceId) || null
+    }, { layout })
+    return grid
+  }
+
+  it('should size auto layouts to the camera count and cap them at 4x4', () => {
+    const auto = createGrid([])
+
+    expect(auto.getDimensions(0)).toEqual({ cols: 1, rows: 1 })
+    expect(auto.getDimensions(1)).toEqual({ cols: 1, rows: 1 })
+    expect(auto.getDimensions(2)).toEqual({ cols: 2, rows: 1 })
+    expect(auto.getDimensions(3)).toEqual({ cols: 2, rows: 2 })
+    expect(auto.getDimensions(5)).toEqual({ cols: 3, rows: 2 })
+    expect(auto.getDimensions(20)).toEqual({ cols: 4, rows: 4 })
+    auto.disconnect()
+
+    expect(createGrid([], '2x1').getDimensions(4)).toEqual({ cols: 2, rows: 1 })
+  })
+
+  it('should tile live cameras and mark missing or stale ones offline', async () => {
+    proxies.set('coop1', { lastFrame: greenFrame, isConnected: true, lastFrameTime: Date.now() })
+    proxies.set('coop3', { lastFrame: greenFrame, isConnected: true, lastFrameTime: Date.now() - 60000 })
+    createGrid([
+      { id: 'coop1', name: 'Coop' },
+      { id: 'coop2', name: 'Run' },
+      { id: 'coop3', name: 'Nest' }
+    ])
+
+    const { data, info } = await sharp(await grid.composeFrame()).raw().toBuffer({ resolveWithObject: true })
+
+    //three cameras make a 2x2 grid with the last tile left empty
+    expect([info.width, info.height]).toEqual([320, 180])
+    const [liveTile, missingTile, staleTile, emptyTile] = [[80, 60], [240, 60], [80, 150], [240, 150]]
+      .map(([x, y]) => pixelAt(data, info, x, y))
+    expect(liveTile[1]).toBeGreaterThan(150)
+    expect(missingTile.every(value => value < 40)).toBe(true)
+    //a stale camera still shows its last frame under the offline label
+    expect(staleTile[1]).toBeGreaterThan(150)
+    expect(emptyTile.every(value => value < 10)).toBe(true)
+  })
+
+  it('should show the slate for paused cameras instead of their live frame', async () => {
+    const slate = await sharp({ create: { width: 320, height: 180, channels: 3, background: { r: 40, g: 40, b: 200 } } })
+      .jpeg()
+      .toBuffer()
+    const live = { lastFrame: greenFrame, isConnected: true, lastFrameTime: Date.now() }
+    proxies.set('coop1', { ...live, pauseState: { isPaused: true, maintenanceFrame: slate } })
+    proxies.set('coop2', { ...live, pauseState: { isPaused: true, maintenanceFrame: null } })
+    createGrid([{ id: 'coop1', name: 'Coop' }, { id: 'coop2', name: 'Run' }])
+
+    const { data, info } = await sharp(await grid.composeFrame()).raw().toBuffer({ resolveWithObject: true })
+
+    const [slateTile, pendingTile] = [[80, 60], [240, 60]].map(([x, y]) => pixelAt(data, info, x, y))
+    expect(slateTile[2]).toBeGreaterThan(150)
+    expect(slateTile[1]).toBeLessThan(100)
+    //no slate rendered yet - a blank tile rather than the live frame
+    expect(pendingTile.every(value => value < 40)).toBe(true)
+  })
+
+  it('should label offline tiles in red and live tiles in white', async () => {
+    proxies.set('coop1', { lastFrame: greenFrame, isConnected: true, lastFrameTime: Date.now() })
+    createGrid([{ id: 'coop1', name: 'Coop' }, { id: 'coop2', name: 'Run' }])
+
+    const { data, info } = await sharp(await grid.composeFrame()).raw().toBuffer({ resolveWithObject: true })
+
+    //count label pixels that are clearly red (offline text) in each tile's title bar
+    const redLabelPixels = (left) => {
+      let count = 0
+      for (let y = 0; y < 24; y++) {
+        for (let x = left; x < left + 160; x++) {
+          const [r, g, b] = pixelAt(data, info, x, y)
+          if (r > 150 && r - g > 50 && r - b > 50) count++
+        }
+      }
+      return count
+    }
+    expect(redLabelPixels(0)).toBe(0)
+    expect(redLabelPixels(160)).toBeGreaterThan(0)
+  })
+
+  it('should only compose while someone is watching', () => {
+    createGrid([{ id: 'coop1', name: 'Coop' }])
+    grid.composeFrame = vi.fn().mockResolvedValue(greenFrame)
+
+    grid.tick()
+    expect(grid.composeFrame).not.toHaveBeenCalled()
+
+    grid.clients.set('viewer', {})
+    grid.tick()
+    grid.tick()
+    //a composition still in flight is never overlapped
+    expect(grid.composeFrame).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('grid stream routing', () => {
+  it('should send /stream/grid to the grid handler instead of a source named grid', async () => {
+    const streamController = {
+      listSources: vi.fn(),
+      handleGridStream: vi.fn((req, res) => res.json({ handler: 'grid', layout: req.query.layout })),
+      handleStream: vi.fn((req, res) => res.json({ handler: 'source' })),
+      pauseStream: vi.fn(),
+      getStreamStatus: vi.fn(),
+      getSnapshot: vi.fn(),
+      getDvrRange: vi.fn()
+    }
+    const app = express()
+    app.use('/api', createStreamRouter({ streamController }))
+
+    const response = await request(app).get('/api/stream/grid?layout=2x2')
+
+    expect(response.body).toEqual({ handler: 'grid', layout: '2x2' })
+    expect(streamController.handleStream).not.toHaveBeenCalled()
+  })
+
+  it('should reject invalid layouts and attach viewers to the grid proxy for the layout', () => {
+    const gridProxy = { mustQueue: vi.fn(() => false), addClient: vi.fn() }
+    const streamManager = { getGridProxy: vi.fn(() => gridProxy) }
+    const controller = createStreamController({ streamManager, authService: {}, config: {} })
+    const invalid = createStreamResponse()
+    const viewer = createStreamResponse()
+
+    controller.handleGridStream({ query: { layout: '5x5' }, headers: {} }, invalid)
+    controller.handleGridStream({ query: { layout: '2x2', fps: '2' }, headers: {} }, viewer)
+
+    expect(invalid.status).toHaveBeenCalledWith(400)
+    expect(invalid.json.mock.calls[0][0].message).toMatch(/Invalid layout/)
+    expect(streamManager.getGridProxy).toHaveBeenCalledTimes(1)
+    expect(streamManager.getGridProxy).toHaveBeenCalledWith('2x2')
+    expect(gridProxy.addClient).toHaveBeenCalledWith(expect.any(String), viewer, 2, null, { isMobile: false })
+  })
+})
\ No newline at end of file
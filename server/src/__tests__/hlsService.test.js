@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import ffmpeg from 'fluent-ffmpeg'
+import { createHlsService } from '../services/hlsService.js'
+
+//mock fluent-ffmpeg with a chainable command that records its input stream
+vi.mock('fluent-ffmpeg', () => {
+  const createCommand = () => {
+    const command = new EventEmitter()
+    command.input = vi.fn((stream) => {
+      command.inputStream = stream
+      return command
+    })
+    command.inputFormat = vi.fn().mockReturnValue(command)
+    command.inputOptions = vi.fn().mockReturnValue(command)
+    command.videoCodec = vi.fn().mockReturnValue(command)
+    command.outputOptions = vi.fn().mockReturnValue(command)
+    command.output = vi.fn().mockReturnValue(command)
+    command.run = vi.fn()
+    command.kill = vi.fn()
+    return command
+  }
+  return { default: vi.fn(() => createCommand()) }
+})
+
+describe('HlsService', () => {
+  let outputDir
+  let proxy
+  let service
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-test-'))
+    proxy = new EventEmitter()
+    proxy.sourceId = 'coop1'
+    proxy.lastFrame = Buffer.from('jpeg-data')
+    service = createHlsService({
+      streamManager: { getProxy: (sourceId) => (sourceId === 'coop1' ? proxy : null) },
+      config: {
+        hls: {
+          enabled: true,
+          outputDir,
+          segmentSeconds: 2,
+          playlistSize: 5,
+          fps: 15,
+          videoBitrate: '800k',
+          idleTimeoutSeconds: 30,
+          startupTimeoutMs: 1000
+        }
+      }
+    })
+  })
+
+  afterEach(async () => {
+    service.shutdown()
+    vi.clearAllMocks()
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  it('should start one encoder for concurrent first requests', async () => {
+    const [first, second] = await Promise.all([
+      service.ensureSession('coop1'),
+      service.ensureSession('coop1')
+    ])
+
+    expect(first).toBe(second)
+    expect(ffmpeg).toHaveBeenCalledTimes(1)
+    expect(proxy.listenerCount('frame')).toBe(1)
+    //the cached frame primes the encoder
+    expect(first.framesEncoded).toBe(1)
+  })
+
+  it('should encode the slate and never a live frame while the camera is paused', async () => {
+    proxy.pauseState = { isPaused: true, maintenanceFrame: Buffer.from('slate') }
+    const session = await service.ensureSession('coop1')
+
+    session.lastFrameTime = 0
+    proxy.emit('frame', Buffer.from('live-frame'))
+    //no slate rendered yet - nothing is encoded rather than the live frame
+    proxy.pauseState.maintenanceFrame = null
+    session.lastFrameTime = 0
+    proxy.emit('frame', Buffer.from('live-frame'))
+
+    expect(session.input.read().toString()).toBe('slateslate')
+    expect(session.framesEncoded).toBe(2)
+  })
+
+  it('should return null for unknown sources', async () => {
+    expect(await service.ensureSession('missing')).toBeNull()
+    expect(ffmpeg).not.toHaveBeenCalled()
+  })
+
+  it('should only serve segment names it writes', async () => {
+    await service.ensureSession('coop1')
+
+    expect(service.getSegmentPath('coop1', 'segment_00001.ts')).toBe(path.join(outputDir, 'coop1', 'segment_00001.ts'))
+    expect(service.getSegmentPath('coop1', '../../etc/passwd')).toBeNull()
+    expect(service.getSegmentPath('coop2', 'segment_00001.ts')).toBeNull()
+  })
+
+  it('should stop idle encoders and detach from the proxy', async () => {
+    const session = await service.ensureSession('coop1')
+    session.lastAccess = Date.now() - 31000
+
+    service.cleanupIdleSessions()
+
+    expect(session.command.kill).toHaveBeenCalledWith('SIGKILL')
+    expect(proxy.listenerCount('frame')).toBe(0)
+    expect(service.getStats()).toEqual({})
+  })
+
+  it('should stop the session when ffmpeg fails', async () => {
+    const session = await service.ensureSession('coop1')
+
+    session.command.emit('error', new Error('encoder crashed'))
+
+    expect(service.getStats()).toEqual({})
+    expect(await service.waitForPlaylist('coop1', 100)).toBeNull()
+  })
+})
\ No newline at end of file
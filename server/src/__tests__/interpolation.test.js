@@ -1,15 +1,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import sharp from 'sharp'
 import MjpegProxy from '../mjpegProxy.js'
 
-//mock sharp module
-vi.mock('sharp', () => ({
-  default: vi.fn(() => ({
-    composite: vi.fn().mockReturnThis(),
-    jpeg: vi.fn().mockReturnThis(),
-    toBuffer: vi.fn().mockResolvedValue(Buffer.from([0xFF, 0xD8, 0x99, 0xFF, 0xD9]))
-  }))
-}))
-
 describe('Frame Interpolation', () => {
   let proxy
   
@@ -124,33 +117,65 @@ describe('Frame Interpolation', () => {
   })
   
   describe('gap filling', () => {
-    it('should detect and report gaps in broadcast', () => {
-      const mockClient = {
-        id: 'test-client',
-        res: {
-          write: vi.fn(() => true),
-          writableEnded: false,
-          flush: vi.fn()
-        },
-        connected: true,
-        isPaused: false,
-        frameInterval: 0,
-        lastFrameTime: 0
-      }
-      
-      proxy.clients.set('test-client', mockClient)
-      proxy.lastFrame = Buffer.from([0xFF, 0xD8, 0x01, 0xFF, 0xD9])
-      proxy.lastBroadcastTime = Date.now() - 200 // 200ms gap
-      
-      const frame = Buffer.from([0xFF, 0xD8, 0x02, 0xFF, 0xD9])
-      proxy.broadcast(frame)
-      
-      // Check that gap was detected and stats updated
-      expect(proxy.interpolationStats.gapsDetected).toBe(1)
-      expect(proxy.interpolationStats.framesInterpolated).toBeGreaterThan(0)
-      
-      // Check that multiple frames were sent (gap fill + current)
-      expect(mockClient.res.write.mock.calls.length).toBeGreaterThan(1)
+    const solidFrame = (level) => sharp({ create: { width: 32, height: 24, channels: 3, background: { r: level, g: level, b: level } } })
+      .jpeg()
+      .toBuffer()
+    const brightness = async (frame) => Math.round((await sharp(frame).stats()).channels[0].mean)
+    
+    it('should send blended frames at the source rate after a gap, only to viewers', async () => {
+      const [black, white, grey] = await Promise.all([solidFrame(0), solidFrame(255), solidFrame(128)])
+      const writer = new EventEmitter()
+      writer.write = vi.fn(() => true)
+      writer.writableEnded = false
+      const onFrame = vi.fn()
+      proxy.on('frame', onFrame)
+      proxy.addSocketClient('ws-client', writer)
+      proxy.processFrame(black)
+      
+      //the source usually runs at 10 fps and then went quiet for 400ms
+      proxy.sourceFrameRate.fps = 10
+      proxy.lastFrameTime -= 400
+      proxy.lastBroadcastTime -= 400
+      proxy.processFrame(white)
+      //a frame that arrives while the gap is being filled waits for the fill and replaces the late one
+      await new Promise(resolve => setTimeout(resolve, 50))
+      proxy.processFrame(grey)
+      
+      await vi.waitFor(() => expect(proxy.interpolationStats.framesInterpolated).toBe(3), { timeout: 3000 })
+      await vi.waitFor(() => expect(proxy.gapFill).toBeNull(), { timeout: 3000 })
+      
+      const sent = writer.write.mock.calls.map(call => call[0])
+      expect(sent).toHaveLength(5)
+      expect(sent[0]).toBe(black)
+      expect(sent[4]).toBe(grey)
+      const levels = await Promise.all(sent.slice(1, 4).map(brightness))
+      expect(levels[0]).toBeGreaterThan(40)
+      expect(levels[0]).toBeLessThan(levels[1])
+      expect(levels[1]).toBeLessThan(levels[2])
+      expect(levels[2]).toBeLessThan(215)
+      
+      expect(onFrame.mock.calls.map(call => call[0])).toEqual([black, white, grey])
+      expect(proxy.lastFrame).toBe(grey)
+      expect(proxy.getStats().interpolation).toMatchObject({ gapsDetected: 1, framesInterpolated: 3 })
+      expect(proxy.getClientStats()[0].interpolatedFrames).toBe(3)
+    })
+    
+    it('should not fill gaps for a source whose usual rate is that slow', async () => {
+      const [black, white] = await Promise.all([solidFrame(0), solidFrame(255)])
+      const writer = new EventEmitter()
+      writer.write = vi.fn(() => true)
+      writer.writableEnded = false
+      proxy.addSocketClient('ws-client', writer)
+      proxy.processFrame(black)
+      
+      proxy.sourceFrameRate.fps = 2
+      proxy.lastFrameTime -= 500
+      proxy.lastBroadcastTime -= 500
+      proxy.processFrame(white)
+      
+      expect(writer.write).toHaveBeenLastCalledWith(white)
+      expect(proxy.gapFill).toBeNull()
+      expect(proxy.interpolationStats.gapsDetected).toBe(0)
     })
   })
 })
\ No newline at end of file
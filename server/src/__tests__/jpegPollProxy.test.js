@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import { Readable } from 'stream'
+import http from 'http'
+import JpegPollProxy from '../jpegPollProxy.js'
+import { createStreamManager } from '../services/streamManager.js'
+
+//mock http so snapshot requests are answered from a queue
+vi.mock('http', () => ({
+  default: {
+    get: vi.fn()
+  }
+}))
+
+const jpeg = (marker) => Buffer.concat([
+  Buffer.from([0xFF, 0xD8]),
+  Buffer.from(marker),
+  Buffer.from([0xFF, 0xD9])
+])
+
+const snapshotResponse = (statusCode, body = null, headers = {}) => {
+  const response = Readable.from(body ? [body] : [])
+  response.statusCode = statusCode
+  response.headers = { 'content-type': 'image/jpeg', ...headers }
+  return response
+}
+
+describe('JpegPollProxy', () => {
+  let proxy
+  let responses
+
+  beforeEach(() => {
+    responses = []
+    http.get.mockImplementation((...args) => {
+      const callback = args[args.length - 1]
+      const request = new EventEmitter()
+      request.setTimeout = vi.fn()
+      request.destroy = vi.fn()
+      const response = responses.shift()
+      setTimeout(() => callback(response), 0)
+      return request
+    })
+    proxy = new JpegPollProxy('http://192.168.1.90/snapshot.jpg', { sourceId: 'yard', fps: 5, disableAutoConnect: true })
+  })
+
+  afterEach(() => {
+    proxy.disconnect()
+    vi.clearAllMocks()
+  })
+
+  //run one poll and wait for it to settle without starting the next one
+  const pollOnce = async () => {
+    proxy.poll()
+    await vi.waitFor(() => expect(proxy.sourceRequest).toBeNull())
+    clearTimeout(proxy.pollTimeout)
+  }
+
+  it('should connect and emit snapshots as frames', async () => {
+    const onConnected = vi.fn()
+    const onFrame = vi.fn()
+    proxy.on('connected', onConnected)
+    proxy.on('frame', onFrame)
+    responses.push(snapshotResponse(200, jpeg('one')))
+
+    await pollOnce()
+
+    expect(onConnected).toHaveBeenCalledTimes(1)
+    expect(onFrame).toHaveBeenCalledWith(jpeg('one'), 1)
+    expect(proxy.lastFrame).toEqual(jpeg('one'))
+    expect(proxy.motionSampleInterval).toBe(5)
+  })
+
+  it('should send conditional GET headers and skip unchanged snapshots', async () => {
+    const onFrame = vi.fn()
+    proxy.on('frame', onFrame)
+    responses.push(
+      snapshotResponse(200, jpeg('one'), { etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 10:00:00 GMT' }),
+      snapshotResponse(304),
+      snapshotResponse(200, jpeg('one')),
+      snapshotResponse(200, jpeg('two'))
+    )
+
+    await pollOnce()
+    await pollOnce()
+    await pollOnce()
+    await pollOnce()
+
+    expect(http.get.mock.calls[1][1].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 19 Oct 2026 10:00:00 GMT'
+    })
+    expect(onFrame).toHaveBeenCalledTimes(2)
+    expect(proxy.getStats().pollStats).toMatchObject({ polls: 4, frames: 2, notModified: 1, duplicates: 1, errors: 0 })
+  })
+
+  it('should reject non-jpeg responses and reconnect with backoff', async () => {
+    responses.push(snapshotResponse(200, Buffer.from('<html>login</html>'), { 'content-type': 'text/html' }))
+
+    await pollOnce()
+
+    expect(proxy.isConnected).toBe(false)
+    expect(proxy.getStats().pollStats.errors).toBe(1)
+    expect(proxy.reconnectTimeout).not.toBeNull()
+  })
+
+  it('should keep viewers on the last frame through transient failures', async () => {
+    const res = { writeHead: vi.fn(), write: vi.fn(() => true), on: vi.fn(), end: vi.fn() }
+    responses.push(
+      snapshotResponse(200, jpeg('one')),
+      snapshotResponse(500),
+      snapshotResponse(200, Buffer.from('<html>busy</html>'), { 'content-type': 'text/html' }),
+      snapshotResponse(200, jpeg('two'))
+    )
+    await pollOnce()
+    proxy.addClient('viewer', res)
+
+    await pollOnce()
+    await pollOnce()
+
+    expect(proxy.isConnected).toBe(true)
+    expect(proxy.clients.has('viewer')).toBe(true)
+    expect(proxy.lastFrame).toEqual(jpeg('one'))
+    expect(proxy.reconnectTimeout).toBeNull()
+
+    await pollOnce()
+    expect(proxy.lastFrame).toEqual(jpeg('two'))
+    expect(proxy.getStats().pollStats).toMatchObject({ errors: 2, consecutiveErrors: 0 })
+  })
+
+  it('should drop viewers and reconnect after repeated failures', async () => {
+    const res = { writeHead: vi.fn(), write: vi.fn(() => true), on: vi.fn(), end: vi.fn() }
+    responses.push(snapshotResponse(200, jpeg('one')), snapshotResponse(500), snapshotResponse(500), snapshotResponse(500))
+    await pollOnce()
+    proxy.addClient('viewer', res)
+
+    await pollOnce()
+    await pollOnce()
+    await pollOnce()
+
+    expect(proxy.isConnected).toBe(false)
+    expect(proxy.clients.size).toBe(0)
+    expect(proxy.reconnectTimeout).not.toBeNull()
+  })
+
+  it('should be created by the stream manager for jpeg-poll sources', () => {
+    const streamManager = createStreamManager({
+      config: {
+        streamSources: [
+          { id: 'coop1', name: 'Coop', url: 'http://192.168.1.90/snapshot.jpg', type: 'jpeg-poll', fps: 2, isDefault: true }
+        ]
+      }
+    })
+    responses.push(snapshotResponse(200, jpeg('one')))
+
+    const created = streamManager.getProxy('coop1')
+
+    expect(created).toBeInstanceOf(JpegPollProxy)
+    expect(created.pollFps).toBe(2)
+    expect(http.get).toHaveBeenCalledWith('http://192.168.1.90/snapshot.jpg', expect.any(Function))
+    streamManager.shutdown()
+  })
+})
\ No newline at end of file
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createMetricsService } from '../services/metricsService.js'
+import { createMetricsController } from '../controllers/metricsController.js'
+import PerformanceMonitor from '../utils/performanceMonitor.js'
+
+const createMockResponse = () => {
+  const res = {}
+  res.status = vi.fn(() => res)
+  res.set = vi.fn(() => res)
+  res.send = vi.fn(() => res)
+  return res
+}
+
+describe('MetricsService', () => {
+  let streamManager
+  let recordingServices
+  let motionDetectionServices
+  let service
+
+  beforeEach(() => {
+    streamManager = {
+      getAllStats: () => ({
+        coop1: { isConnected: true, frameRate: 24.5, frameCount: 1200, clientCount: 3, reconnects: 2, stalls: { count: 1 } },
+        'run "west"': { isConnected: false, frameRate: 0, frameCount: 0, clientCount: 0, reconnects: 7, stalls: { count: 0 } }
+      }),
+      getSourceConfig: (sourceId) => ({ id: sourceId, name: sourceId === 'coop1' ? 'Coop' : 'Run', type: 'mjpeg' }),
+      getActiveProxy: () => ({ pauseState: { isPaused: false } })
+    }
+    recordingServices = new Map([['coop1', {
+      getStats: () => ({
+        activeRecordings: 1,
+        completedRecordings: 4,
+        failedRecordings: 1,
+        recordedSeconds: 60,
+        encoder: { completed: 4, failed: 1, totalSeconds: 12.5 }
+      })
+    }]])
+    motionDetectionServices = new Map([['coop1', { getStatus: () => ({ detectionCount: 9 }) }]])
+    service = createMetricsService({
+      streamManager,
+      sseService: { getClientCount: () => 5 },
+      recordingServices,
+      motionDetectionServices,
+      performanceMonitor: { getMetrics: () => ({ eventLoop: { lag: 12 } }) }
+    })
+  })
+
+  it('should expose per-source stats with help and type lines', () => {
+    const text = service.render()
+
+    expect(text).toContain('# TYPE coopcam_source_up gauge')
+    expect(text).toContain('coopcam_source_up{source="coop1"} 1')
+    expect(text).toContain('coopcam_source_frame_rate{source="coop1"} 24.5')
+    expect(text).toContain('coopcam_source_clients{source="coop1"} 3')
+    expect(text).toContain('coopcam_source_reconnects_total{source="coop1"} 2')
+    expect(text).toContain('coopcam_source_info{source="coop1",name="Coop",type="mjpeg"} 1')
+    expect(text.endsWith('\n')).toBe(true)
+  })
+
+  it('should escape label values', () => {
+    expect(service.render()).toContain('coopcam_source_up{source="run \\"west\\""} 0')
+  })
+
+  it('should expose recordings, encode times, motion, sse clients and event loop lag', () => {
+    const text = service.render()
+
+    expect(text).toContain('# TYPE coopcam_recording_duration_seconds summary')
+    expect(text).toContain('coopcam_recording_duration_seconds_sum{source="coop1"} 60')
+    expect(text).toContain('coopcam_recording_duration_seconds_count{source="coop1"} 4')
+    expect(text).toContain('coopcam_recording_failures_total{source="coop1"} 1')
+    expect(text).toContain('coopcam_encode_duration_seconds_sum{source="coop1"} 12.5')
+    expect(text).toContain('coopcam_motion_detections_total{source="coop1"} 9')
+    expect(text).toContain('coopcam_sse_clients 5')
+    expect(text).toContain('coopcam_event_loop_lag_seconds 0.012')
+  })
+
+  it('should keep the samples of each metric together', () => {
+    const lines = service.render().split('\n').filter(line => line.startsWith('coopcam_source_up'))
+    const text = service.render()
+
+    expect(lines).toHaveLength(2)
+    expect(text.indexOf(lines[1]) - text.indexOf(lines[0])).toBe(lines[0].length + 1)
+  })
+})
+
+describe('MetricsController', () => {
+  const metricsService = { render: () => 'coopcam_sse_clients 0\n' }
+
+  it('should serve the prometheus text format', () => {
+    const controller = createMetricsController({ metricsService, config: { metrics: { token: null } } })
+    const res = createMockResponse()
+
+    controller.getMetrics({ get: () => undefined }, res)
+
+    expect(res.set).toHaveBeenCalledWith('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+    expect(res.send).toHaveBeenCalledWith('coopcam_sse_clients 0\n')
+  })
+
+  it('should require the bearer token when one is configured', () => {
+    const controller = createMetricsController({ metricsService, config: { metrics: { token: 's3cret' } } })
+    const denied = createMockResponse()
+    const allowed = createMockResponse()
+
+    controller.getMetrics({ get: () => 'Bearer nope' }, denied)
+    controller.getMetrics({ get: () => 'Bearer s3cret' }, allowed)
+
+    expect(denied.status).toHaveBeenCalledWith(401)
+    expect(allowed.send).toHaveBeenCalledWith('coopcam_sse_clients 0\n')
+  })
+})
+
+describe('PerformanceMonitor for metrics', () => {
+  it('should sample the event loop without logging the periodic summary', () => {
+    vi.useFakeTimers()
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {})
+    const monitor = new PerformanceMonitor({ logSummary: false })
+
+    vi.advanceTimersByTime(60000)
+
+    expect(log).not.toHaveBeenCalledWith('[Performance] Metrics:', expect.anything())
+    expect(monitor.getMetrics().eventLoop.lag).toBe(0)
+    monitor.stop()
+    log.mockRestore()
+    vi.useRealTimers()
+  })
+})
\ No newline at end of file
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import EventEmitter from 'events'
+import MotionZoneMap, { normalizeZones } from '../services/motionZones.js'
+import motionZones from '../state/motionZones.js'
+import MotionDetectionService from '../services/motionDetectionService.js'
+import { RegionAnalyzer } from '../utils/regionAnalyzer.js'
+import { ColorBlobTracker } from '../utils/colorBlobTracker.js'
+import { config } from '../config.js'
+
+const LEFT_HALF = [[0, 0], [0.5, 0], [0.5, 1], [0, 1]]
+const RIGHT_HALF = [[0.5, 0], [1, 0], [1, 1], [0.5, 1]]
+const TOP_LEFT = [[0, 0], [0.5, 0], [0.5, 0.5], [0, 0.5]]
+
+//10x10 grayscale frame with a block of changed pixels
+const changedFrame = (x0, x1, y0, y1, value = 200) => {
+  const frame = new Uint8Array(100).fill(100)
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      frame[y * 10 + x] = value
+    }
+  }
+  return frame
+}
+
+describe('normalizeZones', () => {
+  it('should apply defaults to valid zones', () => {
+    const { zones } = normalizeZones([
+      { name: ' Feeder ', points: LEFT_HALF },
+      { name: 'Road', type: 'exclude', points: RIGHT_HALF, sensitivity: 3 }
+    ])
+
+    expect(zones).toEqual([
+      { name: 'Feeder', type: 'include', points: LEFT_HALF, sensitivity: 1 },
+      { name: 'Road', type: 'exclude', points: RIGHT_HALF }
+    ])
+  })
+
+  it('should reject invalid zones', () => {
+    expect(normalizeZones({}).error).toMatch(/must be an array/)
+    expect(normalizeZones([{ points: LEFT_HALF }]).error).toMatch(/name/)
+    expect(normalizeZones([{ name: 'a', points: LEFT_HALF }, { name: 'a', points: RIGHT_HALF }]).error).toMatch(/unique/)
+    expect(normalizeZones([{ name: 'a', points: [[0, 0], [1, 1]] }]).error).toMatch(/between 3 and/)
+    expect(normalizeZones([{ name: 'a', points: [[0, 0], [1, 0], [640, 360]] }]).error).toMatch(/fractions/)
+    expect(normalizeZones([{ name: 'a', points: LEFT_HALF, type: 'maybe' }]).error).toMatch(/type/)
+    expect(normalizeZones([{ name: 'a', points: LEFT_HALF, sensitivity: 0 }]).error).toMatch(/sensitivity/)
+  })
+})
+
+describe('MotionZoneMap', () => {
+  beforeEach(() => {
+    motionZones._resetForTests()
+  })
+
+  it('should only look inside include zones and never inside exclude zones', () => {
+    motionZones.setZones('coop1', [
+      { name: 'Left', type: 'include', points: LEFT_HALF, sensitivity: 1 },
+      { name: 'Corner', type: 'exclude', points: TOP_LEFT }
+    ])
+    const zoneMap = new MotionZoneMap('coop1', 10, 10)
+
+    expect(zoneMap.getActiveRatio()).toBe(0.25)
+    expect(zoneMap.isActive(0)).toBe(false) // excluded corner
+    expect(zoneMap.isActive(90)).toBe(true) // bottom left
+    expect(zoneMap.isActive(99)).toBe(false) // outside the include zone
+
+    const frame = new Uint8Array(100).fill(255)
+    zoneMap.maskFrame(frame)
+    expect(frame.reduce((sum, value) => sum + value, 0)).toBe(25 * 255)
+    expect(zoneMap.getSummary()).toEqual({
+      zones: [{ name: 'Left', type: 'include', sensitivity: 1 }, { name: 'Corner', type: 'exclude' }],
+      activeArea: 0.25
+    })
+  })
+
+  it('should score each include zone against its own sensitivity', () => {
+    motionZones.setZones('coop1', [
+      { name: 'Left', type: 'include', points: LEFT_HALF, sensitivity: 1 },
+      { name: 'Right', type: 'include', points: RIGHT_HALF, sensitivity: 4 }
+    ])
+    const zoneMap = new MotionZoneMap('coop1', 10, 10)
+    const previous = new Uint8Array(100).fill(100)
+    //10% of each half changes
+    const current = changedFrame(0, 10, 0, 1)
+
+    const scores = zoneMap.scoreZones(current, previous, { threshold: 0.2 })
+
+    expect(scores.map(({ name, fired }) => ({ name, fired }))).toEqual([
+      { name: 'Left', fired: false },
+      { name: 'Right', fired: true }
+    ])
+    expect(scores[1].threshold).toBe(0.05)
+  })
+
+  it('should rasterize again when the zones change', () => {
+    const zoneMap = new MotionZoneMap('coop1', 10, 10)
+    expect(zoneMap.enabled).toBe(false)
+    expect(zoneMap.isActive(99)).toBe(true)
+
+    motionZones.setZones('coop1', [{ name: 'Left', type: 'include', points: LEFT_HALF, sensitivity: 1 }])
+
+    expect(zoneMap.isActive(99)).toBe(false)
+  })
+})
+
+describe('motion zones in detection', () => {
+  beforeEach(() => {
+    motionZones._resetForTests()
+  })
+
+  it('should leave regions outside the zones out of the region vote', () => {
+    motionZones.setZones('coop1', [{ name: 'Road', type: 'exclude', points: RIGHT_HALF }])
+    const analyzer = new RegionAnalyzer({
+      width: 10,
+      height: 10,
+      gridSize: 2,
+      minActiveRegions: 1,
+      zoneMap: new MotionZoneMap('coop1', 10, 10)
+    })
+    const previous = new Uint8Array(100).fill(100)
+
+    const road = analyzer.analyzeRegions(changedFrame(5, 10, 0, 10), previous)
+    const yard = analyzer.analyzeRegions(changedFrame(0, 5, 0, 10), previous)
+
+    expect(road.motionDetected).toBe(false)
+    expect(road.regionResults.filter(result => result.totalPixels === 0)).toHaveLength(2)
+    expect(yard.motionDetected).toBe(true)
+  })
+
+  it('should tag moving blobs with their zones and ignore blobs in excluded areas', () => {
+    motionZones.setZones('coop1', [
+      { name: 'Feeder', type: 'include', points: LEFT_HALF, sensitivity: 2 },
+      { name: 'Road', type: 'exclude', points: RIGHT_HALF }
+    ])
+    const tracker = new ColorBlobTracker(10, 10, {
+      minBlobMovement: 2,
+      minBlobLifetime: 1,
+      zoneMap: new MotionZoneMap('coop1', 10, 10)
+    })
+    const blob = (x, y) => ({ centroidX: x, centroidY: y, area: 10, dominantColor: 'white' })
+    tracker.blobDetector.detectChickenBlobs = vi.fn()
+      .mockReturnValueOnce([blob(1, 2), blob(7, 2)])
+      .mockReturnValueOnce([blob(1, 3), blob(7, 3)])
+
+    tracker.processFrame(new Uint8Array(300), 5)
+    const result = tracker.processFrame(new Uint8Array(300), 5)
+
+    //the feeder's sensitivity halves the movement needed; the road blob never counts
+    expect(result.movingBlobs).toHaveLength(1)
+    expect(result.movingBlobs[0]).toMatchObject({ centroid: { x: 1, y: 3 }, zones: ['Feeder'] })
+  })
+
+  describe('MotionDetectionService', () => {
+    const originalConfig = { ...config.motionDetection }
+    let service
+
+    afterEach(() => {
+      service?.stop()
+      config.motionDetection = originalConfig
+    })
+
+    it('should report the include zones that fired in motion events', async () => {
+      config.motionDetection = {
+        ...originalConfig,
+        enabled: true,
+        width: 10,
+        height: 10,
+        threshold: 0.2,
+        cooldownMs: 0,
+        detectionMode: 'color_filter',
+        ignoredYRanges: [{ start: 0, end: 9 }],
+        colorDetection: { enabled: false },
+        shadowRemoval: { enabled: false }
+      }
+      motionZones.setZones('coop1', [
+        { name: 'Feeder', type: 'include', points: LEFT_HALF, sensitivity: 1 },
+        { name: 'Nest', type: 'include', points: RIGHT_HALF, sensitivity: 4 }
+      ])
+      const proxy = new EventEmitter()
+      proxy.sourceId = 'coop1'
+      const eventEmitter = { emit: vi.fn() }
+      service = new MotionDetectionService(proxy, eventEmitter)
+      service.previousFrameBuffer = new Uint8Array(100).fill(100)
+      service.processImage = vi.fn().mockResolvedValue(changedFrame(0, 10, 0, 1))
+
+      service.handleFrame(Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]))
+      await new Promise(resolve => setImmediate(resolve))
+      await vi.waitFor(() => expect(service.processing).toBe(false))
+
+      //zones replace the global ignored Y ranges, which would have hidden the whole frame
+      expect(eventEmitter.emit).toHaveBeenCalledWith('motion', expect.objectContaining({
+        sourceId: 'coop1',
+        zones: ['Nest']
+      }))
+      expect(service.getStatus()).toMatchObject({ ignoredYRanges: [], zones: { activeArea: 1 } })
+    })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createPauseScheduleService } from '../services/pauseScheduleService.js'
+import { formatCountdown, normalizeSlate, renderSlate } from '../services/slateRenderer.js'
+
+//minimal proxy with the pause api the scheduler drives
+const createMockProxy = () => {
+  const proxy = {
+    pauseState: { isPaused: false, reason: null, scheduleId: null },
+    pauseStream: vi.fn(async ({ reason = 'manual', scheduleId = null, endTime = null } = {}) => {
+      Object.assign(proxy.pauseState, { isPaused: true, reason, scheduleId, pauseEndTime: endTime })
+      return true
+    }),
+    resumeStream: vi.fn(() => {
+      Object.assign(proxy.pauseState, { isPaused: false, reason: null, scheduleId: null })
+      return true
+    })
+  }
+  return proxy
+}
+
+const at = (iso) => new Date(iso).getTime()
+
+describe('PauseScheduleService', () => {
+  let tmpDir
+  let config
+  let proxy
+  let service
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'))
+    config = {
+      streamSources: [{ id: 'coop1', name: 'Coop', isDefault: true }],
+      pauseSchedules: {
+        file: path.join(tmpDir, 'pause-schedules.json'),
+        checkIntervalMs: 5000,
+        timezone: 'UTC'
+      }
+    }
+    proxy = createMockProxy()
+    const streamManager = {
+      getSourceConfig: (sourceId) => config.streamSources.find(s => s.id === sourceId) || null,
+      getActiveProxy: (sourceId) => (sourceId === 'coop1' ? proxy : null)
+    }
+    service = createPauseScheduleService({ streamManager, config })
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    service.shutdown()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const addSchedule = (input, now = Date.now()) => {
+    const { schedule, error } = service.normalizeSchedule({ sourceId: 'coop1', ...input }, now)
+    expect(error).toBeUndefined()
+    return service.createSchedule(schedule)
+  }
+
+  it('should pause during a daily window that crosses midnight and resume after it', () => {
+    vi.setSystemTime(at('2026-06-01T12:00:00Z'))
+    const schedule = addSchedule({ start: '22:00', end: '05:00', slate: 'night' })
+    expect(proxy.pauseStream).not.toHaveBeenCalled()
+
+    service.tick(at('2026-06-01T23:30:00Z'))
+    expect(proxy.pauseStream).toHaveBeenCalledWith(expect.objectContaining({
+      reason: 'schedule',
+      scheduleId: schedule.id,
+      slate: 'night',
+      endTime: at('2026-06-02T05:00:00Z')
+    }))
+
+    service.tick(at('2026-06-02T05:00:00Z'))
+    expect(proxy.resumeStream).toHaveBeenCalledTimes(1)
+  })
+
+  it('should resume the source straight away when its active schedule is cancelled', () => {
+    vi.setSystemTime(at('2026-06-01T23:00:00Z'))
+    const schedule = addSchedule({ start: '22:00', end: '05:00' })
+    expect(proxy.pauseState.scheduleId).toBe(schedule.id)
+
+    expect(service.cancelSchedule(schedule.id)).toBe(true)
+
+    expect(proxy.resumeStream).toHaveBeenCalled()
+    expect(service.listSchedules()).toEqual([])
+    expect(service.cancelSchedule(schedule.id)).toBe(false)
+  })
+
+  it('should leave manual pauses alone', () => {
+    vi.setSystemTime(at('2026-06-01T12:00:00Z'))
+    addSchedule({ start: '22:00', end: '05:00' })
+    proxy.pauseState = { isPaused: true, reason: 'manual', scheduleId: null }
+
+    service.tick(at('2026-06-01T12:05:00Z'))
+    service.tick(at('2026-06-01T22:30:00Z'))
+
+    expect(proxy.resumeStream).not.toHaveBeenCalled()
+    expect(proxy.pauseStream).not.toHaveBeenCalled()
+  })
+
+  it('should drop one-off schedules once they are over and save the change', () => {
+    const now = at('2026-06-01T12:00:00Z')
+    vi.setSystemTime(now)
+    addSchedule({ type: 'once', startAt: '2026-06-01T13:00:00Z', endAt: '2026-06-01T14:00:00Z', slate: 'cleaning' }, now)
+
+    service.tick(at('2026-06-01T13:30:00Z'))
+    expect(proxy.pauseState.isPaused).toBe(true)
+
+    service.tick(at('2026-06-01T14:00:00Z'))
+    expect(proxy.resumeStream).toHaveBeenCalled()
+    expect(service.listSchedules()).toEqual([])
+    expect(JSON.parse(fs.readFileSync(config.pauseSchedules.file, 'utf8'))).toEqual([])
+  })
+
+  it('should keep running when the expired schedules cannot be saved', () => {
+    const now = at('2026-06-01T12:00:00Z')
+    vi.setSystemTime(now)
+    addSchedule({ type: 'once', startAt: '2026-06-01T13:00:00Z', endAt: '2026-06-01T14:00:00Z', slate: 'cleaning' }, now)
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const write = vi.spyOn(fs, 'writeFileSync').mockImplementation(() => {
+      throw new Error('ENOSPC: no space left on device')
+    })
+
+    expect(() => service.tick(at('2026-06-01T14:00:00Z'))).not.toThrow()
+    expect(service.listSchedules()).toEqual([])
+    //api changes still report the failure
+    expect(() => addSchedule({ type: 'daily', start: '22:00', end: '06:00', slate: 'night' }, at('2026-06-01T14:00:00Z'))).toThrow(/ENOSPC/)
+
+    write.mockRestore()
+    error.mockRestore()
+  })
+
+  it('should reject invalid schedules', () => {
+    const now = at('2026-06-01T12:00:00Z')
+    expect(service.normalizeSchedule({ sourceId: 'nope', start: '22:00', end: '05:00' }, now).error).toMatch(/not found/)
+    expect(service.normalizeSchedule({ sourceId: 'coop1', start: '25:00', end: '05:00' }, now).error).toMatch(/HH:MM/)
+    expect(service.normalizeSchedule({ sourceId: 'coop1', type: 'once', startAt: '2026-05-01T00:00:00Z', endAt: '2026-05-02T00:00:00Z' }, now).error).toMatch(/past/)
+    expect(service.normalizeSchedule({ sourceId: 'coop1', start: '22:00', end: '05:00', slate: 'disco' }, now).error).toMatch(/Unknown slate/)
+  })
+})
+
+describe('slateRenderer', () => {
+  it('should format long and short countdowns', () => {
+    expect(formatCountdown(65 * 1000)).toBe('1:05')
+    expect(formatCountdown((7 * 3600 + 4 * 60 + 5) * 1000)).toBe('7:04:05')
+    expect(formatCountdown(-1000)).toBe('0:00')
+  })
+
+  it('should validate inline slates', () => {
+    expect(normalizeSlate({ message: 'Back soon', image: 'coop.jpg' }).slate).toEqual({ message: 'Back soon', image: 'coop.jpg', countdown: true })
+    expect(normalizeSlate({ message: 'Back soon', image: '../secret.jpg' }).error).toMatch(/image/)
+    expect(normalizeSlate({ message: '' }).error).toMatch(/message/)
+  })
+
+  it('should render a slate as a jpeg', async () => {
+    const frame = await renderSlate({ message: 'Back soon', background: '#203040', countdown: true }, { endTime: Date.now() + 60000 })
+
+    expect(frame[0]).toBe(0xFF)
+    expect(frame[1]).toBe(0xD8)
+  })
+})
\ No newline at end of file
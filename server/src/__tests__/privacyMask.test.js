@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest'
+import sharp from 'sharp'
+import PrivacyMask, { normalizeMasks } from '../services/privacyMask.js'
+import privacyMasks from '../state/privacyMasks.js'
+import MjpegProxy from '../mjpegProxy.js'
+
+//left half of the frame
+const LEFT_HALF = [[0, 0], [0.5, 0], [0.5, 1], [0, 1]]
+
+//average rgb of a region of a jpeg
+const regionColor = async (jpeg, left, top) => {
+  const { data } = await sharp(jpeg).extract({ left, top, width: 20, height: 20 }).raw().toBuffer({ resolveWithObject: true })
+  const totals = [0, 0, 0]
+  for (let i = 0; i < data.length; i += 3) {
+    totals[0] += data[i]
+    totals[1] += data[i + 1]
+    totals[2] += data[i + 2]
+  }
+  return totals.map(total => Math.round(total / (data.length / 3)))
+}
+
+describe('normalizeMasks', () => {
+  it('should apply defaults to valid masks', () => {
+    const { masks } = normalizeMasks([{ points: LEFT_HALF }])
+
+    expect(masks).toEqual([{ name: 'Mask 1', points: LEFT_HALF, style: 'black', motion: 'use' }])
+  })
+
+  it('should reject invalid masks', () => {
+    expect(normalizeMasks({}).error).toMatch(/must be an array/)
+    expect(normalizeMasks([{ points: [[0, 0], [1, 1]] }]).error).toMatch(/between 3 and/)
+    expect(normalizeMasks([{ points: [[0, 0], [1, 0], [640, 360]] }]).error).toMatch(/fractions/)
+    expect(normalizeMasks([{ points: LEFT_HALF, style: 'blur' }]).error).toMatch(/style/)
+    expect(normalizeMasks([{ points: LEFT_HALF, motion: 'maybe' }]).error).toMatch(/motion/)
+  })
+})
+
+describe('PrivacyMask', () => {
+  let frame
+
+  beforeAll(async () => {
+    //orange left half, blue right half
+    const half = { width: 320, height: 360, channels: 3 }
+    frame = await sharp({ create: { width: 640, height: 360, channels: 3, background: { r: 0, g: 0, b: 255 } } })
+      .composite([{ input: { create: { ...half, background: { r: 255, g: 140, b: 0 } } }, left: 0, top: 0 }])
+      .jpeg()
+      .toBuffer()
+  })
+
+  beforeEach(() => {
+    privacyMasks._resetForTests()
+  })
+
+  it('should pass frames through when the source has no masks', async () => {
+    const mask = new PrivacyMask('coop2')
+
+    expect(mask.enabled).toBe(false)
+    expect(await mask.apply(frame)).toBe(frame)
+  })
+
+  it('should black out masked polygons only', async () => {
+    privacyMasks.setMasks('coop2', normalizeMasks([{ points: LEFT_HALF }]).masks)
+    const mask = new PrivacyMask('coop2')
+
+    const masked = await mask.apply(frame)
+
+    const [r, g, b] = await regionColor(masked, 100, 170)
+    expect(r + g + b).toBeLessThan(30)
+    const right = await regionColor(masked, 500, 170)
+    expect(right[2]).toBeGreaterThan(200)
+  })
+
+  it('should pixelate masked polygons without blacking them out', async () => {
+    privacyMasks.setMasks('coop2', normalizeMasks([{ points: LEFT_HALF, style: 'pixelate' }]).masks)
+    const mask = new PrivacyMask('coop2')
+
+    const masked = await mask.apply(frame)
+
+    const [r] = await regionColor(masked, 100, 170)
+    expect(r).toBeGreaterThan(200)
+    expect(mask.getStats()).toMatchObject({ masks: 1, framesMasked: 1 })
+  })
+
+  it('should drop the frame rather than leak it when masking fails', async () => {
+    privacyMasks.setMasks('coop2', normalizeMasks([{ points: LEFT_HALF }]).masks)
+    const mask = new PrivacyMask('coop2')
+
+    expect(await mask.apply(Buffer.from('not a jpeg'))).toBeNull()
+    expect(mask.getStats().errors).toBe(1)
+  })
+
+  it('should mask delivered frames and hide "ignore" masks from motion detection', async () => {
+    privacyMasks.setMasks('coop2', normalizeMasks([{ points: LEFT_HALF, style: 'pixelate', motion: 'ignore' }]).masks)
+    const proxy = new MjpegProxy('http://192.168.1.68:4747/video', { disableAutoConnect: true, sourceId: 'coop2' })
+    const onFrame = vi.fn()
+    const onMotionFrame = vi.fn()
+    proxy.on('frame', onFrame)
+    proxy.on('motion-frame', onMotionFrame)
+
+    proxy.frameCount = 29 // next frame is a motion sample
+    proxy.processFrame(frame)
+
+    await vi.waitFor(() => {
+      expect(onFrame).toHaveBeenCalledTimes(1)
+      expect(onMotionFrame).toHaveBeenCalledTimes(1)
+    })
+    expect(proxy.lastFrame).toBe(onFrame.mock.calls[0][0])
+    expect(proxy.lastFrame).not.toBe(frame)
+
+    //motion detection gets a solid black area even for a pixelated mask
+    const [r, g, b] = await regionColor(onMotionFrame.mock.calls[0][0], 100, 170)
+    expect(r + g + b).toBeLessThan(30)
+  })
+
+  it('should log rather than reject when a motion frame listener throws', async () => {
+    privacyMasks.setMasks('coop2', normalizeMasks([{ points: LEFT_HALF, motion: 'ignore' }]).masks)
+    const proxy = new MjpegProxy('http://192.168.1.68:4747/video', { disableAutoConnect: true, sourceId: 'coop2' })
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    proxy.on('motion-frame', () => {
+      throw new Error('detector failed')
+    })
+
+    proxy.emitMotionFrame(frame, 30)
+
+    await vi.waitFor(() => expect(errorSpy).toHaveBeenCalledWith(
+      '[Proxy coop2] Error emitting motion frame 30:',
+      'detector failed'
+    ))
+    errorSpy.mockRestore()
+  })
+})
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+import sharp from 'sharp'
+import { renderSnapshot, formatSnapshotTimestamp, escapeXml } from '../utils/snapshotUtils.js'
+import { createStreamController } from '../controllers/streamController.js'
+
+const createMockResponse = () => {
+  const res = {}
+  res.status = vi.fn(() => res)
+  res.set = vi.fn(() => res)
+  res.json = vi.fn(() => res)
+  res.type = vi.fn(() => res)
+  res.send = vi.fn(() => res)
+  res.end = vi.fn(() => res)
+  return res
+}
+
+let frame
+
+beforeAll(async () => {
+  frame = await sharp({ create: { width: 640, height: 360, channels: 3, background: { r: 90, g: 120, b: 60 } } })
+    .jpeg({ quality: 95 })
+    .toBuffer()
+})
+
+describe('snapshotUtils', () => {
+  it('should return the original frame when nothing is requested', async () => {
+    expect(await renderSnapshot(frame)).toBe(frame)
+  })
+
+  it('should resize keeping the aspect ratio and never enlarge', async () => {
+    const small = await sharp(await renderSnapshot(frame, { width: 320 })).metadata()
+    const large = await sharp(await renderSnapshot(frame, { width: 1920 })).metadata()
+
+    expect([small.width, small.height]).toEqual([320, 180])
+    expect([large.width, large.height]).toEqual([640, 360])
+  })
+
+  it('should burn in a timestamp bar and honor the quality', async () => {
+    const low = await renderSnapshot(frame, { quality: 10 })
+    const stamped = await renderSnapshot(frame, { timestamp: '2024-06-01 07:15:32 PDT' })
+    //stats() reads the input image, so sample the raw pixels of the strip instead
+    const greenMean = async (top) => {
+      const pixels = await sharp(stamped).extract({ left: 300, top, width: 300, height: 10 }).raw().toBuffer()
+      let sum = 0
+      for (let i = 1; i < pixels.length; i += 3) sum += pixels[i]
+      return sum / (pixels.length / 3)
+    }
+
+    expect(low.length).toBeLessThan(frame.length)
+    //the translucent black bar darkens the bottom of the frame only
+    expect(await greenMean(340)).toBeLessThan(80)
+    expect(await greenMean(100)).toBeGreaterThan(100)
+  })
+
+  it('should format timestamps in the configured time zone', () => {
+    const date = new Date('2024-06-01T14:15:32Z')
+
+    expect(formatSnapshotTimestamp(date, 'America/Los_Angeles')).toBe('2024-06-01 07:15:32 PDT')
+    expect(formatSnapshotTimestamp(new Date('2024-06-01T07:00:05Z'), 'UTC')).toBe('2024-06-01 07:00:05 UTC')
+  })
+
+  it('should escape text for the svg overlay', () => {
+    expect(escapeXml('<Coop & "Run">')).toBe('&lt;Coop &amp; &quot;Run&quot;&gt;')
+  })
+})
+
+describe('StreamController snapshot', () => {
+  const setup = (proxyOverrides = {}) => {
+    const proxy = {
+      sourceId: 'coop1',
+      lastFrame: frame,
+      frameCount: 42,
+      lastFrameTime: Date.parse('2024-06-01T14:15:32Z'),
+      isConnected: true,
+      ...proxyOverrides
+    }
+    const controller = createStreamController({
+      streamManager: { getProxy: (sourceId) => (sourceId === 'coop1' ? proxy : null), listAvailableSources: () => ['coop1'] },
+      authService: {},
+      config: { snapshot: { maxAgeSeconds: 1, timezone: 'America/Los_Angeles' } }
+    })
+    const request = (query = {}) => ({ params: { sourceId: 'coop1' }, query, fresh: false })
+    return { controller, request }
+  }
+
+  it('should serve the latest frame with per-frame cache headers', async () => {
+    const { controller, request } = setup()
+    const res = createMockResponse()
+
+    await controller.getSnapshot(request(), res)
+
+    expect(res.type).toHaveBeenCalledWith('image/jpeg')
+    expect(res.send).toHaveBeenCalledWith(frame)
+    expect(res.set).toHaveBeenCalledWith({
+      'Cache-Control': 'public, max-age=1, must-revalidate',
+      'Last-Modified': 'Sat, 01 Jun 2024 14:15:32 GMT',
+      'ETag': '"coop1-42-orig"'
+    })
+  })
+
+  it('should apply width, quality and timestamp options', async () => {
+    const { controller, request } = setup()
+    const res = createMockResponse()
+
+    await controller.getSnapshot(request({ width: '320', quality: '50', timestamp: '1' }), res)
+
+    expect(res.set.mock.calls[0][0].ETag).toBe('"coop1-42-w320-q50-ts"')
+    const metadata = await sharp(res.send.mock.calls[0][0]).metadata()
+    expect(metadata.width).toBe(320)
+  })
+
+  it('should answer 304 while the frame has not changed', async () => {
+    const { controller, request } = setup()
+    const res = createMockResponse()
+
+    await controller.getSnapshot({ ...request(), fresh: true }, res)
+
+    expect(res.status).toHaveBeenCalledWith(304)
+    expect(res.send).not.toHaveBeenCalled()
+  })
+
+  it('should reject malformed width and quality', async () => {
+    const { controller, request } = setup()
+    const badWidth = createMockResponse()
+    const badQuality = createMockResponse()
+
+    await controller.getSnapshot(request({ width: 'wide' }), badWidth)
+    await controller.getSnapshot(request({ quality: '-5' }), badQuality)
+
+    expect(badWidth.status).toHaveBeenCalledWith(400)
+    expect(badWidth.json.mock.calls[0][0].message).toMatch(/width/)
+    expect(badQuality.status).toHaveBeenCalledWith(400)
+    expect(badQuality.json.mock.calls[0][0].message).toMatch(/quality/)
+  })
+
+  it('should answer 503 until the pause ends instead of the live frame while paused', async () => {
+    const pauseEndTime = Date.now() + 120000
+    const { controller, request } = setup({ pauseState: { isPaused: true, pauseEndTime } })
+    const res = createMockResponse()
+
+    await controller.getSnapshot(request(), res)
+
+    expect(res.status).toHaveBeenCalledWith(503)
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '120')
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, isPaused: true, pauseEndTime }))
+    expect(res.send).not.toHaveBeenCalled()
+  })
+
+  it('should answer 503 with retry-after before the first frame and 404 for unknown sources', async () => {
+    const { controller, request } = setup({ lastFrame: null, isConnected: false })
+    const waiting = createMockResponse()
+    const missing = createMockResponse()
+
+    await controller.getSnapshot(request(), waiting)
+    await controller.getSnapshot({ params: { sourceId: 'nope' }, query: {} }, missing)
+
+    expect(waiting.status).toHaveBeenCalledWith(503)
+    expect(waiting.set).toHaveBeenCalledWith('Retry-After', '5')
+    expect(waiting.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, isConnected: false }))
+    expect(missing.status).toHaveBeenCalledWith(404)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+import sharp from 'sharp'
+import StreamVariantManager, { parseVariantOptions, validateVariantOptions } from '../services/streamVariantManager.js'
+import { createStreamController } from '../controllers/streamController.js'
+
+describe('parseVariantOptions', () => {
+  it('should return null when no variant is requested', () => {
+    expect(parseVariantOptions(undefined, undefined)).toBeNull()
+    expect(parseVariantOptions('abc', '')).toBeNull()
+  })
+
+  it('should round and clamp width and quality', () => {
+    expect(parseVariantOptions('641', '50')).toEqual({ width: 640, quality: 50 })
+    expect(parseVariantOptions('20', '5')).toEqual({ width: 160, quality: 10 })
+    expect(parseVariantOptions('8000', '100')).toEqual({ width: 1920, quality: 95 })
+  })
+
+  it('should default quality when only width is given', () => {
+    expect(parseVariantOptions('480')).toEqual({ width: 480, quality: 70 })
+  })
+})
+
+describe('validateVariantOptions', () => {
+  it('should accept missing or positive whole numbers', () => {
+    expect(validateVariantOptions(undefined, undefined)).toBeNull()
+    expect(validateVariantOptions(null, null)).toBeNull()
+    expect(validateVariantOptions('640', '50')).toBeNull()
+  })
+
+  it('should name the malformed option', () => {
+    expect(validateVariantOptions('wide', undefined)).toBe('width must be a positive whole number')
+    expect(validateVariantOptions('640', '-5')).toBe('quality must be a positive whole number')
+    expect(validateVariantOptions('', undefined)).toMatch(/width/)
+    expect(validateVariantOptions('1.5', undefined)).toMatch(/width/)
+  })
+
+  it('should answer malformed options on the live stream with a 400 like snapshots', () => {
+    const proxy = { sourceId: 'coop1', addClient: vi.fn(), mustQueue: vi.fn(() => false) }
+    const controller = createStreamController({
+      streamManager: { getProxy: () => proxy, listAvailableSources: () => ['coop1'] },
+      authService: {},
+      config: {}
+    })
+    const res = { status: vi.fn(() => res), json: vi.fn(() => res) }
+
+    controller.handleStream({ params: { sourceId: 'coop1' }, query: { width: 'wide' }, headers: {} }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'width must be a positive whole number' })
+    expect(proxy.addClient).not.toHaveBeenCalled()
+  })
+})
+
+describe('StreamVariantManager', () => {
+  let sourceFrame
+
+  beforeAll(async () => {
+    sourceFrame = await sharp({
+      create: { width: 1280, height: 720, channels: 3, background: { r: 120, g: 80, b: 40 } }
+    }).jpeg().toBuffer()
+  })
+
+  it('should share one variant between clients requesting the same spec', () => {
+    const manager = new StreamVariantManager(vi.fn())
+
+    const key1 = manager.acquire({ width: 640, quality: 50 })
+    const key2 = manager.acquire({ width: 640, quality: 50 })
+
+    expect(key1).toBe(key2)
+    expect(manager.variants.size).toBe(1)
+    expect(manager.getStats()[key1].clients).toBe(2)
+  })
+
+  it('should remove a variant once its last client releases it', () => {
+    const manager = new StreamVariantManager(vi.fn())
+    const key = manager.acquire({ width: 640, quality: 50 })
+    manager.acquire({ width: 640, quality: 50 })
+
+    manager.release(key)
+    expect(manager.variants.has(key)).toBe(true)
+
+    manager.release(key)
+    expect(manager.variants.has(key)).toBe(false)
+  })
+
+  it('should refuse new variants past the per-source limit', () => {
+    const manager = new StreamVariantManager(vi.fn(), { maxVariants: 1 })
+
+    expect(manager.acquire({ width: 640, quality: 50 })).not.toBeNull()
+    expect(manager.acquire({ width: 320, quality: 50 })).toBeNull()
+  })
+
+  it('should transcode each frame once per variant', async () => {
+    const onVariantFrame = vi.fn()
+    const manager = new StreamVariantManager(onVariantFrame)
+    const key = manager.acquire({ width: 320, quality: 40 })
+    manager.acquire({ width: 320, quality: 40 })
+
+    manager.encode(sourceFrame)
+    //second frame arrives while the first is still encoding and is skipped
+    manager.encode(sourceFrame)
+
+    await vi.waitFor(() => expect(onVariantFrame).toHaveBeenCalledTimes(1))
+
+    const [calledKey, output] = onVariantFrame.mock.calls[0]
+    expect(calledKey).toBe(key)
+    const metadata = await sharp(output).metadata()
+    expect(metadata.width).toBe(320)
+    expect(manager.getStats()[key].framesSkipped).toBe(1)
+    expect(manager.getLastFrame(key)).toBe(output)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { config } from '../config.js'
+import TimelapseService from '../services/timelapseService.js'
+import { getSunTimes, isDaylight } from '../utils/sunUtils.js'
+
+describe('sunUtils', () => {
+  //Irvine, CA on the summer solstice: sunrise ~5:42 PDT, sunset ~20:06 PDT
+  const latitude = 33.6846
+  const longitude = -117.8265
+
+  it('should calculate sunrise and sunset within a few minutes', () => {
+    const { sunrise, sunset } = getSunTimes(new Date('2024-06-21T19:00:00Z'), latitude, longitude)
+
+    expect(Math.abs(sunrise - new Date('2024-06-21T12:42:00Z'))).toBeLessThan(5 * 60 * 1000)
+    expect(Math.abs(sunset - new Date('2024-06-22T03:06:00Z'))).toBeLessThan(5 * 60 * 1000)
+  })
+
+  it('should report daylight only between sunrise and sunset', () => {
+    expect(isDaylight(new Date('2024-06-21T20:00:00Z'), latitude, longitude)).toBe(true)
+    expect(isDaylight(new Date('2024-06-21T10:00:00Z'), latitude, longitude)).toBe(false)
+    //margin extends the window past sunset
+    expect(isDaylight(new Date('2024-06-22T03:15:00Z'), latitude, longitude, 15)).toBe(true)
+  })
+
+  it('should return null during polar night', () => {
+    expect(getSunTimes(new Date('2024-12-21T12:00:00Z'), 80, 0)).toBeNull()
+  })
+})
+
+describe('TimelapseService', () => {
+  let outputDir
+  let proxy
+  let service
+  const originalConfig = { ...config.timelapse }
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelapse-test-'))
+    Object.assign(config.timelapse, { outputDir, daylightOnly: false, intervalSeconds: 60 })
+
+    proxy = {
+      sourceId: 'coop1',
+      isConnected: true,
+      lastFrame: Buffer.from('jpeg-data'),
+      lastFrameTime: Date.now()
+    }
+    service = new TimelapseService(proxy, 'coop1')
+    service.currentDate = service.getLocalDate()
+  })
+
+  afterEach(async () => {
+    Object.assign(config.timelapse, originalConfig)
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  it('should save sequentially numbered frames for the current day', async () => {
+    await service.captureFrame()
+    await service.captureFrame()
+
+    const files = await fs.readdir(service.getFramesDir(service.currentDate))
+    expect(files.sort()).toEqual(['000001.jpg', '000002.jpg'])
+    expect(service.getStats().framesCaptured).toBe(2)
+  })
+
+  it('should skip stale frames from a disconnected camera', async () => {
+    proxy.isConnected = false
+    await service.captureFrame()
+
+    proxy.isConnected = true
+    proxy.lastFrameTime = Date.now() - 5 * 60 * 1000
+    await service.captureFrame()
+
+    expect(service.getStats().framesSkipped).toBe(2)
+    expect(await service.countFrames(service.currentDate)).toBe(0)
+  })
+
+  it('should skip captures while the camera is paused', async () => {
+    proxy.pauseState = { isPaused: true }
+    await service.captureFrame()
+
+    proxy.pauseState = { isPaused: false }
+    await service.captureFrame()
+
+    expect(service.getStats()).toMatchObject({ framesSkipped: 1, framesCaptured: 1 })
+    expect(await service.countFrames(service.currentDate)).toBe(1)
+  })
+
+  it('should compile the previous day when the date rolls over', async () => {
+    const compileDay = vi.spyOn(service, 'compileDay').mockResolvedValue(null)
+    service.currentDate = '2024-01-01'
+    service.frameIndex = 42
+
+    await service.captureFrame()
+
+    expect(compileDay).toHaveBeenCalledWith('2024-01-01')
+    expect(service.frameIndex).toBe(1)
+  })
+
+  it('should drop days with too few frames instead of compiling them', async () => {
+    await service.captureFrame()
+
+    const result = await service.compileDay(service.currentDate)
+
+    expect(result).toBeNull()
+    expect(await service.countFrames(service.currentDate)).toBe(0)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createViewerAnalyticsService } from '../services/viewerAnalyticsService.js'
+import { createAnalyticsController } from '../controllers/analyticsController.js'
+import express from 'express'
+import request from 'supertest'
+import { createAnalyticsRouter } from '../routes/api/analytics.js'
+import createAdminAuthMiddleware from '../middleware/adminAuth.js'
+import MjpegProxy from '../mjpegProxy.js'
+
+const HOUR = 60 * 60 * 1000
+//yesterday 00:00 utc, so saved sessions stay inside the retention window
+const MIDNIGHT = Math.floor(Date.now() / (24 * HOUR)) * 24 * HOUR - 24 * HOUR
+
+describe('ViewerAnalyticsService', () => {
+  let tmpDir
+  let config
+  let service
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'))
+    config = {
+      analytics: {
+        file: path.join(tmpDir, 'viewer-sessions.jsonl'),
+        retentionDays: 90,
+        minSessionSeconds: 2,
+        timezone: 'UTC'
+      }
+    }
+    service = createViewerAnalyticsService({ config })
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const watch = (clientId, sourceId, start, end, isMobile = false) => {
+    service.startSession({ clientId, sourceId, transport: 'mjpeg', requestedFps: 10, isMobile, connectedAt: start })
+    return service.endSession({ clientId, sourceId, framesSent: ((end - start) / 1000) * 10, disconnectedAt: end }, { sync: true })
+  }
+
+  it('should persist finished sessions and load them back', () => {
+    const session = watch('a', 'coop1', MIDNIGHT + 8 * HOUR, MIDNIGHT + 9 * HOUR, true)
+
+    expect(session).toMatchObject({ sourceId: 'coop1', device: 'mobile', durationSeconds: 3600, averageFps: 10 })
+    expect(watch('blip', 'coop1', MIDNIGHT, MIDNIGHT + 500)).toBeNull()
+
+    const reloaded = createViewerAnalyticsService({ config })
+    const analytics = reloaded.getViewerAnalytics({ days: 7, now: MIDNIGHT + 24 * HOUR })
+    expect(analytics.overall).toMatchObject({ sessions: 1, totalWatchHours: 1, devices: { mobile: 1, desktop: 0 } })
+  })
+
+  it('should report peak concurrency and split watch time into local hours', () => {
+    watch('a', 'coop1', MIDNIGHT + 8.5 * HOUR, MIDNIGHT + 10 * HOUR)
+    watch('b', 'coop1', MIDNIGHT + 9 * HOUR, MIDNIGHT + 9.5 * HOUR)
+    watch('c', 'coop2', MIDNIGHT + 9.25 * HOUR, MIDNIGHT + 9.75 * HOUR)
+    watch('d', 'coop1', MIDNIGHT + 10 * HOUR, MIDNIGHT + 11 * HOUR)
+
+    const analytics = service.getViewerAnalytics({ days: 1, now: MIDNIGHT + 12 * HOUR })
+    const coop1 = analytics.cameras.coop1
+
+    expect(analytics.overall.peakConcurrency).toEqual({ viewers: 3, at: new Date(MIDNIGHT + 9.25 * HOUR).toISOString() })
+    expect(coop1.peakConcurrency.viewers).toBe(2)
+    expect(coop1.totalWatchHours).toBe(3)
+    expect(coop1.hourly[8]).toEqual({ hour: 8, watchHours: 0.5, sessions: 1 })
+    expect(coop1.hourly[9]).toEqual({ hour: 9, watchHours: 1.5, sessions: 1 })
+    expect(coop1.hourly[10]).toEqual({ hour: 10, watchHours: 1, sessions: 1 })
+    expect(analytics.cameras.coop2.totalWatchHours).toBe(0.5)
+  })
+
+  it('should count open sessions up to now and filter by camera', () => {
+    service.startSession({ clientId: 'live', sourceId: 'coop2', transport: 'ws', isMobile: false, connectedAt: MIDNIGHT })
+
+    const analytics = service.getViewerAnalytics({ days: 1, sourceId: 'coop2', now: MIDNIGHT + 2 * HOUR })
+
+    expect(analytics.currentViewers).toBe(1)
+    expect(analytics.overall.totalWatchHours).toBe(2)
+    expect(Object.keys(analytics.cameras)).toEqual(['coop2'])
+  })
+
+  it('should follow viewers added to and removed from a proxy', () => {
+    const proxy = new MjpegProxy('http://192.168.1.67:4747/video', { disableAutoConnect: true, sourceId: 'coop1' })
+    const res = new EventEmitter()
+    res.writeHead = vi.fn()
+    res.write = vi.fn(() => true)
+    const socketWriter = new EventEmitter()
+    socketWriter.write = vi.fn(() => true)
+    service.trackProxy(proxy)
+    vi.useFakeTimers({ now: MIDNIGHT })
+
+    try {
+      proxy.addClient('viewer-1', res, 5, null, { isMobile: true })
+      proxy.addSocketClient('viewer-2', socketWriter, null, null, { isMobile: true })
+      vi.setSystemTime(MIDNIGHT + 60000)
+      proxy.removeClient('viewer-1')
+      proxy.removeClient('viewer-2')
+    } finally {
+      vi.useRealTimers()
+      proxy.disconnect()
+    }
+
+    const analytics = service.getViewerAnalytics({ days: 1, now: MIDNIGHT + HOUR })
+    expect(analytics.cameras.coop1).toMatchObject({ sessions: 2, averageSessionMinutes: 1, devices: { mobile: 2 } })
+  })
+})
+
+describe('AnalyticsController', () => {
+  it('should validate the day range', () => {
+    const viewerAnalyticsService = { getViewerAnalytics: vi.fn(() => ({ overall: {} })) }
+    const controller = createAnalyticsController({ viewerAnalyticsService, config: { analytics: { retentionDays: 90 } } })
+    const res = { status: vi.fn(() => res), json: vi.fn(() => res) }
+
+    controller.getViewerAnalytics({ query: { days: '365' } }, res)
+    controller.getViewerAnalytics({ query: { days: '30', sourceId: 'coop1' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(viewerAnalyticsService.getViewerAnalytics).toHaveBeenCalledWith({ days: 30, sourceId: 'coop1' })
+    expect(res.json).toHaveBeenLastCalledWith({ success: true, overall: {} })
+  })
+})
+
+describe('analytics routes', () => {
+  it('should only serve viewer analytics to admins', async () => {
+    const analyticsController = { getViewerAnalytics: vi.fn((req, res) => res.json({ success: true })) }
+    const authService = {
+      isRateLimited: () => false,
+      verifyPassword: (password, expected) => password === expected,
+      recordFailedAttempt: vi.fn()
+    }
+    const adminAuth = createAdminAuthMiddleware({ authService, config: { ADMIN_PASSWORD: 'letmein' } })
+    const app = express()
+    app.use('/api', createAnalyticsRouter({ analyticsController, adminAuth }))
+
+    await request(app).get('/api/analytics/viewers').expect(401)
+    await request(app).get('/api/analytics/viewers').set('Authorization', 'Bearer letmein').expect(200)
+    expect(analyticsController.getViewerAnalytics).toHaveBeenCalledTimes(1)
+  })
+})
\ No newline at end of file
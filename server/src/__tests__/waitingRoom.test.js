@@ -0,0 +1,207 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { EventEmitter } from 'events'
+import WaitingRoom from '../services/waitingRoom.js'
+import MjpegProxy from '../mjpegProxy.js'
+import { createStreamController } from '../controllers/streamController.js'
+
+const FRAME = Buffer.from([0xFF, 0xD8, 0x01, 0x02, 0xFF, 0xD9])
+
+const createStreamResponse = () => {
+  const res = new EventEmitter()
+  res.writeHead = vi.fn(() => { res.headersSent = true })
+  res.write = vi.fn(() => true)
+  res.end = vi.fn()
+  res.set = vi.fn(() => res)
+  res.status = vi.fn(() => res)
+  res.json = vi.fn(() => res)
+  return res
+}
+
+describe('WaitingRoom', () => {
+  it('should admit waiters in arrival order as slots free up', () => {
+    const room = new WaitingRoom({ maxViewers: 2 })
+
+    expect(room.mustWait(1)).toBe(false)
+    expect(room.addWaiter({ id: 'a' }, {}, 0)).toBe(1)
+    expect(room.addWaiter({ id: 'b' }, {}, 0)).toBe(2)
+    //a newcomer still lines up behind them even with a free slot
+    expect(room.mustWait(1)).toBe(true)
+
+    expect(room.admitNext(1).map(waiter => waiter.id)).toEqual(['a'])
+    expect(room.position('b')).toBe(1)
+    expect(room.admitNext(0).map(waiter => waiter.id)).toEqual(['b'])
+    expect(room.getStats()).toMatchObject({ maxViewers: 2, waiting: 0, queued: 2, admitted: 2 })
+  })
+
+  it('should reserve a slot for admitted tickets and expire ones that stop polling', () => {
+    const room = new WaitingRoom({ maxViewers: 1, ticketTtlMs: 1000 })
+
+    const first = room.checkTicket(null, 1, 0)
+    const second = room.checkTicket(null, 1, 0)
+    expect(first).toMatchObject({ admitted: false, position: 1 })
+    expect(second).toMatchObject({ admitted: false, position: 2 })
+
+    expect(room.admitNext(0, 500)).toEqual([])
+    expect(room.checkTicket(first.ticket, 0, 600)).toMatchObject({ admitted: true, ticket: first.ticket })
+    //the reserved slot keeps the line closed for everyone else
+    expect(room.isFull(0)).toBe(true)
+
+    expect(room.expire(1600)).toBe(2)
+    expect(room.claimReservation(first.ticket)).toBe(false)
+    expect(room.isIdle).toBe(true)
+  })
+
+  it('should turn waiters away once the line is full', () => {
+    const room = new WaitingRoom({ maxViewers: 1, maxQueue: 1 })
+
+    expect(room.addWaiter({ id: 'a' })).toBe(1)
+    expect(room.addWaiter({ id: 'b' })).toBe(0)
+    expect(room.checkTicket(null, 1)).toEqual({ admitted: false, full: true })
+    expect(room.stats.rejected).toBe(2)
+  })
+})
+
+describe('MjpegProxy viewer cap', () => {
+  let proxy
+
+  afterEach(() => {
+    proxy?.disconnect()
+  })
+
+  it('should send waiting viewers a still and connect them when a viewer leaves', () => {
+    proxy = new MjpegProxy('http://192.168.1.67:4747/video', { disableAutoConnect: true, sourceId: 'coop1', maxViewers: 1 })
+    proxy.lastFrame = FRAME
+    const first = createStreamResponse()
+    const waiting = createStreamResponse()
+
+    proxy.addClient('first', first)
+    expect(proxy.mustQueue()).toBe(true)
+    expect(proxy.mustQueue({ exempt: true })).toBe(false)
+    expect(proxy.queueViewer('waiting', waiting)).toBe(1)
+
+    expect(waiting.writeHead).toHaveBeenCalledTimes(1)
+    expect(waiting.write.mock.calls[0][0].includes(FRAME)).toBe(true)
+    expect(proxy.clients.has('waiting')).toBe(false)
+
+    first.emit('close')
+
+    expect(proxy.clients.has('waiting')).toBe(true)
+    expect(waiting.writeHead).toHaveBeenCalledTimes(1) // headers were already sent while waiting
+    expect(proxy.getStats().waitingRoom).toMatchObject({ maxViewers: 1, waiting: 0, admitted: 1 })
+  })
+
+  it('should drop viewers that leave the line', () => {
+    proxy = new MjpegProxy('http://192.168.1.67:4747/video', { disableAutoConnect: true, sourceId: 'coop1', maxViewers: 1 })
+    const first = createStreamResponse()
+    const gaveUp = createStreamResponse()
+    proxy.addClient('first', first)
+    proxy.queueViewer('gave-up', gaveUp)
+
+    gaveUp.emit('close')
+    first.emit('close')
+
+    expect(proxy.clients.size).toBe(0)
+    expect(proxy.waitingRoom.isIdle).toBe(true)
+  })
+})
+
+describe('StreamController waiting room', () => {
+  let proxy
+
+  afterEach(() => {
+    proxy?.disconnect()
+  })
+
+  const setup = () => {
+    proxy = new MjpegProxy('http://192.168.1.67:4747/video', { disableAutoConnect: true, sourceId: 'coop1', maxViewers: 1 })
+    const authService = {
+      isRateLimited: vi.fn(() => false),
+      verifyPassword: vi.fn((password, expected) => password === expected),
+      recordFailedAttempt: vi.fn()
+    }
+    const controller = createStreamController({
+      streamManager: { getProxy: () => proxy, listAvailableSources: () => [] },
+      authService,
+      config: { ADMIN_PASSWORD: 'letmein' }
+    })
+    const request = (headers = {}, query = {}) => ({
+      params: { sourceId: 'coop1' },
+      query,
+      headers,
+      originalUrl: `/api/stream/coop1${query.fps ? `?fps=${query.fps}` : ''}`
+    })
+    return { controller, authService, request }
+  }
+
+  it('should give json clients their place in line and a ticket for the reserved slot', () => {
+    const { controller, request } = setup()
+    const viewer = createStreamResponse()
+    const poll = createStreamResponse()
+    controller.handleStream(request(), viewer)
+
+    controller.handleStream(request({ accept: 'application/json' }, { fps: '5' }), poll)
+
+    expect(poll.status).toHaveBeenCalledWith(503)
+    expect(poll.set).toHaveBeenCalledWith('Retry-After', '5')
+    const { ticket, position } = poll.json.mock.calls[0][0]
+    expect(position).toBe(1)
+
+    viewer.emit('close')
+    const admitted = createStreamResponse()
+    controller.handleStream(request({ accept: 'application/json' }, { fps: '5', ticket }), admitted)
+    expect(admitted.json).toHaveBeenCalledWith({
+      success: true,
+      admitted: true,
+      ticket,
+      streamUrl: `/api/stream/coop1?fps=5&ticket=${ticket}`
+    })
+
+    //the reserved slot goes to the ticket holder, not to whoever connects first
+    const other = createStreamResponse()
+    const stream = createStreamResponse()
+    controller.handleStream(request(), other)
+    controller.handleStream(request({}, { fps: '5', ticket }), stream)
+    expect(proxy.waitingRoom.queue).toHaveLength(1)
+    expect(proxy.clients.size).toBe(1)
+    expect(Array.from(proxy.clients.values())[0].res).toBe(stream)
+  })
+
+  it('should hold rewind viewers to the cap and count their playback as a viewer', async () => {
+    const { controller, request } = setup()
+    let finishPlayback
+    const dvrService = { play: vi.fn(() => new Promise(resolve => { finishPlayback = resolve })) }
+    const dvrController = createStreamController({
+      streamManager: { getProxy: () => proxy, listAvailableSources: () => [] },
+      authService: { isRateLimited: () => false, verifyPassword: () => false, recordFailedAttempt: vi.fn() },
+      dvrServices: new Map([['coop1', dvrService]]),
+      config: { ADMIN_PASSWORD: 'letmein', dvr: { windowSeconds: 600, catchUpSpeed: 1.5 } }
+    })
+    const rewind = createStreamResponse()
+    const playing = dvrController.handleStream({ ...request(), query: { offset: '-60' } }, rewind)
+
+    //the playback holds the only slot, so live and rewind viewers alike wait in line
+    controller.handleStream(request(), createStreamResponse())
+    await dvrController.handleStream({ ...request(), query: { offset: '-1' } }, createStreamResponse())
+    expect(dvrService.play).toHaveBeenCalledTimes(1)
+    expect(proxy.waitingRoom.queue).toHaveLength(2)
+
+    //handing over to live keeps the slot
+    finishPlayback('live')
+    await playing
+    expect(proxy.clients.size).toBe(1)
+    expect(Array.from(proxy.clients.values())[0].res).toBe(rewind)
+    expect(proxy.waitingRoom.queue).toHaveLength(2)
+  })
+
+  it('should let admins past the cap and count a wrong token as a failed attempt', () => {
+    const { controller, authService, request } = setup()
+    controller.handleStream(request(), createStreamResponse())
+
+    controller.handleStream(request({ authorization: 'Bearer letmein' }), createStreamResponse())
+    controller.handleStream(request({ authorization: 'Bearer guess' }), createStreamResponse())
+
+    expect(proxy.clients.size).toBe(2)
+    expect(proxy.waitingRoom.queue).toHaveLength(1)
+    expect(authService.recordFailedAttempt).toHaveBeenCalledTimes(1)
+  })
+})
\ No newline at end of file
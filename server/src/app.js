@@ -19,11 +19,16 @@ import MjpegProxy from './mjpegProxy.js';
 import { createStreamManager } from './services/streamManager.js';
 import { config, DROIDCAM_URL } from './config.js';
 import { fetchWeatherData, getCacheStatus } from './services/weatherService.js';
-import MotionDetectionService from './services/motionDetectionService.js';
-import RecordingService from './services/recordingService.js';
 import ThumbnailService from './services/thumbnailService.js';
 import ReactionService, { REACTION_TYPES, CHICKEN_TONES } from './services/reactionService.js';
 import { createShareService } from './services/shareService.js';
+import { createHlsService } from './services/hlsService.js';
+import { createWsStreamService } from './services/wsStreamService.js';
+import { createSourceAdminService } from './services/sourceAdminService.js';
+import { createPauseScheduleService } from './services/pauseScheduleService.js';
+import { createMetricsService } from './services/metricsService.js';
+import { createViewerAnalyticsService } from './services/viewerAnalyticsService.js';
+import { getPerformanceMonitor } from './utils/performanceMonitor.js';
 import flashlightState from './state/flashlightState.js';
 import sseService from './state/sseService.js';
 import authService from './state/authState.js';
@@ -66,45 +71,57 @@ const eventEmitter = new EventEmitter();
 // Create per-camera service instances for multi-camera support
 const motionDetectionServices = new Map(); // Map<sourceId, MotionDetectionService>
 const recordingServices = new Map(); // Map<sourceId, RecordingService>
+const timelapseServices = new Map(); // Map<sourceId, TimelapseService>
+const dvrServices = new Map(); // Map<sourceId, DvrService>
+
+// Create HLS service - encoders start lazily on first playlist request
+const hlsService = createHlsService({ streamManager, config });
+console.log(`[Server] HLS service created (${config.hls.enabled ? 'enabled' : 'disabled'})`);
+
+// Create viewer analytics service - records viewer sessions for /api/analytics/viewers
+const viewerAnalyticsService = config.analytics.enabled ? createViewerAnalyticsService({ config }) : null;
+console.log(`[Server] Viewer analytics ${viewerAnalyticsService ? `saving sessions to ${config.analytics.file}` : 'disabled'}`);
+
+// Create source admin service - owns per-camera services so sources can be added/removed at runtime
+const sourceAdminService = createSourceAdminService({
+  streamManager,
+  eventEmitter,
+  motionDetectionServices,
+  recordingServices,
+  timelapseServices,
+  dvrServices,
+  motionEventsService,
+  flashlightState,
+  hlsService,
+  viewerAnalyticsService,
+  config
+});
 
 // Initialize services for each configured stream source
 for (const streamSource of config.streamSources) {
   const { id: sourceId, name: sourceName } = streamSource;
   console.log(`[Server] Initializing services for camera: ${sourceId} (${sourceName})`);
-  
-  // Get the proxy for this specific camera
-  const mjpegProxy = streamManager.getProxy(sourceId);
-  
-  // Create motion detection service for this camera
-  const motionDetectionService = new MotionDetectionService(mjpegProxy, eventEmitter);
-  motionDetectionServices.set(sourceId, motionDetectionService);
-  console.log(`[Server] Motion detection service created for camera: ${sourceId}`);
-
-  // Create recording service for this camera if enabled
-  if (config.recording.enabled) {
-    const recordingService = new RecordingService(mjpegProxy, eventEmitter, sourceId);
-    recordingServices.set(sourceId, recordingService);
-    console.log(`[Server] Recording service created for camera: ${sourceId}, starting...`);
-    recordingService.start().catch(err => {
-      console.error(`[Recording] Failed to start recording service for camera ${sourceId}:`, err);
-    });
-  }
+  sourceAdminService.startSourceServices(sourceId);
 }
 
-// Connect flashlight state service to DEFAULT camera's motion detection for backward compatibility
-const defaultMotionService = motionDetectionServices.get(config.streamSources.find(s => s.isDefault).id);
-if (defaultMotionService) {
-  flashlightState.setMotionDetectionService(defaultMotionService);
-  console.log('[Server] Flashlight state service connected to default camera motion detection');
-}
-
-// Connect motion events service to all motion detection services
-motionDetectionServices.forEach((service, sourceId) => {
-  motionEventsService.startListening(service);
-  console.log(`[Server] Motion events service connected to camera: ${sourceId}`);
-});
-
-console.log(`[Server] Multi-camera services initialized: ${motionDetectionServices.size} motion detection services, ${recordingServices.size} recording services`);
+console.log(`[Server] Multi-camera services initialized: ${motionDetectionServices.size} motion detection services, ${recordingServices.size} recording services, ${timelapseServices.size} timelapse services, ${dvrServices.size} dvr buffers`);
+
+// Create pause schedule service - pauses cameras during scheduled windows (e.g. overnight)
+const pauseScheduleService = createPauseScheduleService({ streamManager, config });
+pauseScheduleService.start();
+console.log('[Server] Pause schedule service started');
+
+// Create metrics service - /metrics for prometheus, event loop lag comes from the performance monitor
+const metricsService = config.metrics.enabled
+  ? createMetricsService({
+    streamManager,
+    sseService,
+    recordingServices,
+    motionDetectionServices,
+    performanceMonitor: getPerformanceMonitor({ logSummary: false })
+  })
+  : null;
+console.log(`[Server] Metrics ${metricsService ? 'available at /metrics' : 'disabled'}`);
 
 // Create thumbnail service
 const thumbnailService = new ThumbnailService();
@@ -118,6 +135,10 @@ console.log('[Server] Reaction service created');
 const shareService = createShareService({ config });
 console.log('[Server] Share service created');
 
+// Create WebSocket stream service - attached to the http server in index.js
+const wsStreamService = createWsStreamService({ streamManager, authService, config });
+console.log(`[Server] WebSocket stream service created (${config.websocket.enabled ? 'enabled' : 'disabled'})`);
+
 
 // Listen for motion events to broadcast to SSE clients
 eventEmitter.on('motion', (data) => {
@@ -128,6 +149,7 @@ eventEmitter.on('motion', (data) => {
     timestamp: Date.now(),
     intensity: data.intensity || 0,
     regions: data.regions || [],
+    zones: data.zones || [], //motion zones that fired, if the camera has any
     frameNumber: data.frameNumber || 0,
     recordingStarted: false,
     sourceId: data.sourceId || 'default' //camera identifier for multi-camera support
@@ -137,6 +159,27 @@ eventEmitter.on('motion', (data) => {
   sseService.broadcast(motionEvent);
 });
 
+// Let viewers know when a camera freezes and when it comes back
+eventEmitter.on('stream-stalled', (data) => {
+  sseService.broadcast({
+    type: 'stream-stalled',
+    timestamp: Date.now(),
+    sourceId: data.sourceId,
+    sourceName: data.sourceName,
+    silentForMs: data.silentForMs
+  });
+});
+
+eventEmitter.on('stream-recovered', (data) => {
+  sseService.broadcast({
+    type: 'stream-recovered',
+    timestamp: Date.now(),
+    sourceId: data.sourceId,
+    sourceName: data.sourceName,
+    stalledForMs: data.stalledForMs
+  });
+});
+
 // Listen for recording events
 eventEmitter.on('recording-complete', async (data) => {
   console.log('[Recording] Complete:', data);
@@ -308,6 +351,8 @@ initializeRoutes(app, {
   streamManager, // Multi-stream manager
   motionDetectionServices, // Map of per-camera motion services
   recordingServices, // Map of per-camera recording services
+  timelapseServices, // Map of per-camera timelapse services
+  dvrServices, // Map of per-camera rewind buffers
   weatherService,
   sseService,
   motionEventsService,
@@ -315,6 +360,11 @@ initializeRoutes(app, {
   reactionService,
   thumbnailService,
   shareService,
+  hlsService,
+  sourceAdminService,
+  pauseScheduleService,
+  metricsService,
+  viewerAnalyticsService,
   REACTION_TYPES,
   CHICKEN_TONES,
   config
@@ -331,4 +381,4 @@ app.use(createGlobalErrorHandler());
 // Export app and other modules needed for testing
 import { weatherCache } from './services/weatherService.js';
 
-export { app as default, app, streamManager, flashlightState, weatherCache };
\ No newline at end of file
+export { app as default, app, streamManager, hlsService, wsStreamService, pauseScheduleService, viewerAnalyticsService, flashlightState, weatherCache };
\ No newline at end of file
@@ -1,7 +1,9 @@
 //load environment variables only if not in test mode
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AUTH_TYPES, isValidFingerprint } from './utils/sourceHttp.js';
 
 //get directory paths first
 const __filename = fileURLToPath(import.meta.url);
@@ -12,30 +14,167 @@ if (process.env.NODE_ENV !== 'test') {
   dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 }
 
+//supported stream source transports ('mjpeg' is the DroidCam default, 'jpeg-poll' fetches a snapshot url
+//at the source's fps, 'derived' crops another source, 'coopcam-relay' re-streams a camera from another instance)
+export const SOURCE_TYPES = ['mjpeg', 'rtsp', 'jpeg-poll', 'derived', 'coopcam-relay'];
+
+//source types fetched over http(s), which can use auth, headers and tls settings
+const HTTP_SOURCE_TYPES = ['mjpeg', 'jpeg-poll', 'coopcam-relay'];
+
+//sources added/changed through /api/admin/sources are saved here and take precedence over STREAM_SOURCES
+const STREAM_SOURCES_FILE = path.resolve(__dirname, '..', process.env.STREAM_SOURCES_FILE || './stream-sources.json');
+
+//validate a single source entry and fill in its default type
+export function validateStreamSource(source) {
+  if (source?.type === 'derived') {
+    return validateDerivedSource(source);
+  }
+  if (!source || !source.id || !source.name || !source.url) {
+    throw new Error('Each stream source must have id, name, and url properties.');
+  }
+  source.type = source.type || 'mjpeg';
+  if (!SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`Stream source '${source.id}' has unsupported type '${source.type}'. Supported types: ${SOURCE_TYPES.join(', ')}`);
+  }
+  if (source.type === 'coopcam-relay') {
+    validateRelaySource(source);
+  }
+  return validateSourceAccess(source);
+}
+
+//relay sources point at another Coop-Cam's base url, optionally with the remote source id
+//(defaults to the same id) and an api token sent as "Authorization: Bearer <token>"
+function validateRelaySource(source) {
+  let url;
+  try {
+    url = new URL(source.url);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol) || url.pathname.includes('/api/')) {
+    throw new Error(`Relay stream source '${source.id}' url must be the remote instance's base url, e.g. https://coop.example.com`);
+  }
+  if (source.remoteSourceId !== undefined && (typeof source.remoteSourceId !== 'string' || !/^[\w-]{1,32}$/.test(source.remoteSourceId))) {
+    throw new Error(`Relay stream source '${source.id}' remoteSourceId must be a source id on the remote instance.`);
+  }
+  if (source.token !== undefined && (typeof source.token !== 'string' || source.token.length === 0)) {
+    throw new Error(`Relay stream source '${source.id}' token must be a non-empty string.`);
+  }
+  if (source.token !== undefined && source.auth !== undefined) {
+    throw new Error(`Relay stream source '${source.id}' can use a token or auth, not both.`);
+  }
+  return source;
+}
+
+//http(s) sources may set auth { type: basic|digest, username, password }, extra request headers
+//and tls { fingerprint256 } to pin a (self-signed) camera certificate
+function validateSourceAccess(source) {
+  const { auth, headers, tls } = source;
+  if (auth === undefined && headers === undefined && tls === undefined) {
+    return source;
+  }
+  if (!HTTP_SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`Stream source '${source.id}': auth, headers and tls only apply to ${HTTP_SOURCE_TYPES.join(', ')} sources (put rtsp credentials in the url).`);
+  }
+
+  if (auth !== undefined) {
+    if (!auth || typeof auth !== 'object' || typeof auth.username !== 'string' || typeof (auth.password ?? '') !== 'string') {
+      throw new Error(`Stream source '${source.id}' auth needs a username and password.`);
+    }
+    auth.type = auth.type || 'basic';
+    if (!AUTH_TYPES.includes(auth.type)) {
+      throw new Error(`Stream source '${source.id}' has unsupported auth type '${auth.type}'. Supported types: ${AUTH_TYPES.join(', ')}`);
+    }
+  }
+  if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+      !Object.entries(headers).every(([name, value]) => /^[\w-]+$/.test(name) && typeof value === 'string'))) {
+    throw new Error(`Stream source '${source.id}' headers must map header names to string values.`);
+  }
+  if (tls !== undefined) {
+    if (!tls || typeof tls !== 'object' || !isValidFingerprint(tls.fingerprint256)) {
+      throw new Error(`Stream source '${source.id}' tls.fingerprint256 must be a SHA-256 certificate fingerprint.`);
+    }
+    if (!source.url.startsWith('https://')) {
+      throw new Error(`Stream source '${source.id}' pins a certificate but its url is not https.`);
+    }
+  }
+  return source;
+}
+
+//derived sources crop { x, y, width, height } (fractions of the parent frame) out of another source
+function validateDerivedSource(source) {
+  if (!source.id || !source.name || !source.parent) {
+    throw new Error('Derived stream sources must have id, name, and parent properties.');
+  }
+  if (source.parent === source.id) {
+    throw new Error(`Derived stream source '${source.id}' cannot be its own parent.`);
+  }
+
+  const { crop } = source;
+  const inRange = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+  if (!crop || !['x', 'y', 'width', 'height'].every(key => inRange(crop[key])) ||
+      crop.width === 0 || crop.height === 0 || crop.x + crop.width > 1.000001 || crop.y + crop.height > 1.000001) {
+    throw new Error(`Derived stream source '${source.id}' needs a crop of { x, y, width, height } fractions that fits inside the parent frame.`);
+  }
+  if (source.outputWidth !== undefined && (!Number.isInteger(source.outputWidth) || source.outputWidth < 16 || source.outputWidth > 3840)) {
+    throw new Error(`Derived stream source '${source.id}' outputWidth must be an integer between 16 and 3840.`);
+  }
+
+  //there's no camera url of its own - this placeholder keeps url-based listings and status pages working
+  source.url = `derived://${source.parent}`;
+  return source;
+}
+
+//derived sources must point at an existing camera source, not at another derived one
+export function validateDerivedParents(sources) {
+  sources.filter(source => source.type === 'derived').forEach(source => {
+    const parent = sources.find(s => s.id === source.parent);
+    if (!parent) {
+      throw new Error(`Derived stream source '${source.id}' has unknown parent '${source.parent}'.`);
+    }
+    if (parent.type === 'derived') {
+      throw new Error(`Derived stream source '${source.id}' must use a camera source as its parent, not another derived source.`);
+    }
+  });
+  return sources;
+}
+
+//validate a source list, making sure exactly one source is the default
+function validateStreamSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('STREAM_SOURCES must be a non-empty JSON array.');
+  }
+  //ensure there's exactly one default (isDefault: true or the first one if none specified)
+  const defaultSources = sources.filter(s => s.isDefault === true);
+  if (defaultSources.length === 0) {
+    //if no explicit default, make the first one default
+    sources[0].isDefault = true;
+    console.log('[Config] No explicit default source found, using first source as default');
+  } else if (defaultSources.length > 1) {
+    throw new Error('Only one stream source can be marked with "isDefault": true.');
+  }
+  //validate source structure
+  sources.forEach(validateStreamSource);
+  return validateDerivedParents(sources);
+}
+
 //parse stream sources configuration
 function parseStreamSources() {
+  //runtime settings file written by the admin api
+  if (process.env.NODE_ENV !== 'test' && fs.existsSync(STREAM_SOURCES_FILE)) {
+    try {
+      const sources = validateStreamSources(JSON.parse(fs.readFileSync(STREAM_SOURCES_FILE, 'utf8')));
+      console.log('[Config] Using saved stream sources from', STREAM_SOURCES_FILE, 'with', sources.length, 'sources');
+      return sources;
+    } catch (e) {
+      console.error('[Config] Ignoring invalid stream sources file:', e.message);
+    }
+  }
+
   //new: support for structured stream sources
   if (process.env.STREAM_SOURCES) {
     try {
-      const sources = JSON.parse(process.env.STREAM_SOURCES);
-      if (!Array.isArray(sources) || sources.length === 0) {
-        throw new Error('STREAM_SOURCES must be a non-empty JSON array.');
-      }
-      //ensure there's exactly one default (isDefault: true or the first one if none specified)
-      const defaultSources = sources.filter(s => s.isDefault === true);
-      if (defaultSources.length === 0) {
-        //if no explicit default, make the first one default
-        sources[0].isDefault = true;
-        console.log('[Config] No explicit default source found, using first source as default');
-      } else if (defaultSources.length > 1) {
-        throw new Error('Only one stream source can be marked with "isDefault": true.');
-      }
-      //validate source structure
-      for (const source of sources) {
-        if (!source.id || !source.name || !source.url) {
-          throw new Error('Each stream source must have id, name, and url properties.');
-        }
-      }
+      const sources = validateStreamSources(JSON.parse(process.env.STREAM_SOURCES));
       console.log('[Config] Using STREAM_SOURCES configuration with', sources.length, 'sources');
       return sources;
     } catch (e) {
@@ -60,6 +199,7 @@ function parseStreamSources() {
     id: 'default',
     name: 'Default DroidCam',
     url: `http://${droidcamIp}:${droidcamPort}/video`,
+    type: 'mjpeg',
     isDefault: true,
   }];
 }
@@ -77,6 +217,7 @@ const streamSources = parseStreamSources();
 export const config = {
   // Stream sources configuration (new multi-stream support)
   streamSources,
+  streamSourcesFile: STREAM_SOURCES_FILE,
   
   // Legacy DroidCam configuration (maintained for backward compatibility)
   DROIDCAM_IP: process.env.DROIDCAM_IP || '192.168.1.67',
@@ -113,6 +254,9 @@ export const config = {
   // Stream pause configuration
   STREAM_PAUSE_PASSWORD: process.env.STREAM_PAUSE_PASSWORD || 'changeme',
   
+  // Admin API password (/api/admin/*) - the admin API is disabled when unset
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || '',
+  
   // Motion detection configuration
   motionDetection: {
     enabled: process.env.MOTION_DETECTION_ENABLED === 'true',
@@ -121,7 +265,7 @@ export const config = {
     cooldownMs: parseInt(process.env.MOTION_COOLDOWN_MS || '5000', 10),
     width: parseInt(process.env.MOTION_DETECTION_WIDTH || '100', 10),
     height: parseInt(process.env.MOTION_DETECTION_HEIGHT || '100', 10),
-    // Y-coordinate ranges to ignore (e.g., timestamps, UI overlays)
+    // Y-coordinate ranges to ignore (e.g., timestamps, UI overlays) - cameras with motion zones use those instead
     ignoredYRanges: process.env.MOTION_IGNORED_Y_RANGES 
       ? JSON.parse(process.env.MOTION_IGNORED_Y_RANGES)
       : [],
@@ -179,6 +323,172 @@ export const config = {
     videoCodec: process.env.RECORDING_VIDEO_CODEC || 'libx264',
     videoPreset: process.env.RECORDING_VIDEO_PRESET || 'fast',
     fps: parseInt(process.env.RECORDING_FPS || '30', 10)
+  },
+
+  // HLS output configuration (H.264 segments for mobile clients)
+  hls: {
+    enabled: process.env.HLS_ENABLED !== 'false',
+    outputDir: path.resolve(__dirname, '..', process.env.HLS_OUTPUT_DIR || './hls'),
+    segmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS || '2', 10),
+    playlistSize: parseInt(process.env.HLS_PLAYLIST_SIZE || '5', 10),
+    fps: parseInt(process.env.HLS_FPS || '15', 10),
+    videoBitrate: process.env.HLS_VIDEO_BITRATE || '800k',
+    idleTimeoutSeconds: parseInt(process.env.HLS_IDLE_TIMEOUT_SECONDS || '30', 10),
+    startupTimeoutMs: parseInt(process.env.HLS_STARTUP_TIMEOUT_MS || '10000', 10)
+  },
+
+  // WebSocket binary frame delivery configuration
+  websocket: {
+    enabled: process.env.WS_STREAM_ENABLED !== 'false',
+    maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES || '1048576', 10), // pause a viewer above 1MB queued
+    heartbeatSeconds: parseInt(process.env.WS_HEARTBEAT_SECONDS || '30', 10)
+  },
+
+  // Resized/quality-reduced stream variants (?width=&quality=)
+  streamVariants: {
+    maxPerSource: parseInt(process.env.STREAM_MAX_VARIANTS || '4', 10)
+  },
+
+  // Viewer cap per source - each stream source can override maxViewers; viewers over the cap wait in line
+  // Covers multipart, WebSocket and rewind (?offset=) viewers; HLS pollers are not counted
+  viewerCaps: {
+    maxViewers: parseInt(process.env.MAX_VIEWERS_PER_SOURCE || '0', 10), // 0 = unlimited
+    stillIntervalSeconds: parseInt(process.env.WAITING_ROOM_STILL_INTERVAL_SECONDS || '10', 10), // still frame rate while waiting
+    ticketTtlSeconds: parseInt(process.env.WAITING_ROOM_TICKET_TTL_SECONDS || '30', 10), // json pollers drop out after this
+    maxQueue: parseInt(process.env.WAITING_ROOM_MAX_QUEUE || '200', 10)
+  },
+
+  // Snapshot endpoint configuration (/api/stream/:sourceId/snapshot.jpg)
+  snapshot: {
+    timezone: process.env.SNAPSHOT_TIMEZONE || 'America/Los_Angeles',
+    maxAgeSeconds: parseInt(process.env.SNAPSHOT_MAX_AGE_SECONDS || '1', 10)
+  },
+
+  // Timelapse configuration (daily "whole day in 30 seconds" clips)
+  timelapse: {
+    enabled: process.env.TIMELAPSE_ENABLED === 'true',
+    intervalSeconds: parseInt(process.env.TIMELAPSE_INTERVAL_SECONDS || '60', 10),
+    daylightOnly: process.env.TIMELAPSE_DAYLIGHT_ONLY !== 'false',
+    daylightMarginMinutes: parseInt(process.env.TIMELAPSE_DAYLIGHT_MARGIN_MINUTES || '15', 10),
+    targetDurationSeconds: parseInt(process.env.TIMELAPSE_TARGET_DURATION_SECONDS || '30', 10),
+    minFrames: parseInt(process.env.TIMELAPSE_MIN_FRAMES || '10', 10),
+    outputDir: path.resolve(__dirname, '..', process.env.TIMELAPSE_OUTPUT_DIR || './timelapses'),
+    retentionDays: parseInt(process.env.TIMELAPSE_RETENTION_DAYS || '30', 10),
+    timezone: process.env.TIMELAPSE_TIMEZONE || 'America/Los_Angeles'
+  },
+
+  // Composite multi-camera grid stream (/api/stream/grid)
+  grid: {
+    fps: parseInt(process.env.GRID_FPS || '5', 10),
+    tileWidth: parseInt(process.env.GRID_TILE_WIDTH || '640', 10),
+    tileHeight: parseInt(process.env.GRID_TILE_HEIGHT || '360', 10),
+    quality: parseInt(process.env.GRID_QUALITY || '75', 10),
+    staleFrameSeconds: parseInt(process.env.GRID_STALE_FRAME_SECONDS || '10', 10) // label a tile offline after this
+  },
+
+  // On-frame overlay defaults - each stream source can override these with an "overlay" object
+  overlay: {
+    enabled: process.env.OVERLAY_ENABLED === 'true',
+    items: (process.env.OVERLAY_ITEMS || 'timestamp,name,weather').split(',').map(item => item.trim()).filter(Boolean),
+    position: process.env.OVERLAY_POSITION || 'bottom-left', // top-left, top-right, bottom-left, bottom-right
+    fontSize: parseInt(process.env.OVERLAY_FONT_SIZE || '0', 10), // 0 = scale with frame width
+    color: process.env.OVERLAY_COLOR || '#ffffff',
+    background: process.env.OVERLAY_BACKGROUND || '#000000',
+    backgroundOpacity: parseFloat(process.env.OVERLAY_BACKGROUND_OPACITY || '0.5'),
+    timezone: process.env.OVERLAY_TIMEZONE || process.env.SNAPSHOT_TIMEZONE || 'America/Los_Angeles',
+    weatherRefreshSeconds: parseInt(process.env.OVERLAY_WEATHER_REFRESH_SECONDS || '300', 10)
+  },
+
+  // Source reconnection backoff, circuit breaker and connection history
+  reconnect: {
+    baseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS || '5000', 10),
+    maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS || '120000', 10),
+    jitterRatio: parseFloat(process.env.RECONNECT_JITTER_RATIO || '0.3'), // retry up to 30% early to spread retries
+    failureThreshold: parseInt(process.env.RECONNECT_FAILURE_THRESHOLD || '10', 10), // consecutive failures before the circuit opens
+    circuitOpenSeconds: parseInt(process.env.RECONNECT_CIRCUIT_OPEN_SECONDS || '300', 10),
+    historyFile: path.resolve(__dirname, '..', process.env.CONNECTION_HISTORY_FILE || './connection-history.json'),
+    historyMaxEvents: parseInt(process.env.CONNECTION_HISTORY_MAX_EVENTS || '200', 10) // per source
+  },
+
+  // Stall watchdog - reconnects sources that keep the connection open but stop sending frames
+  stallDetection: {
+    enabled: process.env.STALL_DETECTION_ENABLED !== 'false',
+    stallSeconds: parseInt(process.env.STALL_SECONDS || '15', 10), // seconds without a frame before forcing a reconnect
+    checkIntervalMs: parseInt(process.env.STALL_CHECK_INTERVAL_MS || '2000', 10)
+  },
+
+  // Adaptive per-client frame rate - slow viewers step down 30 -> 15 -> 5 -> 1 fps under backpressure
+  adaptiveFps: {
+    enabled: process.env.ADAPTIVE_FPS_ENABLED !== 'false',
+    steps: [30, 15, 5, 1],
+    stepDownAfter: parseInt(process.env.ADAPTIVE_FPS_STEP_DOWN_AFTER || '3', 10), // backpressure events within the window
+    windowSeconds: parseInt(process.env.ADAPTIVE_FPS_WINDOW_SECONDS || '10', 10),
+    recoverySeconds: parseInt(process.env.ADAPTIVE_FPS_RECOVERY_SECONDS || '15', 10) // backpressure-free time before stepping back up
+  },
+
+  // Motion-adaptive broadcast rate - each stream source can override these with an "idleFps" object
+  // recording pre-buffers keep the full frame rate, only what viewers are sent drops
+  idleFps: {
+    enabled: process.env.IDLE_FPS_ENABLED === 'true',
+    fps: parseFloat(process.env.IDLE_FPS || '2'), // broadcast rate while the scene is idle
+    afterSeconds: parseInt(process.env.IDLE_FPS_AFTER_SECONDS || '60', 10) // seconds without motion before dropping the rate
+  },
+
+  // Prometheus scrape endpoint (/metrics) - opt-in; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+  metrics: {
+    enabled: process.env.METRICS_ENABLED === 'true',
+    token: process.env.METRICS_TOKEN || null
+  },
+
+  // Disk-backed rewind buffer per source (/api/stream/:sourceId?offset=-120) - opt-in, it writes every camera to disk all the time
+  dvr: {
+    enabled: process.env.DVR_ENABLED === 'true',
+    windowSeconds: parseInt(process.env.DVR_WINDOW_SECONDS || '600', 10), // how far back viewers can rewind
+    fps: parseInt(process.env.DVR_FPS || '5', 10), // frames kept per second of buffer
+    segmentSeconds: parseInt(process.env.DVR_SEGMENT_SECONDS || '10', 10), // buffer is rolled over one segment file at a time
+    catchUpSpeed: parseFloat(process.env.DVR_CATCH_UP_SPEED || '1.5'), // playback speed until the viewer is back at live
+    outputDir: path.resolve(__dirname, '..', process.env.DVR_OUTPUT_DIR || './dvr')
+  },
+
+  // Viewer session history for /api/analytics/viewers (one json line per finished session)
+  analytics: {
+    enabled: process.env.VIEWER_ANALYTICS_ENABLED !== 'false',
+    file: path.resolve(__dirname, '..', process.env.VIEWER_ANALYTICS_FILE || './viewer-sessions.jsonl'),
+    retentionDays: parseInt(process.env.VIEWER_ANALYTICS_RETENTION_DAYS || '90', 10),
+    minSessionSeconds: parseInt(process.env.VIEWER_ANALYTICS_MIN_SESSION_SECONDS || '2', 10), // ignore reconnect blips
+    timezone: process.env.VIEWER_ANALYTICS_TIMEZONE || process.env.SNAPSHOT_TIMEZONE || 'America/Los_Angeles' // hourly histograms use this clock
+  },
+
+  // Scheduled pause windows and the slates shown while a stream is paused
+  pauseSchedules: {
+    file: path.resolve(__dirname, '..', process.env.PAUSE_SCHEDULES_FILE || './pause-schedules.json'),
+    checkIntervalMs: parseInt(process.env.PAUSE_SCHEDULE_CHECK_INTERVAL_MS || '5000', 10),
+    timezone: process.env.PAUSE_SCHEDULE_TIMEZONE || process.env.SNAPSHOT_TIMEZONE || 'America/Los_Angeles', // daily windows use this clock
+    maxManualPauseMinutes: parseInt(process.env.MAX_MANUAL_PAUSE_MINUTES || '240', 10),
+    slateImageDir: path.resolve(__dirname, '..', process.env.SLATE_IMAGE_DIR || './slates'), // background images referenced by name
+    // Named slates for pauses and schedules - SLATE_TEMPLATES (JSON) adds to or overrides these
+    slateTemplates: {
+      maintenance: { message: 'Routine maintenance!', countdown: true },
+      night: { message: 'The flock is asleep', detail: 'The coop cams are off for the night', countdown: true },
+      cleaning: { message: 'Coop cleaning in progress', detail: 'Fresh bedding on the way', countdown: true },
+      ...(process.env.SLATE_TEMPLATES ? JSON.parse(process.env.SLATE_TEMPLATES) : {})
+    }
+  },
+
+  // Privacy mask polygons, edited through /api/admin/sources/:sourceId/masks
+  privacyMasks: {
+    file: path.resolve(__dirname, '..', process.env.PRIVACY_MASKS_FILE || './privacy-masks.json'),
+    pixelateBlockSize: parseInt(process.env.PRIVACY_MASK_PIXELATE_BLOCK_SIZE || '16', 10), // block size in pixels for "pixelate" masks
+    maxMasksPerSource: 16,
+    maxPointsPerMask: 32
+  },
+
+  // Named motion zones per camera, edited through /api/admin/sources/:sourceId/motion-zones
+  // a camera with zones no longer uses motionDetection.ignoredYRanges
+  motionZones: {
+    file: path.resolve(__dirname, '..', process.env.MOTION_ZONES_FILE || './motion-zones.json'),
+    maxZonesPerSource: 16,
+    maxPointsPerZone: 32
   }
 };
 
@@ -0,0 +1,40 @@
+//analytics controller - viewer session history for /api/analytics/viewers
+//factory function receives dependencies for clean testing and modularity
+
+export const createAnalyticsController = ({ viewerAnalyticsService, config }) => {
+  if (!viewerAnalyticsService) {
+    throw new Error('AnalyticsController: viewerAnalyticsService dependency is required.');
+  }
+  if (!config) {
+    throw new Error('AnalyticsController: config dependency is required.');
+  }
+
+  //peak concurrency, watch hours and hourly histograms (?days=7&sourceId=coop1)
+  const getViewerAnalytics = (req, res) => {
+    const days = req.query.days !== undefined ? Number(req.query.days) : 7;
+    const maxDays = config.analytics.retentionDays;
+    if (!Number.isFinite(days) || days <= 0 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be more than 0 and at most ${maxDays}`
+      });
+    }
+
+    try {
+      res.json({
+        success: true,
+        ...viewerAnalyticsService.getViewerAnalytics({ days, sourceId: req.query.sourceId || null })
+      });
+    } catch (error) {
+      console.error('[Analytics] Error building viewer analytics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build viewer analytics'
+      });
+    }
+  };
+
+  return {
+    getViewerAnalytics
+  };
+};
\ No newline at end of file
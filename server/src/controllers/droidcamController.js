@@ -1,6 +1,9 @@
 //droidcam controller - diagnostic information and connectivity status with multi-camera support
 //factory function receives dependencies for clean testing and modularity
 
+import { redactUrlCredentials } from '../utils/urlUtils.js';
+import { resolveSourceAccess, fetchSource } from '../utils/sourceHttp.js';
+
 export const createDroidcamController = ({ streamManager, config }) => {
   if (!streamManager) {
     throw new Error('DroidcamController: streamManager dependency is required.');
@@ -9,6 +12,29 @@ export const createDroidcamController = ({ streamManager, config }) => {
     throw new Error('DroidcamController: config dependency is required.');
   }
 
+  //probe a camera's http interface with the source's auth and tls settings
+  //non-http sources (rtsp) report the proxy connection state instead
+  const checkReachable = async (sourceConfig, stats) => {
+    if ((sourceConfig.type || 'mjpeg') !== 'mjpeg') {
+      return {
+        reachable: !!stats.isConnected,
+        error: stats.isConnected ? null : 'Not connected'
+      };
+    }
+    
+    try {
+      const access = resolveSourceAccess(`${sourceConfig.url.replace('/video', '')}/`, sourceConfig);
+      const response = await fetchSource(access, { timeoutMs: 5000, readBody: false });
+      
+      return {
+        reachable: response.ok,
+        error: response.ok ? null : `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return { reachable: false, error: error.message };
+    }
+  };
+
   //get comprehensive diagnostic status for all cameras or specific camera
   const getStatus = async (req, res) => {
     try {
@@ -23,37 +49,19 @@ export const createDroidcamController = ({ streamManager, config }) => {
         
         const sourceConfig = streamManager.getSourceConfig(sourceId);
         const stats = proxy.getStats();
+        const historyLimit = Math.min(parseInt(req.query.history, 10) || 50, 200);
+        const health = streamManager.getSourceHealth(sourceId, { historyLimit });
         
         //try to check if camera is reachable
-        let cameraReachable = false;
-        let cameraError = null;
-        
-        try {
-          const controller = new AbortController();
-          const timeout = setTimeout(() => controller.abort(), 5000);
-          
-          const baseUrl = sourceConfig.url.replace('/video', '');
-          const response = await fetch(`${baseUrl}/`, { 
-            signal: controller.signal,
-            method: 'GET'
-          });
-          
-          clearTimeout(timeout);
-          cameraReachable = response.ok;
-          
-          if (!response.ok) {
-            cameraError = `HTTP ${response.status}`;
-          }
-        } catch (error) {
-          cameraError = error.message;
-        }
+        const { reachable: cameraReachable, error: cameraError } = await checkReachable(sourceConfig, stats);
         
         res.json({
           camera: {
             id: sourceId,
             name: sourceConfig.name,
-            url: sourceConfig.url,
-            baseUrl: sourceConfig.url.replace('/video', ''),
+            type: sourceConfig.type || 'mjpeg',
+            url: redactUrlCredentials(sourceConfig.url),
+            baseUrl: redactUrlCredentials(sourceConfig.url).replace('/video', ''),
             reachable: cameraReachable,
             error: cameraError
           },
@@ -64,6 +72,8 @@ export const createDroidcamController = ({ streamManager, config }) => {
             lastFrameTime: proxy.lastFrameTime || null,
             frameCount: stats.frameCount || 0
           },
+          connection: health.connection || null,
+          history: health.history || [],
           server: {
             uptime: process.uptime(),
             nodeVersion: process.version,
@@ -78,35 +88,17 @@ export const createDroidcamController = ({ streamManager, config }) => {
         
         //check reachability for each camera
         for (const source of availableSources) {
-          let cameraReachable = false;
-          let cameraError = null;
-          
-          try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 5000);
-            
-            const baseUrl = source.url;
-            const response = await fetch(`${baseUrl}/`, { 
-              signal: controller.signal,
-              method: 'GET'
-            });
-            
-            clearTimeout(timeout);
-            cameraReachable = response.ok;
-            
-            if (!response.ok) {
-              cameraError = `HTTP ${response.status}`;
-            }
-          } catch (error) {
-            cameraError = error.message;
-          }
-          
           const stats = allStats[source.id] || {};
+          const health = streamManager.getSourceHealth(source.id, { historyLimit: 5 });
+          const sourceConfig = streamManager.getSourceConfig(source.id);
+          const { reachable: cameraReachable, error: cameraError } = await checkReachable(sourceConfig, stats);
+          
           cameraStatuses[source.id] = {
             camera: {
               id: source.id,
               name: source.name,
-              url: `${source.url}/video`,
+              type: source.type,
+              url: source.type === 'mjpeg' ? `${source.url}/video` : source.url,
               baseUrl: source.url,
               isDefault: source.isDefault,
               reachable: cameraReachable,
@@ -117,7 +109,9 @@ export const createDroidcamController = ({ streamManager, config }) => {
               viewerCount: stats.clientCount || 0,
               frameCount: stats.frameCount || 0,
               lastFrameTime: stats.lastFrameTime || null
-            }
+            },
+            connection: health.connection || null,
+            recentEvents: health.history || []
           };
         }
         
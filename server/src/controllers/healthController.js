@@ -48,6 +48,7 @@ export const createHealthController = ({ streamManager, recordingServices }) =>
         sourceUrl: stats.sourceUrl,
         hasLastFrame: stats.hasLastFrame,
         frameCount: stats.frameCount || 0,
+        clients: stats.clients || [],
         interpolation: stats.interpolation
       };
       response.totalClients += stats.clientCount;
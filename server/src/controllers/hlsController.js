@@ -0,0 +1,92 @@
+//hls controller - serves rolling H.264 playlists and segments per stream source
+//hls viewers are exempt from the per-source viewer cap: they are stateless playlist/segment pollers
+//of one shared encoder with no connection to hold in a waiting room
+//factory function receives dependencies for clean testing and modularity
+
+export const createHlsController = ({ hlsService, streamManager }) => {
+  if (!hlsService) {
+    throw new Error('HlsController: hlsService dependency is required.');
+  }
+  if (!streamManager) {
+    throw new Error('HlsController: streamManager dependency is required.');
+  }
+
+  //serve the live playlist, starting the encoder on first request
+  const getPlaylist = async (req, res) => {
+    const { sourceId } = req.params;
+
+    if (!hlsService.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'HLS output is disabled'
+      });
+    }
+
+    try {
+      const session = await hlsService.ensureSession(sourceId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: `Stream source '${sourceId}' not found`,
+          availableSources: streamManager.listAvailableSources()
+        });
+      }
+
+      const playlistPath = await hlsService.waitForPlaylist(session.sourceId);
+
+      if (!playlistPath) {
+        //players retry on 503, so a slow first segment is not fatal
+        res.set('Retry-After', '2');
+        return res.status(503).json({
+          success: false,
+          message: 'HLS stream is starting, please retry shortly'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'application/vnd.apple.mpegurl',
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
+      });
+      res.sendFile(playlistPath);
+    } catch (error) {
+      console.error(`[HLS] Error serving playlist for ${sourceId}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start HLS stream'
+      });
+    }
+  };
+
+  //serve a single transport stream segment
+  const getSegment = (req, res) => {
+    const { sourceId, segment } = req.params;
+    const segmentPath = hlsService.getSegmentPath(sourceId, segment);
+
+    if (!segmentPath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'video/mp2t',
+      'Cache-Control': 'public, max-age=60' //segments never change once written
+    });
+    res.sendFile(segmentPath, (err) => {
+      //segment may have rotated out of the playlist between request and read
+      if (err && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Segment not found'
+        });
+      }
+    });
+  };
+
+  return {
+    getPlaylist,
+    getSegment
+  };
+};
\ No newline at end of file
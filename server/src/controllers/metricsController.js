@@ -0,0 +1,40 @@
+//metrics controller - serves the prometheus scrape endpoint
+//factory function receives dependencies for clean testing and modularity
+
+import crypto from 'crypto';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const createMetricsController = ({ metricsService, config }) => {
+  if (!metricsService) {
+    throw new Error('MetricsController: metricsService dependency is required.');
+  }
+  if (!config) {
+    throw new Error('MetricsController: config dependency is required.');
+  }
+
+  //constant-time compare so the token can't be guessed byte by byte
+  const hasValidToken = (req) => {
+    const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+    const provided = Buffer.from(req.get('authorization') || '');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  };
+
+  //prometheus text exposition of all server metrics
+  const getMetrics = (req, res) => {
+    if (config.metrics.token && !hasValidToken(req)) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized\n');
+    }
+
+    try {
+      res.set('Content-Type', CONTENT_TYPE).send(metricsService.render());
+    } catch (error) {
+      console.error('[Metrics] Error rendering metrics:', error);
+      res.status(500).set('Content-Type', CONTENT_TYPE).send('# metrics unavailable\n');
+    }
+  };
+
+  return {
+    getMetrics
+  };
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+//pause schedule controller - list, create and cancel scheduled pause windows
+//factory function receives dependencies for clean testing and modularity
+
+export const createPauseScheduleController = ({ pauseScheduleService, config }) => {
+  if (!pauseScheduleService) {
+    throw new Error('PauseScheduleController: pauseScheduleService dependency is required.');
+  }
+  if (!config) {
+    throw new Error('PauseScheduleController: config dependency is required.');
+  }
+
+  //list schedules, optionally for one source
+  const listSchedules = (req, res) => {
+    const { sourceId } = req.query;
+    const schedules = pauseScheduleService.listSchedules()
+      .filter(schedule => !sourceId || schedule.sourceId === sourceId);
+
+    res.json({
+      success: true,
+      timezone: config.pauseSchedules.timezone,
+      schedules
+    });
+  };
+
+  //create a daily or one-off pause window
+  const createSchedule = (req, res) => {
+    const { schedule, error } = pauseScheduleService.normalizeSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const created = pauseScheduleService.createSchedule(schedule);
+      console.log(`[Admin] Pause schedule ${schedule.id} created for ${schedule.sourceId} by IP: ${req.ip}`);
+      res.status(201).json({ success: true, schedule: created });
+    } catch (error) {
+      console.error('[Admin] Error creating pause schedule:', error);
+      res.status(500).json({ success: false, message: 'Failed to create pause schedule' });
+    }
+  };
+
+  //cancel a schedule - a stream it currently pauses resumes straight away
+  const cancelSchedule = (req, res) => {
+    const { scheduleId } = req.params;
+
+    try {
+      if (!pauseScheduleService.cancelSchedule(scheduleId)) {
+        return res.status(404).json({
+          success: false,
+          message: `Pause schedule '${scheduleId}' not found`
+        });
+      }
+      console.log(`[Admin] Pause schedule ${scheduleId} cancelled by IP: ${req.ip}`);
+      res.json({ success: true, message: `Pause schedule '${scheduleId}' cancelled` });
+    } catch (error) {
+      console.error('[Admin] Error cancelling pause schedule:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel pause schedule' });
+    }
+  };
+
+  //slate templates usable by pauses and schedules
+  const listSlates = (req, res) => {
+    res.json({
+      success: true,
+      slates: config.pauseSchedules.slateTemplates
+    });
+  };
+
+  return {
+    listSchedules,
+    createSchedule,
+    cancelSchedule,
+    listSlates
+  };
+};
\ No newline at end of file
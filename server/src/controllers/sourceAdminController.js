@@ -0,0 +1,192 @@
+//source admin controller - runtime add/update/remove of camera sources, their privacy masks and motion zones
+//factory function receives dependencies for clean testing and modularity
+
+import { normalizeMasks } from '../services/privacyMask.js';
+import { normalizeZones } from '../services/motionZones.js';
+
+export const createSourceAdminController = ({ sourceAdminService, streamManager }) => {
+  if (!sourceAdminService) {
+    throw new Error('SourceAdminController: sourceAdminService dependency is required.');
+  }
+  if (!streamManager) {
+    throw new Error('SourceAdminController: streamManager dependency is required.');
+  }
+
+  //list all configured sources with redacted urls
+  const listSources = (req, res) => {
+    res.json({
+      success: true,
+      sources: sourceAdminService.listSources()
+    });
+  };
+
+  //add a new source and start its services
+  const createSource = (req, res) => {
+    if (req.body?.id && streamManager.getSourceConfig(req.body.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `Stream source '${req.body.id}' already exists`
+      });
+    }
+
+    const { source, error } = sourceAdminService.normalizeSource(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const created = sourceAdminService.addSource(source);
+      console.log(`[Admin] Source added: ${source.id} by IP: ${req.ip}`);
+      res.status(201).json({ success: true, source: created });
+    } catch (error) {
+      console.error('[Admin] Error adding source:', error);
+      res.status(500).json({ success: false, message: 'Failed to add source' });
+    }
+  };
+
+  //update a source - omitted fields keep their current value
+  const updateSource = async (req, res) => {
+    const { sourceId } = req.params;
+    const existing = streamManager.getSourceConfig(sourceId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`
+      });
+    }
+
+    const { source, error } = sourceAdminService.normalizeSource(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const updated = await sourceAdminService.updateSource(sourceId, source);
+      console.log(`[Admin] Source updated: ${sourceId} by IP: ${req.ip}`);
+      res.json({ success: true, source: updated });
+    } catch (error) {
+      console.error('[Admin] Error updating source:', error);
+      res.status(500).json({ success: false, message: 'Failed to update source' });
+    }
+  };
+
+  //remove a source and tear down its proxy and services
+  const deleteSource = async (req, res) => {
+    const { sourceId } = req.params;
+    if (!streamManager.getSourceConfig(sourceId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`
+      });
+    }
+    if (sourceId === streamManager.defaultSourceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default source cannot be removed. Mark another source as default first.'
+      });
+    }
+    const derivedIds = streamManager.getDerivedSourceIds(sourceId);
+    if (derivedIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Remove the derived sources cropped from '${sourceId}' first: ${derivedIds.join(', ')}`
+      });
+    }
+
+    try {
+      await sourceAdminService.removeSource(sourceId);
+      console.log(`[Admin] Source removed: ${sourceId} by IP: ${req.ip}`);
+      res.json({ success: true, message: `Stream source '${sourceId}' removed` });
+    } catch (error) {
+      console.error('[Admin] Error removing source:', error);
+      res.status(500).json({ success: false, message: 'Failed to remove source' });
+    }
+  };
+
+  //get a source's privacy masks
+  const getMasks = (req, res) => {
+    const { sourceId } = req.params;
+    if (!streamManager.getSourceConfig(sourceId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`
+      });
+    }
+
+    res.json({ success: true, sourceId, ...sourceAdminService.getMasks(sourceId) });
+  };
+
+  //replace a source's privacy masks - send an empty list to remove them all
+  const updateMasks = (req, res) => {
+    const { sourceId } = req.params;
+    if (!streamManager.getSourceConfig(sourceId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`
+      });
+    }
+
+    const { masks, error } = normalizeMasks(req.body?.masks);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const result = sourceAdminService.setMasks(sourceId, masks);
+      console.log(`[Admin] Privacy masks updated for ${sourceId} (${masks.length} masks) by IP: ${req.ip}`);
+      res.json({ success: true, sourceId, ...result });
+    } catch (error) {
+      console.error('[Admin] Error saving privacy masks:', error);
+      res.status(500).json({ success: false, message: 'Failed to save privacy masks' });
+    }
+  };
+
+  //get a source's motion zones
+  const getMotionZones = (req, res) => {
+    const { sourceId } = req.params;
+    if (!streamManager.getSourceConfig(sourceId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`
+      });
+    }
+
+    res.json({ success: true, sourceId, ...sourceAdminService.getMotionZones(sourceId) });
+  };
+
+  //replace a source's motion zones - send an empty list to go back to the global ignored Y ranges
+  const updateMotionZones = (req, res) => {
+    const { sourceId } = req.params;
+    if (!streamManager.getSourceConfig(sourceId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`
+      });
+    }
+
+    const { zones, error } = normalizeZones(req.body?.zones);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    try {
+      const result = sourceAdminService.setMotionZones(sourceId, zones);
+      console.log(`[Admin] Motion zones updated for ${sourceId} (${zones.length} zones) by IP: ${req.ip}`);
+      res.json({ success: true, sourceId, ...result });
+    } catch (error) {
+      console.error('[Admin] Error saving motion zones:', error);
+      res.status(500).json({ success: false, message: 'Failed to save motion zones' });
+    }
+  };
+
+  return {
+    listSources,
+    createSource,
+    updateSource,
+    deleteSource,
+    getMasks,
+    updateMasks,
+    getMotionZones,
+    updateMotionZones
+  };
+};
\ No newline at end of file
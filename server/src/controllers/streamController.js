@@ -1,7 +1,16 @@
 //stream controller - business logic for MJPEG stream management and control
 //factory function receives dependencies for clean testing and modularity
 
-export const createStreamController = ({ streamManager, authService, config }) => {
+import { parseVariantOptions, validateVariantOptions } from '../services/streamVariantManager.js';
+import { renderSnapshot, formatSnapshotTimestamp } from '../utils/snapshotUtils.js';
+import { parseGridLayout } from '../gridProxy.js';
+import { normalizeSlate } from '../services/slateRenderer.js';
+import { isAdminRequest } from '../middleware/adminAuth.js';
+
+const QUEUE_POLL_SECONDS = 5; // how often json clients in the waiting room should check their place
+const QUEUE_FULL_RETRY_SECONDS = 30;
+
+export const createStreamController = ({ streamManager, authService, dvrServices = new Map(), config }) => {
   if (!streamManager) {
     throw new Error('StreamController: streamManager dependency is required.');
   }
@@ -29,10 +38,199 @@ export const createStreamController = ({ streamManager, authService, config }) =
       });
     }
 
-    //parse FPS from query parameter
+    if (rejectInvalidVariant(req, res)) {
+      return;
+    }
+
+    //?offset=-120 starts in the rewind buffer and catches up to live
+    if (req.query.offset !== undefined) {
+      return handleDvrStream(proxy, req, res);
+    }
+
+    attachStreamClient(proxy, req, res);
+  };
+
+  //play from the rewind buffer, then hand the same response to the live proxy once caught up
+  const handleDvrStream = async (proxy, req, res) => {
+    const dvrService = dvrServices.get(proxy.sourceId);
+    if (!dvrService) {
+      return res.status(404).json({
+        success: false,
+        message: `Rewind is not available for stream source '${proxy.sourceId}'`
+      });
+    }
+
+    const { windowSeconds, catchUpSpeed } = config.dvr;
+    const offsetSeconds = Number(req.query.offset);
+    const speed = req.query.speed !== undefined ? Number(req.query.speed) : catchUpSpeed;
+    if (!Number.isFinite(offsetSeconds) || offsetSeconds > 0 || offsetSeconds < -windowSeconds) {
+      return res.status(400).json({
+        success: false,
+        message: `offset must be a number of seconds between -${windowSeconds} and 0`
+      });
+    }
+    if (!Number.isFinite(speed) || speed < 1 || speed > 4) {
+      return res.status(400).json({
+        success: false,
+        message: 'speed must be between 1 and 4'
+      });
+    }
+
+    //nothing to rewind into while a slate is up
+    if (offsetSeconds === 0 || proxy.pauseState.isPaused) {
+      return attachStreamClient(proxy, req, res);
+    }
+
+    //rewinding viewers count against the viewer cap like live ones - over it they wait in line
+    //(or poll with json and come back with their ticket) and join the live stream when admitted
+    const viewer = parseViewerOptions(req);
+    if (holdOverViewerCap(proxy, req, res, viewer)) {
+      return;
+    }
+
+    prepareStreamSocket(req);
+    proxy.startPlayback();
+    try {
+      const result = await dvrService.play(res, { offsetSeconds, speed });
+      if (result === 'live' && !res.destroyed) {
+        attachStreamClient(proxy, req, res, { admitted: true });
+      }
+    } catch (error) {
+      console.error(`[DVR] Playback error for ${proxy.sourceId}:`, error);
+      res.end();
+    } finally {
+      proxy.endPlayback();
+    }
+  };
+
+  //handle the composite grid of all cameras (?layout=auto|2x1|2x2...)
+  const handleGridStream = (req, res) => {
+    const layout = parseGridLayout(req.query.layout);
+    if (!layout) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid layout. Use auto or <cols>x<rows> up to 4x4, e.g. 2x1 or 2x2'
+      });
+    }
+    if (rejectInvalidVariant(req, res)) {
+      return;
+    }
+
+    attachStreamClient(streamManager.getGridProxy(layout), req, res);
+  };
+
+  //register the request as a multipart viewer of a proxy unless the viewer cap holds it back
+  //admitted: the viewer already holds a slot (a rewind playback handing over to live)
+  const attachStreamClient = (proxy, req, res, { admitted = false } = {}) => {
+    const viewer = parseViewerOptions(req);
+    if (!admitted && holdOverViewerCap(proxy, req, res, viewer)) {
+      return;
+    }
+    
+    prepareStreamSocket(req);
+    proxy.addClient(viewer.clientId, res, viewer.fps, viewer.variant, { isMobile: viewer.isMobile });
+  };
+
+  //malformed ?width= or ?quality= is a 400 rather than silently serving the original size
+  //returns true when the request was answered here
+  const rejectInvalidVariant = (req, res) => {
+    const error = validateVariantOptions(req.query.width, req.query.quality);
+    if (!error) {
+      return false;
+    }
+    res.status(400).json({
+      success: false,
+      message: error
+    });
+    return true;
+  };
+
+  //parse FPS and optional resized/quality-reduced variant from query parameters
+  const parseViewerOptions = (req) => {
     const fps = req.query.fps ? parseInt(req.query.fps) : null;
-    const clientId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${fps ? `-fps${fps}` : ''}`;
+    return {
+      fps,
+      variant: parseVariantOptions(req.query.width, req.query.quality),
+      isMobile: !!req.isMobile,
+      clientId: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${fps ? `-fps${fps}` : ''}`
+    };
+  };
+
+  //put the request in the waiting room when the source is at its viewer cap - stills every few
+  //seconds, or json with the place in line for "Accept: application/json" clients
+  //admins (admin bearer token) are never queued; returns true when the request was handled here
+  const holdOverViewerCap = (proxy, req, res, { clientId, fps, variant, isMobile }) => {
+    const ticket = typeof req.query.ticket === 'string' ? req.query.ticket : null;
+    const exempt = isAdminRequest(req, { authService, config });
+    
+    const wantsJson = (req.headers?.accept || '').includes('application/json');
+    if (wantsJson && proxy.waitingRoom?.enabled) {
+      sendQueueStatus(proxy, req, res, ticket, exempt);
+      return true;
+    }
+    if (!proxy.mustQueue({ exempt, ticket })) {
+      return false;
+    }
     
+    prepareStreamSocket(req);
+    if (!proxy.queueViewer(clientId, res, { fps, variant, isMobile, ticket })) {
+      sendWaitingRoomFull(res);
+    }
+    return true;
+  };
+
+  //json waiting room: 200 with the url to open once admitted, 503 + Retry-After with the place in line
+  //while waiting; the ticket keeps the place between polls and claims the reserved slot on the stream url
+  const sendQueueStatus = (proxy, req, res, ticket, exempt) => {
+    const status = exempt
+      ? { admitted: true, ticket: null }
+      : proxy.checkQueueTicket(ticket);
+    if (status.full) {
+      return sendWaitingRoomFull(res);
+    }
+    
+    if (status.admitted) {
+      return res.json({
+        success: true,
+        admitted: true,
+        ticket: status.ticket,
+        streamUrl: streamUrlWithTicket(req, status.ticket)
+      });
+    }
+    
+    res.set('Retry-After', String(QUEUE_POLL_SECONDS));
+    res.status(503).json({
+      success: false,
+      queued: true,
+      position: status.position,
+      ticket: status.ticket,
+      retryAfterSeconds: QUEUE_POLL_SECONDS,
+      message: `Stream source '${proxy.sourceId}' is at its viewer limit, you are #${status.position} in line`
+    });
+  };
+
+  //the requested stream url with ?ticket= set (other query options such as fps are kept)
+  const streamUrlWithTicket = (req, ticket) => {
+    const url = new URL(req.originalUrl || req.url || '/', 'http://localhost');
+    url.searchParams.delete('ticket');
+    if (ticket) {
+      url.searchParams.set('ticket', ticket);
+    }
+    return `${url.pathname}${url.search}`;
+  };
+
+  const sendWaitingRoomFull = (res) => {
+    res.set('Retry-After', String(QUEUE_FULL_RETRY_SECONDS));
+    res.status(503).json({
+      success: false,
+      full: true,
+      retryAfterSeconds: QUEUE_FULL_RETRY_SECONDS,
+      message: 'Too many viewers are waiting for this stream, please try again later'
+    });
+  };
+
+  //streaming responses stay open indefinitely and should not wait on nagle
+  const prepareStreamSocket = (req) => {
     //set TCP_NODELAY for low-latency streaming
     if (req.socket && req.socket.setNoDelay) {
       req.socket.setNoDelay(true);
@@ -42,15 +240,14 @@ export const createStreamController = ({ streamManager, authService, config }) =
     if (req.socket && req.socket.setTimeout) {
       req.socket.setTimeout(0); //disable timeout for streaming
     }
-    
-    proxy.addClient(clientId, res, fps);
   };
 
   //handle stream pause with authentication and rate limiting
+  //optional body fields: durationSeconds (default 5 minutes) and slate (template name or inline slate)
   const pauseStream = async (req, res) => {
     const { sourceId } = req.params;
     const clientIp = req.ip;
-    const { password } = req.body;
+    const { password, durationSeconds = 300 } = req.body;
     
     //get appropriate proxy (default if no sourceId specified)
     const proxy = sourceId 
@@ -94,17 +291,34 @@ export const createStreamController = ({ streamManager, authService, config }) =
       });
     }
     
+    const maxSeconds = config.pauseSchedules.maxManualPauseMinutes * 60;
+    if (!Number.isInteger(durationSeconds) || durationSeconds < 10 || durationSeconds > maxSeconds) {
+      return res.status(400).json({
+        success: false,
+        message: `durationSeconds must be a whole number between 10 and ${maxSeconds}`
+      });
+    }
+    
+    const { slate, error: slateError } = normalizeSlate(req.body.slate);
+    if (slateError) {
+      return res.status(400).json({
+        success: false,
+        message: slateError
+      });
+    }
+    
     try {
       //pause the specific stream
-      const paused = await proxy.pauseStream();
+      const paused = await proxy.pauseStream({ durationMs: durationSeconds * 1000, slate });
       const sourceInfo = sourceId ? ` (source: ${sourceId})` : '';
       
       if (paused) {
-        console.log(`[Stream Pause] Stream paused by IP: ${clientIp}${sourceInfo} at ${new Date().toISOString()}`);
+        const durationText = durationSeconds % 60 === 0 ? `${durationSeconds / 60} minutes` : `${durationSeconds} seconds`;
+        console.log(`[Stream Pause] Stream paused for ${durationText} by IP: ${clientIp}${sourceInfo} at ${new Date().toISOString()}`);
         res.json({
           success: true,
-          message: `Stream paused for 5 minutes${sourceInfo}`,
-          pauseDuration: 300, //seconds
+          message: `Stream paused for ${durationText}${sourceInfo}`,
+          pauseDuration: durationSeconds, //seconds
           sourceId: sourceId || 'default'
         });
       } else {
@@ -159,6 +373,103 @@ export const createStreamController = ({ streamManager, authService, config }) =
     }
   };
 
+  //serve the latest frame as a still jpeg for dashboards and scripts
+  const getSnapshot = async (req, res) => {
+    const { sourceId } = req.params;
+    const proxy = streamManager.getProxy(sourceId);
+
+    if (!proxy) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`,
+        availableSources: streamManager.listAvailableSources()
+      });
+    }
+
+    if (rejectInvalidVariant(req, res)) {
+      return;
+    }
+
+    //lastFrame keeps following the camera during a pause - the slate hides it, so must snapshots
+    if (proxy.pauseState?.isPaused) {
+      const remainingSeconds = Math.ceil((proxy.pauseState.pauseEndTime - Date.now()) / 1000);
+      res.set('Retry-After', String(Math.max(5, remainingSeconds)));
+      return res.status(503).json({
+        success: false,
+        message: `Stream source '${sourceId}' is paused`,
+        isPaused: true,
+        pauseEndTime: proxy.pauseState.pauseEndTime
+      });
+    }
+
+    //capture frame state once - the proxy keeps replacing lastFrame while we render
+    const frame = proxy.lastFrame;
+    const frameNumber = proxy.frameCount;
+    const frameTime = new Date(proxy.lastFrameTime);
+
+    if (!frame) {
+      res.set('Retry-After', '5');
+      return res.status(503).json({
+        success: false,
+        message: `No frame available yet for source '${sourceId}'`,
+        isConnected: proxy.isConnected
+      });
+    }
+
+    const variant = parseVariantOptions(req.query.width, req.query.quality);
+    const withTimestamp = req.query.timestamp === 'true' || req.query.timestamp === '1';
+    const variantTag = variant ? `w${variant.width || 'orig'}-q${variant.quality}` : 'orig';
+
+    //etag changes with every new frame so pollers get cheap 304s in between
+    res.set({
+      'Cache-Control': `public, max-age=${config.snapshot.maxAgeSeconds}, must-revalidate`,
+      'Last-Modified': frameTime.toUTCString(),
+      'ETag': `"${proxy.sourceId}-${frameNumber}-${variantTag}${withTimestamp ? '-ts' : ''}"`
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    try {
+      const snapshot = await renderSnapshot(frame, {
+        width: variant?.width,
+        quality: variant?.quality,
+        timestamp: withTimestamp ? formatSnapshotTimestamp(frameTime, config.snapshot.timezone) : null
+      });
+
+      res.type('image/jpeg');
+      res.send(snapshot);
+    } catch (error) {
+      console.error(`[Snapshot] Error rendering snapshot for ${sourceId}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render snapshot'
+      });
+    }
+  };
+
+  //time range a viewer can rewind to on a source
+  const getDvrRange = (req, res) => {
+    const { sourceId } = req.params;
+    const proxy = streamManager.getProxy(sourceId);
+
+    if (!proxy) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream source '${sourceId}' not found`,
+        availableSources: streamManager.listAvailableSources()
+      });
+    }
+
+    const dvrService = dvrServices.get(proxy.sourceId);
+    res.json({
+      success: true,
+      sourceId: proxy.sourceId,
+      ...(dvrService ? dvrService.getRange() : { enabled: false })
+    });
+  };
+
   //list all available stream sources
   const listSources = (req, res) => {
     try {
@@ -184,8 +495,11 @@ export const createStreamController = ({ streamManager, authService, config }) =
 
   return {
     handleStream,
+    handleGridStream,
     pauseStream,
     getStreamStatus,
+    getSnapshot,
+    getDvrRange,
     listSources
   };
 };
\ No newline at end of file
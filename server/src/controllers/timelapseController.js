@@ -0,0 +1,142 @@
+//timelapse controller - lists daily timelapses and serves their thumbnails and videos
+//factory function receives dependencies for clean testing and modularity
+
+import fs from 'fs';
+import path from 'path';
+
+const TIMELAPSE_FILENAME = /^timelapse_[\w-]+_(\d{4}-\d{2}-\d{2})\.mp4$/;
+
+//helper to validate a timelapse filename and resolve it inside the output directory
+const _validateAndConstructPath = (filename, config) => {
+  const match = filename.match(TIMELAPSE_FILENAME);
+  if (!match) {
+    return { error: 'Invalid filename format', status: 400 };
+  }
+
+  const timelapseDir = path.resolve(config.timelapse.outputDir);
+  const videoPath = path.resolve(timelapseDir, match[1], filename);
+
+  //security: ensure the resolved path is within the intended directory
+  if (!videoPath.startsWith(timelapseDir + path.sep)) {
+    return { error: 'Timelapse not found', status: 404 };
+  }
+
+  return { videoPath };
+};
+
+export const createTimelapseController = ({ timelapseServices, thumbnailService, config }) => {
+  if (!timelapseServices) {
+    throw new Error('TimelapseController: timelapseServices dependency is required.');
+  }
+  if (!thumbnailService) {
+    throw new Error('TimelapseController: thumbnailService dependency is required.');
+  }
+  if (!config) {
+    throw new Error('TimelapseController: config dependency is required.');
+  }
+
+  //list recent timelapses, optionally for a single camera
+  const getTimelapses = async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 7, 60);
+      const camera = req.query.camera;
+
+      if (camera && !timelapseServices.has(camera)) {
+        return res.status(404).json({
+          success: false,
+          message: `No timelapses for camera '${camera}'`
+        });
+      }
+
+      const services = camera ? [timelapseServices.get(camera)] : Array.from(timelapseServices.values());
+      const lists = await Promise.all(services.map(service => service.listTimelapses(limit)));
+
+      //merge cameras newest first
+      const timelapses = lists.flat()
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, camera ? limit : limit * services.length)
+        .map(timelapse => ({
+          ...timelapse,
+          thumbnailUrl: timelapse.thumbnailExists ? `/api/timelapses/thumbnail/${encodeURIComponent(timelapse.filename)}` : null,
+          videoUrl: `/api/timelapses/video/${encodeURIComponent(timelapse.filename)}`
+        }));
+
+      res.json({
+        success: true,
+        enabled: config.timelapse.enabled,
+        timelapses
+      });
+    } catch (error) {
+      console.error('[Timelapse API] Error listing timelapses:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list timelapses',
+        message: error.message
+      });
+    }
+  };
+
+  //serve thumbnail image with dynamic generation
+  const getThumbnail = async (req, res) => {
+    try {
+      const validation = _validateAndConstructPath(req.params.filename, config);
+      if (validation.error) {
+        return res.status(validation.status).json({ error: validation.error });
+      }
+
+      const { videoPath } = validation;
+      if (!fs.existsSync(videoPath)) {
+        return res.status(404).json({ error: 'Timelapse not found' });
+      }
+
+      const thumbnailPath = thumbnailService.getThumbnailPath(videoPath);
+      if (!fs.existsSync(thumbnailPath)) {
+        try {
+          await thumbnailService.generateThumbnail(videoPath);
+        } catch (genError) {
+          console.error('[Timelapse API] Thumbnail generation failed:', genError);
+          return res.status(404).json({ error: 'Thumbnail not found and could not be generated' });
+        }
+      }
+
+      res.set({
+        'Content-Type': 'image/jpeg',
+        'Cache-Control': 'public, max-age=86400' //timelapses never change once compiled
+      });
+      res.sendFile(path.resolve(thumbnailPath));
+    } catch (error) {
+      console.error('[Timelapse API] Error serving thumbnail:', error);
+      res.status(500).json({ error: 'Failed to serve thumbnail' });
+    }
+  };
+
+  //serve video file - sendFile handles range requests for seeking
+  const getVideo = (req, res) => {
+    const validation = _validateAndConstructPath(req.params.filename, config);
+    if (validation.error) {
+      return res.status(validation.status).json({ error: validation.error });
+    }
+
+    const { videoPath } = validation;
+    if (!fs.existsSync(videoPath)) {
+      return res.status(404).json({ error: 'Timelapse not found' });
+    }
+
+    res.set({
+      'Content-Type': 'video/mp4',
+      'Cache-Control': 'public, max-age=86400'
+    });
+    res.sendFile(videoPath, (err) => {
+      if (err && !res.headersSent) {
+        console.error('[Timelapse API] Error serving video:', err);
+        res.status(500).json({ error: 'Failed to serve timelapse' });
+      }
+    });
+  };
+
+  return {
+    getTimelapses,
+    getThumbnail,
+    getVideo
+  };
+};
\ No newline at end of file
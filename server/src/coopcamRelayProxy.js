@@ -0,0 +1,176 @@
+import MjpegProxy from './mjpegProxy.js';
+import { resolveSourceAccess, requestSource } from './utils/sourceHttp.js';
+import { redactUrlCredentials } from './utils/urlUtils.js';
+
+const EVENTS_RECONNECT_MS = 5000;
+const EVENTS_IDLE_TIMEOUT_MS = 90000; // the remote sends a heartbeat every 30s
+
+//source that re-streams a camera from another Coop-Cam instance (e.g. a pi in the coop feeding a
+//public vps). The url is the remote instance's base url; frames come from its /api/stream/:sourceId
+//and its motion sse events are mirrored as 'remote-motion' so local recording and notifications
+//work without running motion detection twice
+class CoopcamRelayProxy extends MjpegProxy {
+  constructor(sourceUrl, options = {}) {
+    const instanceUrl = sourceUrl.replace(/\/+$/, '');
+    const remoteSourceId = options.remoteSourceId || options.sourceId;
+    //the api token goes out as a bearer token on the stream and the event requests
+    const headers = options.token
+      ? { ...options.headers, Authorization: `Bearer ${options.token}` }
+      : options.headers;
+
+    //defer auto-connect until the relay settings are initialized
+    super(`${instanceUrl}/api/stream/${encodeURIComponent(remoteSourceId)}`, {
+      ...options,
+      headers,
+      disableAutoConnect: true
+    });
+
+    this.sourceType = 'coopcam-relay';
+    this.instanceUrl = instanceUrl;
+    this.remoteSourceId = remoteSourceId;
+    this.eventsRequest = null;
+    this.eventsReconnectTimeout = null;
+    this.relayStats = {
+      eventsConnected: false,
+      eventReconnects: 0,
+      motionEvents: 0
+    };
+
+    //start connection unless disabled
+    if (!options.disableAutoConnect) {
+      this.connect();
+    }
+  }
+
+  //connect() also runs on every stream reconnect - the event connection keeps its own lifecycle
+  connect() {
+    super.connect();
+    if (!this.eventsRequest && !this.eventsReconnectTimeout) {
+      this.connectEvents();
+    }
+  }
+
+  connectEvents() {
+    if (this.stopped) return;
+
+    const access = resolveSourceAccess(`${this.instanceUrl}/api/events/motion`, this.sourceAccess);
+    const request = requestSource(access, {
+      headers: { Accept: 'text/event-stream' },
+      digestChallenge: this.digestChallenge // answered by the stream connection
+    }, (response) => {
+      if (this.eventsRequest !== request) {
+        response.destroy();
+        return;
+      }
+      if (response.statusCode !== 200) {
+        console.error(`[CoopcamRelayProxy ${this.sourceId}] Remote events returned status ${response.statusCode}`);
+        response.resume();
+        this.scheduleEventsReconnect();
+        return;
+      }
+
+      this.relayStats.eventsConnected = true;
+      console.log(`[CoopcamRelayProxy ${this.sourceId}] Mirroring motion events for remote source ${this.remoteSourceId}`);
+
+      let buffer = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => this.handleRemoteMessage(message));
+      });
+      response.on('end', () => {
+        if (this.eventsRequest !== request) return;
+        this.scheduleEventsReconnect();
+      });
+      response.on('error', () => {
+        if (this.eventsRequest !== request) return;
+        this.scheduleEventsReconnect();
+      });
+    });
+
+    this.eventsRequest = request;
+    request.on('error', (error) => {
+      if (this.eventsRequest !== request) return;
+      console.error(`[CoopcamRelayProxy ${this.sourceId}] Remote events error:`, error.message);
+      this.scheduleEventsReconnect();
+    });
+    request.setTimeout(EVENTS_IDLE_TIMEOUT_MS, () => {
+      if (this.eventsRequest !== request) return;
+      console.error(`[CoopcamRelayProxy ${this.sourceId}] Remote events went quiet, reconnecting`);
+      this.scheduleEventsReconnect();
+    });
+  }
+
+  scheduleEventsReconnect() {
+    this.stopEvents();
+    if (this.stopped) return;
+
+    this.relayStats.eventReconnects++;
+    this.eventsReconnectTimeout = setTimeout(() => {
+      this.eventsReconnectTimeout = null;
+      this.connectEvents();
+    }, EVENTS_RECONNECT_MS);
+  }
+
+  stopEvents() {
+    clearTimeout(this.eventsReconnectTimeout);
+    this.eventsReconnectTimeout = null;
+    const request = this.eventsRequest;
+    this.eventsRequest = null; // handlers of the old request check this and stand down
+    this.relayStats.eventsConnected = false;
+    request?.destroy?.();
+  }
+
+  //one sse message ("data: {...}" lines); only motion on the relayed camera is mirrored
+  handleRemoteMessage(message) {
+    const data = message
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (!data) return;
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (event?.type !== 'motion' || event.sourceId !== this.remoteSourceId) return;
+
+    const timestampMs = Number.isFinite(event.timestamp) ? event.timestamp : Date.now();
+    this.relayStats.motionEvents++;
+    this.noteMotion();
+    //same shape as local motion detection events, under the local source id
+    this.emit('remote-motion', {
+      id: `motion_${timestampMs}_${this.sourceId}`,
+      timestamp: new Date(timestampMs).toISOString(),
+      timestampMs,
+      intensity: event.intensity,
+      regions: event.regions || [],
+      zones: event.zones || [],
+      sourceId: this.sourceId,
+      relayedFrom: this.remoteSourceId
+    });
+  }
+
+  disconnect() {
+    this.stopped = true;
+    this.stopEvents();
+    super.disconnect();
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      sourceType: this.sourceType,
+      instanceUrl: redactUrlCredentials(this.instanceUrl),
+      remoteSourceId: this.remoteSourceId,
+      relayStats: this.relayStats
+    };
+  }
+}
+
+export default CoopcamRelayProxy;
\ No newline at end of file
@@ -0,0 +1,160 @@
+import sharp from 'sharp';
+import MjpegProxy from './mjpegProxy.js';
+
+const DEFAULT_FPS = 10; // cropping re-encodes every frame, so derived views run slower than the camera by default
+
+//virtual "digital ptz" source that crops and scales a rectangle out of a parent camera's frames
+//frames come from the parent's clean-frame event so the camera connection is shared and the
+//parent's privacy masks still apply; crops go through processFrame like any other source
+//a paused parent pauses its crops too - the same scene must stay behind the slate
+class DerivedProxy extends MjpegProxy {
+  constructor(sourceUrl, options = {}) {
+    //defer auto-connect until the parent settings are initialized
+    super(sourceUrl, { ...options, disableAutoConnect: true });
+
+    this.sourceType = 'derived';
+    this.parentId = options.parent;
+    this.crop = options.crop; // { x, y, width, height } as fractions of the parent frame
+    this.outputWidth = options.outputWidth || null;
+    this.outputFps = options.fps || DEFAULT_FPS;
+    this.resolveParent = options.resolveParent; // (sourceId) => proxy, from the stream manager
+    this.parent = null;
+    this.cropping = false;
+    this.lastCropTime = 0;
+    this.cropStats = {
+      framesCropped: 0,
+      framesSkipped: 0,
+      errors: 0
+    };
+
+    //bound once so they can be removed from the parent again
+    this.parentHandlers = {
+      'clean-frame': (frame) => this.handleParentFrame(frame),
+      connected: () => {
+        this.isConnected = true;
+        this.emit('connected');
+      },
+      //mirror the parent dropping its clients so viewers reconnect once it is back
+      disconnected: () => {
+        this.isConnected = false;
+        this.emit('disconnected');
+        this.removeAllClients();
+      },
+      paused: () => this.mirrorParentPause(),
+      resumed: () => {
+        if (this.pauseState.isPaused && this.pauseState.reason === 'parent') {
+          this.resumeStream();
+        }
+      }
+    };
+
+    //start connection unless disabled
+    if (!options.disableAutoConnect) {
+      this.connect();
+    }
+  }
+
+  //there is no upstream of our own - "connecting" subscribes to the parent proxy
+  connect() {
+    this.stopped = false;
+    this.attachToParent();
+  }
+
+  //(re)subscribe to the parent's current proxy; called again when the parent source is rebuilt
+  attachToParent() {
+    const parent = this.resolveParent?.(this.parentId) || null;
+    if (parent === this.parent) return;
+
+    this.detachFromParent();
+    if (!parent) {
+      console.error(`[DerivedProxy ${this.sourceId}] Parent source '${this.parentId}' not found`);
+      return;
+    }
+
+    this.parent = parent;
+    Object.entries(this.parentHandlers).forEach(([event, handler]) => parent.on(event, handler));
+    this.isConnected = parent.isConnected;
+    console.log(`[DerivedProxy ${this.sourceId}] Attached to parent source ${this.parentId}`);
+    this.mirrorParentPause();
+  }
+
+  //show the parent's slate until the parent resumes; a pause of our own is left alone
+  mirrorParentPause() {
+    const pauseState = this.parent?.pauseState;
+    if (!pauseState?.isPaused || this.pauseState.isPaused) return;
+
+    this.pauseStream({ endTime: pauseState.pauseEndTime, slate: pauseState.slate, reason: 'parent' });
+  }
+
+  detachFromParent() {
+    if (!this.parent) return;
+
+    Object.entries(this.parentHandlers).forEach(([event, handler]) => this.parent.off(event, handler));
+    this.parent = null;
+  }
+
+  disconnect() {
+    this.detachFromParent();
+    super.disconnect();
+  }
+
+  //crop at most outputFps frames per second and never queue crops behind a slow one
+  handleParentFrame(frame) {
+    //nothing to crop while the parent is behind its slate
+    if (this.parent?.pauseState?.isPaused) return;
+
+    const now = Date.now();
+    if (now - this.lastCropTime < 1000 / this.outputFps) return;
+    if (this.cropping) {
+      this.cropStats.framesSkipped++;
+      return;
+    }
+
+    this.lastCropTime = now;
+    this.cropping = true;
+    this.cropFrame(frame)
+      .then(cropped => {
+        this.cropStats.framesCropped++;
+        this.processFrame(cropped);
+      })
+      .catch(error => {
+        this.cropStats.errors++;
+        if (this.cropStats.errors % 100 === 1) {
+          console.error(`[DerivedProxy ${this.sourceId}] Crop failed (${this.cropStats.errors} errors):`, error.message);
+        }
+      })
+      .finally(() => {
+        this.cropping = false;
+      });
+  }
+
+  async cropFrame(frame) {
+    const { width, height } = await sharp(frame).metadata();
+    const left = Math.min(width - 1, Math.floor(this.crop.x * width));
+    const top = Math.min(height - 1, Math.floor(this.crop.y * height));
+    const region = {
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, Math.round(this.crop.width * width))),
+      height: Math.max(1, Math.min(height - top, Math.round(this.crop.height * height)))
+    };
+
+    let pipeline = sharp(frame).extract(region);
+    if (this.outputWidth) {
+      pipeline = pipeline.resize(this.outputWidth); // zooming in may enlarge - that's the point
+    }
+    return pipeline.jpeg({ quality: 85 }).toBuffer();
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      sourceType: this.sourceType,
+      parentId: this.parentId,
+      crop: this.crop,
+      cropStats: this.cropStats
+    };
+  }
+}
+
+export default DerivedProxy;
\ No newline at end of file
@@ -0,0 +1,157 @@
+import sharp from 'sharp';
+import MjpegProxy from './mjpegProxy.js';
+import { config } from './config.js';
+import { escapeXml } from './utils/snapshotUtils.js';
+
+const MAX_GRID_DIMENSION = 4;
+const LAYOUT_PATTERN = /^([1-4])x([1-4])$/;
+
+//normalize a ?layout= value: 'auto' (or nothing) sizes the grid to the camera count,
+//otherwise "<cols>x<rows>" such as 2x1 or 2x2; returns null for anything else
+export function parseGridLayout(value) {
+  if (!value || value === 'auto') return 'auto';
+  return LAYOUT_PATTERN.test(value) ? value : null;
+}
+
+//virtual source that tiles the latest frame of every camera into one MJPEG stream
+//composed frames go through processFrame/broadcast so viewers get the usual fps limits and variants
+class GridProxy extends MjpegProxy {
+  constructor(sources, options = {}) {
+    const layout = options.layout || 'auto';
+    super(`grid:${layout}`, {
+      ...options,
+      sourceId: `grid-${layout}`,
+      sourceName: `Camera grid (${layout})`,
+      overlay: { enabled: false }, // tiles already carry each camera's overlay
+      disableAutoConnect: true
+    });
+
+    this.sourceType = 'grid';
+    this.layout = layout;
+    this.sources = sources; // { listAvailableSources, getActiveProxy } from the stream manager
+    this.gridConfig = config.grid;
+    this.composeInterval = null;
+    this.composing = false;
+
+    //start composing unless disabled
+    if (!options.disableAutoConnect) {
+      this.connect();
+    }
+  }
+
+  //there is no upstream to connect to - "connecting" starts the compose loop
+  connect() {
+    if (this.composeInterval) return;
+
+    this.stopped = false;
+    this.isConnected = true;
+    this.composeInterval = setInterval(() => this.tick(), 1000 / this.gridConfig.fps);
+    console.log(`[GridProxy ${this.layout}] Composing at ${this.gridConfig.fps} fps`);
+  }
+
+  disconnect() {
+    if (this.composeInterval) {
+      clearInterval(this.composeInterval);
+      this.composeInterval = null;
+    }
+    super.disconnect();
+  }
+
+  tick() {
+    //only spend cpu on tiling while someone is watching, and never overlap compositions
+    if (this.composing || this.clients.size === 0) return;
+
+    this.composing = true;
+    this.composeFrame()
+      .then(frame => this.processFrame(frame))
+      .catch(error => console.error(`[GridProxy ${this.layout}] Compose error:`, error.message))
+      .finally(() => {
+        this.composing = false;
+      });
+  }
+
+  //columns and rows for the current camera count
+  getDimensions(count) {
+    if (this.layout !== 'auto') {
+      const [cols, rows] = this.layout.split('x').map(Number);
+      return { cols, rows };
+    }
+
+    const cols = Math.min(MAX_GRID_DIMENSION, Math.max(1, Math.ceil(Math.sqrt(count))));
+    const rows = Math.min(MAX_GRID_DIMENSION, Math.max(1, Math.ceil(count / cols)));
+    return { cols, rows };
+  }
+
+  async composeFrame() {
+    const { tileWidth, tileHeight, quality } = this.gridConfig;
+    const sources = this.sources.listAvailableSources();
+    const { cols, rows } = this.getDimensions(sources.length);
+
+    const tiles = await Promise.all(
+      sources.slice(0, cols * rows).map(source => this.renderTile(source))
+    );
+
+    return sharp({
+      create: { width: cols * tileWidth, height: rows * tileHeight, channels: 3, background: { r: 0, g: 0, b: 0 } }
+    })
+      .composite(tiles.map((tile, index) => ({
+        input: tile.data,
+        raw: { width: tile.info.width, height: tile.info.height, channels: tile.info.channels },
+        left: (index % cols) * tileWidth,
+        top: Math.floor(index / cols) * tileHeight
+      })))
+      .jpeg({ quality })
+      .toBuffer();
+  }
+
+  //scale one camera's latest frame into its tile and label it with the camera name
+  //a paused camera shows its slate (or a blank tile until the slate is ready), never lastFrame
+  async renderTile(source) {
+    const { tileWidth, tileHeight, staleFrameSeconds } = this.gridConfig;
+    const proxy = this.sources.getActiveProxy(source.id);
+    const isPaused = !!proxy?.pauseState?.isPaused;
+    const frame = isPaused ? proxy.pauseState.maintenanceFrame : proxy?.lastFrame;
+    const isLive = !isPaused && !!frame && proxy.isConnected && Date.now() - proxy.lastFrameTime < staleFrameSeconds * 1000;
+
+    let tile = frame
+      ? sharp(frame).resize(tileWidth, tileHeight, { fit: 'contain', background: { r: 0, g: 0, b: 0 } })
+      : sharp({ create: { width: tileWidth, height: tileHeight, channels: 3, background: { r: 20, g: 20, b: 20 } } });
+
+    const fontSize = Math.max(12, Math.round(tileHeight / 18));
+    const padding = Math.round(fontSize / 2);
+    const status = isPaused ? ' (paused)' : isLive ? '' : ' (offline)';
+    const label = `${source.name}${status}`;
+
+    tile = tile.composite([{
+      input: Buffer.from(`
+        <svg width="${tileWidth}" height="${tileHeight}" xmlns="http://www.w3.org/2000/svg">
+          <rect x="0" y="0" width="${tileWidth}" height="${fontSize + padding * 2}" fill="black" fill-opacity="0.5"/>
+          <text x="${padding}" y="${padding + Math.round(fontSize * 0.85)}"
+                font-family="Arial, sans-serif" font-size="${fontSize}" fill="${isLive || isPaused ? 'white' : '#ff8080'}">${escapeXml(label)}</text>
+        </svg>
+      `),
+      top: 0,
+      left: 0
+    }]);
+
+    try {
+      return await tile.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      //a corrupt frame shouldn't take the whole grid down
+      console.error(`[GridProxy ${this.layout}] Could not render tile for ${source.id}:`, error.message);
+      return sharp({ create: { width: tileWidth, height: tileHeight, channels: 3, background: { r: 20, g: 20, b: 20 } } })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    }
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      sourceType: this.sourceType,
+      layout: this.layout
+    };
+  }
+}
+
+export default GridProxy;
\ No newline at end of file
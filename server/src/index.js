@@ -1,6 +1,7 @@
 import os from 'os';
 import { config, DROIDCAM_URL } from './config.js';
-import app, { streamManager, flashlightState } from './app.js';
+import app, { streamManager, hlsService, wsStreamService, pauseScheduleService, viewerAnalyticsService, flashlightState } from './app.js';
+import connectionHistory from './state/connectionHistory.js';
 
 // Server configuration
 const PORT = config.SERVER_PORT;
@@ -52,6 +53,9 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`  - /about    (About & Chickens)`);
   });
 
+  // Binary frame delivery over websocket shares the http server
+  wsStreamService.attach(server);
+
   // Handle server errors with enhanced debugging
   server.on('error', (error) => {
     console.error('[Server] Server startup error occurred');
@@ -81,6 +85,11 @@ if (process.env.NODE_ENV !== 'test') {
 // Handle process termination
 process.on('SIGINT', () => {
   console.log('\n[Server] Shutting down gracefully...');
+  hlsService.shutdown();
+  wsStreamService.shutdown();
+  pauseScheduleService.shutdown();
+  viewerAnalyticsService?.shutdown();
+  connectionHistory.cleanup();
   process.exit(0);
 });
 
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import MjpegProxy from './mjpegProxy.js';
+import { resolveSourceAccess, requestSource, parseDigestChallenge } from './utils/sourceHttp.js';
+
+const DEFAULT_POLL_FPS = 2;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_SNAPSHOT_BYTES = 10 * 1024 * 1024;
+const FAILURES_BEFORE_DISCONNECT = 3; // one flaky snapshot shouldn't drop every viewer
+
+//proxy for cameras that only serve still images (e.g. /snapshot.jpg)
+//the url is fetched at the source's fps with conditional GET; unchanged or identical
+//snapshots are skipped and new ones go through processFrame like streamed frames
+class JpegPollProxy extends MjpegProxy {
+  constructor(sourceUrl, options = {}) {
+    //defer auto-connect until poll settings are initialized
+    super(sourceUrl, { ...options, disableAutoConnect: true });
+
+    this.sourceType = 'jpeg-poll';
+    this.pollFps = options.fps || DEFAULT_POLL_FPS;
+    this.pollInterval = 1000 / this.pollFps;
+    //keep motion detection at roughly one frame per second
+    this.motionSampleInterval = Math.max(1, Math.round(this.pollFps));
+    this.pollTimeout = null;
+    this.validators = { etag: null, lastModified: null }; // from the last snapshot, for conditional GET
+    this.lastSnapshotHash = null;
+    this.pollStats = {
+      polls: 0,
+      frames: 0,
+      notModified: 0,
+      duplicates: 0,
+      errors: 0,
+      consecutiveErrors: 0
+    };
+
+    //start connection unless disabled
+    if (!options.disableAutoConnect) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    this.stopped = false;
+
+    console.log(`[JpegPollProxy ${this.sourceId}] Polling snapshots from ${this.getDisplayUrl()} at ${this.pollFps} fps`);
+    this.poll();
+  }
+
+  schedulePoll(delay) {
+    clearTimeout(this.pollTimeout);
+    this.pollTimeout = setTimeout(() => {
+      this.pollTimeout = null;
+      this.poll();
+    }, delay);
+  }
+
+  stopPolling() {
+    clearTimeout(this.pollTimeout);
+    this.pollTimeout = null;
+    const request = this.sourceRequest;
+    this.sourceRequest = null; // handlers of the in-flight request check this and stand down
+    request?.destroy?.();
+  }
+
+  //one snapshot request; the next one is scheduled from when this one started
+  poll() {
+    if (this.stopped) return;
+
+    const startedAt = Date.now();
+    const access = resolveSourceAccess(this.sourceUrl, this.sourceAccess);
+    const answeredChallenge = this.digestChallenge;
+    const headers = {};
+    if (this.validators.etag) {
+      headers['If-None-Match'] = this.validators.etag;
+    }
+    if (this.validators.lastModified) {
+      headers['If-Modified-Since'] = this.validators.lastModified;
+    }
+
+    this.pollStats.polls++;
+    const request = requestSource(access, { headers, digestChallenge: answeredChallenge }, (response) => {
+      if (this.sourceRequest !== request) {
+        response.resume();
+        return;
+      }
+
+      //same digest handshake as streamed sources; the challenge is reused until the nonce goes stale
+      if (response.statusCode === 401 && access.auth?.type === 'digest') {
+        const challenge = parseDigestChallenge(response.headers['www-authenticate']);
+        response.resume();
+        if (challenge && (!answeredChallenge || challenge.stale === 'true')) {
+          this.digestChallenge = challenge;
+          this.sourceRequest = null;
+          this.poll();
+          return;
+        }
+        this.digestChallenge = null;
+      }
+
+      if (response.statusCode === 304) {
+        response.resume();
+        this.pollStats.notModified++;
+        this.handleSnapshot(null);
+        this.finishPoll(startedAt);
+        return;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        console.error(`[JpegPollProxy ${this.sourceId}] Source returned status ${response.statusCode}`);
+        this.recordConnectionEvent('http-error', { statusCode: response.statusCode });
+        this.failPoll(request, `HTTP ${response.statusCode}`);
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_SNAPSHOT_BYTES) {
+          response.destroy(new Error(`Snapshot larger than ${MAX_SNAPSHOT_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        if (this.sourceRequest !== request) return;
+        const snapshot = Buffer.concat(chunks);
+        //cameras answer errors with html/text pages and a 200 - only accept real jpegs
+        if (snapshot.length < 4 || snapshot[0] !== 0xFF || snapshot[1] !== 0xD8) {
+          console.error(`[JpegPollProxy ${this.sourceId}] Response is not a JPEG (${response.headers['content-type'] || 'no content type'})`);
+          this.recordConnectionEvent('invalid-snapshot', { contentType: response.headers['content-type'] || null });
+          this.failPoll(request, 'invalid snapshot');
+          return;
+        }
+        this.validators = {
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null
+        };
+        this.handleSnapshot(snapshot);
+        this.finishPoll(startedAt);
+      });
+      response.on('error', (error) => {
+        if (this.sourceRequest !== request) return;
+        this.failPoll(request, error.message);
+      });
+    });
+
+    this.sourceRequest = request;
+
+    request.on('error', (error) => {
+      //destroying a timed out, stalled or stopped request emits an error that is not a source failure
+      if (this.stopped || this.sourceRequest !== request) return;
+      console.error(`[JpegPollProxy ${this.sourceId}] Snapshot request failed:`, error.message);
+      if (!this.isConnected) {
+        this.recordConnectionEvent('error', { message: error.message });
+      }
+      this.failPoll(request, error.message);
+    });
+
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      if (this.sourceRequest !== request) return;
+      console.error(`[JpegPollProxy ${this.sourceId}] Snapshot request timeout`);
+      this.recordConnectionEvent('timeout', { timeoutMs: REQUEST_TIMEOUT_MS });
+      this.failPoll(request, 'timeout');
+      request.destroy();
+    });
+  }
+
+  //a snapshot, or null when the source answered 304; either way the camera is alive
+  handleSnapshot(snapshot) {
+    this.pollStats.consecutiveErrors = 0;
+    if (!this.isConnected) {
+      this.isConnected = true;
+      console.log(`[JpegPollProxy ${this.sourceId}] Connected to snapshot source`);
+      this.markConnected();
+      this.emit('connected');
+    }
+
+    if (!snapshot) {
+      //an unchanged scene is not a stall
+      this.lastExtractedFrameAt = Date.now();
+      return;
+    }
+
+    //cameras without etag/last-modified send the same image again - skip it by content
+    const hash = crypto.createHash('sha1').update(snapshot).digest('hex');
+    if (hash === this.lastSnapshotHash) {
+      this.pollStats.duplicates++;
+      this.lastExtractedFrameAt = Date.now();
+      return;
+    }
+    this.lastSnapshotHash = hash;
+    this.pollStats.frames++;
+    this.processFrame(snapshot);
+  }
+
+  finishPoll(startedAt) {
+    this.sourceRequest = null;
+    this.schedulePoll(Math.max(0, this.pollInterval - (Date.now() - startedAt)));
+  }
+
+  //a connected source keeps its viewers on lastFrame through a few failed snapshots in a row (the
+  //stall watchdog still catches a source that stays broken); after that, or before the source was
+  //ever reached, viewers are dropped and we reconnect through the normal backoff like a broken stream
+  failPoll(request, reason) {
+    if (this.sourceRequest !== request) return;
+    this.pollStats.errors++;
+    this.pollStats.consecutiveErrors++;
+    this.sourceRequest = null;
+
+    if (this.isConnected && this.pollStats.consecutiveErrors < FAILURES_BEFORE_DISCONNECT) {
+      console.warn(`[JpegPollProxy ${this.sourceId}] Snapshot failed (${reason}), retrying (${this.pollStats.consecutiveErrors}/${FAILURES_BEFORE_DISCONNECT})`);
+      this.schedulePoll(this.pollInterval);
+      return;
+    }
+
+    this.pollStats.consecutiveErrors = 0;
+    this.handleDisconnect(reason);
+  }
+
+  disconnect() {
+    this.stopPolling();
+    super.disconnect();
+  }
+
+  restartConnection(reason) {
+    this.stopPolling();
+    super.restartConnection(reason);
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      sourceType: this.sourceType,
+      pollFps: this.pollFps,
+      pollStats: this.pollStats
+    };
+  }
+}
+
+export default JpegPollProxy;
\ No newline at end of file
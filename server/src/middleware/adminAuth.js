@@ -0,0 +1,61 @@
+//admin authentication middleware for /api/admin routes and viewer analytics
+//expects "Authorization: Bearer <ADMIN_PASSWORD>" and shares the pause endpoint's per-ip rate limiting
+
+//admin auth middleware factory
+function createAdminAuthMiddleware({ authService, config }) {
+  if (!authService) {
+    throw new Error('AdminAuthMiddleware: authService dependency is required.');
+  }
+  if (!config) {
+    throw new Error('AdminAuthMiddleware: config dependency is required.');
+  }
+
+  return (req, res, next) => {
+    //no password configured - keep the admin api closed rather than open
+    if (!config.ADMIN_PASSWORD) {
+      return res.status(503).json({
+        success: false,
+        message: 'Admin API is disabled. Set ADMIN_PASSWORD to enable it.'
+      });
+    }
+
+    const clientIp = req.ip;
+    if (authService.isRateLimited(clientIp)) {
+      console.log(`[Admin] Rate limit exceeded for IP: ${clientIp}`);
+      return res.status(429).json({
+        success: false,
+        message: 'Too many attempts. Please try again in a minute.'
+      });
+    }
+
+    const [scheme, password] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !authService.verifyPassword(password, config.ADMIN_PASSWORD)) {
+      //only failures count so normal admin use isn't rate limited
+      authService.recordFailedAttempt(clientIp);
+      console.log(`[Admin] Invalid credentials from IP: ${clientIp}`);
+      res.set('WWW-Authenticate', 'Bearer realm="admin"');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid admin credentials'
+      });
+    }
+
+    next();
+  };
+}
+
+//true when a request carries the admin bearer token, e.g. so admins skip the viewer cap
+//unlike the middleware a missing header is fine (a normal viewer), but a wrong token still counts as a failed attempt
+export function isAdminRequest(req, { authService, config }) {
+  const [scheme, password] = (req.headers?.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !password || !config.ADMIN_PASSWORD) return false;
+
+  const clientIp = req.ip || req.socket?.remoteAddress;
+  if (authService.isRateLimited(clientIp)) return false;
+  if (authService.verifyPassword(password, config.ADMIN_PASSWORD)) return true;
+
+  authService.recordFailedAttempt(clientIp);
+  return false;
+}
+
+export default createAdminAuthMiddleware;
\ No newline at end of file
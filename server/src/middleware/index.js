@@ -6,6 +6,7 @@ import createCompressionMiddleware from './compression.js';
 import createStaticFilesMiddleware from './staticFiles.js';
 import createConnectionManagementMiddleware from './connectionManagement.js';
 import { create404Handler, createGlobalErrorHandler } from './errorHandler.js';
+import createAdminAuthMiddleware, { isAdminRequest } from './adminAuth.js';
 
 //export all middleware factories for use in app.js
 export {
@@ -15,5 +16,7 @@ export {
   createStaticFilesMiddleware,
   createConnectionManagementMiddleware,
   create404Handler,
-  createGlobalErrorHandler
+  createGlobalErrorHandler,
+  createAdminAuthMiddleware,
+  isAdminRequest
 };
\ No newline at end of file
@@ -1,8 +1,41 @@
-import http from 'http';
 import { EventEmitter } from 'events';
-import sharp from 'sharp';
 import { config } from './config.js';
 import { getFrameBufferManager } from './services/frameBufferManager.js';
+import StreamVariantManager from './services/streamVariantManager.js';
+import WaitingRoom from './services/waitingRoom.js';
+import connectionHistory from './state/connectionHistory.js';
+import FrameOverlay from './services/frameOverlay.js';
+import PrivacyMask from './services/privacyMask.js';
+import { renderSlate } from './services/slateRenderer.js';
+import { prepareBlend } from './services/frameBlender.js';
+import { resolveSourceAccess, requestSource, parseDigestChallenge } from './utils/sourceHttp.js';
+import { redactUrlCredentials } from './utils/urlUtils.js';
+
+//merge a source's idleFps settings onto the global defaults, dropping invalid values
+const resolveIdleFps = (sourceIdleFps = {}) => {
+  const options = { ...config.idleFps, ...(sourceIdleFps || {}) };
+  const defaults = config.idleFps;
+
+  return {
+    enabled: options.enabled === true,
+    fps: Number.isFinite(options.fps) && options.fps > 0 && options.fps <= 30 ? options.fps : defaults.fps,
+    afterSeconds: Number.isFinite(options.afterSeconds) && options.afterSeconds > 0 ? options.afterSeconds : defaults.afterSeconds
+  };
+};
+
+//longest stretch of blended frames sent after a source gap, so live frames are never held back longer
+const MAX_GAP_FILL_MS = 1000;
+
+//response headers for multipart viewers, also used by dvr playback which hands its response over at live
+export const MJPEG_STREAM_HEADERS = {
+  'Content-Type': 'multipart/x-mixed-replace; boundary=frame',
+  'Cache-Control': 'no-cache, no-store, must-revalidate',
+  'Pragma': 'no-cache',
+  'Expires': '0',
+  'Connection': 'keep-alive',
+  'Access-Control-Allow-Origin': '*',
+  'X-Content-Type-Options': 'nosniff'
+};
 
 class MjpegProxy extends EventEmitter {
   constructor(sourceUrl, options = {}) {
@@ -10,28 +43,97 @@ class MjpegProxy extends EventEmitter {
     this.sourceUrl = sourceUrl;
     this.sourceId = options.sourceId || 'default'; // Identifier for multi-stream support
     this.sourceName = options.sourceName || 'Default Stream'; // Human-readable name
+    this.sourceType = 'mjpeg'; // Transport type, overridden by subclasses (rtsp, ...)
+    this.sourceAccess = { auth: options.auth, headers: options.headers, tls: options.tls }; // per-source auth, headers, cert pin
+    this.digestChallenge = null; // last digest challenge from the source, answered on the next connect
     this.clients = new Map();
     this.sourceConnection = null;
+    this.sourceRequest = null;
+    this.stopped = false; // set by disconnect() so a removed source never reconnects
     this.boundary = null;
     this.isConnected = false;
     this.reconnectTimeout = null;
+    
+    //reconnect backoff and circuit breaker state
+    //closed -> open after repeated failures -> half-open trial connection -> closed on success
+    this.reconnectPolicy = config.reconnect;
+    this.connectionHealth = {
+      circuitState: 'closed',
+      consecutiveFailures: 0,
+      nextRetryAt: null,
+      circuitOpenedAt: null,
+      lastConnectedAt: null,
+      lastDisconnectedAt: null,
+      lastFailure: null,
+      reconnects: 0 // reconnection attempts since start, for metrics
+    };
+    
+    //stall watchdog - an open connection that stops delivering frames is torn down and reconnected
+    this.stallPolicy = config.stallDetection;
+    this.stallWatchdog = null;
+    this.lastExtractedFrameAt = null;
+    this.stallState = {
+      stalled: false,
+      stalledAt: null,
+      count: 0,
+      lastStalledAt: null,
+      lastRecoveredAt: null
+    };
     this.lastFrame = null; // Cache last frame for new clients
     this.frameCount = 0;
+    this.sourceFrameRate = { startedAt: Date.now(), frames: 0, fps: 0 }; // measured incoming fps
     this.lastFrameTime = Date.now();
     this.frameRateLimiter = new Map(); // Track per-client frame rate limits
     this.lastBroadcastTime = 0;
     this.serverFpsLimit = 30; // Server-side FPS limit
     this.serverFrameInterval = 1000 / this.serverFpsLimit; // 33ms for 30 FPS
+    this.motionSampleInterval = 30; // every Nth frame goes to motion detection, slower sources lower it
+    this.adaptiveFps = config.adaptiveFps; // per-client fps steps under backpressure
+    
+    //motion-adaptive broadcast rate - viewers get idleFps.fps once motion detection has seen
+    //nothing for idleFps.afterSeconds; sources without motion detection never go idle
+    this.idleFps = resolveIdleFps(options.idleFps);
+    this.motionActivity = {
+      watched: false,
+      lastMotionAt: Date.now(),
+      idleSince: null
+    };
+    this.lastIdleBroadcastTime = 0;
     
     //frame buffer manager for optimized memory handling
     this.frameBufferManager = getFrameBufferManager();
     
+    //resized/quality-reduced variants shared by clients asking for the same ?width=&quality=
+    this.variantManager = new StreamVariantManager(
+      (variantKey, frame) => this.broadcastVariant(variantKey, frame),
+      { maxVariants: config.streamVariants.maxPerSource }
+    );
+    
+    //viewer cap (per-source "maxViewers", 0 = unlimited) - viewers over it wait in line with a
+    //still frame every stillIntervalSeconds and are admitted in order as slots free up
+    this.waitingRoom = new WaitingRoom({
+      maxViewers: options.maxViewers ?? config.viewerCaps.maxViewers,
+      ticketTtlMs: config.viewerCaps.ticketTtlSeconds * 1000,
+      maxQueue: config.viewerCaps.maxQueue
+    });
+    this.waitingRoomTimer = null;
+    this.playbackViewers = 0; // rewind (dvr) viewers, which count against the cap but are not clients
+    
+    //timestamp/name/weather overlay burned into every delivered frame (per-source "overlay" settings)
+    this.overlay = new FrameOverlay(options.overlay, { sourceName: this.sourceName });
+    
+    //privacy mask polygons blacked out/pixelated before the overlay, edited via the admin api
+    this.privacyMask = new PrivacyMask(this.sourceId);
+    
     //pause state management
     this.pauseState = {
       isPaused: false,
       pauseStartTime: null,
       pauseEndTime: null,
-      pauseDuration: 5 * 60 * 1000, // 5 minutes
+      pauseDuration: 5 * 60 * 1000, // 5 minutes, unless the pause asks for another duration
+      reason: null, // 'manual' or 'schedule'
+      scheduleId: null,
+      slate: null, // template name or inline slate
       maintenanceFrame: null,
       updateInterval: null,
       pauseTimeout: null
@@ -46,6 +148,7 @@ class MjpegProxy extends EventEmitter {
     this.gapDetectionThreshold = config.GAP_DETECTION_MS;
     this.motionBlurIntensity = config.MOTION_BLUR_INTENSITY;
     this.maxInterpolatedFrames = config.MAX_INTERPOLATED_FRAMES;
+    this.gapFill = null; // { pendingFrame } while blended frames for a gap are being sent
     this.interpolationStats = {
       gapsDetected: 0,
       framesInterpolated: 0,
@@ -64,16 +167,33 @@ class MjpegProxy extends EventEmitter {
       clearTimeout(this.reconnectTimeout);
       this.reconnectTimeout = null;
     }
+    this.stopped = false;
 
-    console.log(`[Proxy ${this.sourceId}] Connecting to MJPEG source: ${this.sourceUrl}`);
+    console.log(`[Proxy ${this.sourceId}] Connecting to MJPEG source: ${this.getDisplayUrl()}`);
     
-    const request = http.get(this.sourceUrl, (response) => {
+    const access = resolveSourceAccess(this.sourceUrl, this.sourceAccess);
+    const answeredChallenge = this.digestChallenge;
+    const request = requestSource(access, { digestChallenge: answeredChallenge }, (response) => {
       // Set TCP_NODELAY for low latency
       if (response.socket && response.socket.setNoDelay) {
         response.socket.setNoDelay(true);
       }
+      //digest sources answer the first request with a challenge - reconnect straight away with the answer
+      //a 401 to an answered challenge is a real auth failure unless the source says the nonce went stale
+      if (response.statusCode === 401 && access.auth?.type === 'digest') {
+        const challenge = parseDigestChallenge(response.headers['www-authenticate']);
+        response.resume();
+        if (challenge && (!answeredChallenge || challenge.stale === 'true')) {
+          this.digestChallenge = challenge;
+          this.sourceRequest = null;
+          this.connect();
+          return;
+        }
+        this.digestChallenge = null;
+      }
       if (response.statusCode !== 200) {
         console.error(`[Proxy] Source returned status ${response.statusCode}`);
+        this.recordConnectionEvent('http-error', { statusCode: response.statusCode });
         this.scheduleReconnect();
         return;
       }
@@ -87,8 +207,10 @@ class MjpegProxy extends EventEmitter {
         response.on('end', () => {
           if (body.includes('DroidCam is Busy')) {
             console.error('[Proxy] DroidCam is busy - another client is connected!');
+            this.recordConnectionEvent('busy');
           } else {
             console.error('[Proxy] Unexpected HTML response from DroidCam');
+            this.recordConnectionEvent('html-response', { statusCode: response.statusCode });
           }
           this.scheduleReconnect();
         });
@@ -104,147 +226,317 @@ class MjpegProxy extends EventEmitter {
       }
       
       console.log(`[Proxy ${this.sourceId}] Connected to source. Content-Type: ${contentType}`);
+      this.markConnected();
       this.emit('connected');
 
       // Handle incoming data with optimized buffer management
-      const BUFFER_SIZE = 1024 * 1024; // 1MB pre-allocated buffer
-      const MAX_BUFFER_SIZE = 5 * 1024 * 1024; // 5MB max to prevent memory issues
-      
-      let buffer = Buffer.allocUnsafe(BUFFER_SIZE);
-      let bufferOffset = 0;
-      let totalBytes = 0;
-      let frameCount = 0;
-      
-      response.on('data', (chunk) => {
-        totalBytes += chunk.length;
-        
-        // If chunk won't fit in current buffer, process what we have first
-        if (bufferOffset + chunk.length > buffer.length) {
-          // Process existing buffer content
-          const frames = this.extractFrames(buffer.slice(0, bufferOffset));
-          
-          if (frames.completeFrames.length > 0) {
-            frameCount += frames.completeFrames.length;
-            console.log(`[Proxy] Extracted ${frames.completeFrames.length} frames (total: ${frameCount}, bytes: ${totalBytes})`);
-          }
-          
-          frames.completeFrames.forEach(frame => {
-            this.lastFrame = frame; // Cache frame
-            this.frameCount++;
-            
-            // Server-side frame rate limiting to 30 FPS
-            const now = Date.now();
-            const timeSinceLastBroadcast = now - this.lastBroadcastTime;
-            
-            if (timeSinceLastBroadcast >= this.serverFrameInterval) {
-              this.lastBroadcastTime = now;
-              this.lastFrameTime = now;
-              
-              // Add frame to buffer
-              this.addFrameToBuffer(frame);
-              
-              // Emit frame event for other services (only sample for motion detection)
-              // Emit at motion detection FPS rate to reduce overhead
-              if (this.frameCount % 30 === 0) { // Sample every 30th frame for 1 FPS at 30 FPS stream
-                this.emit('motion-frame', frame, this.frameCount);
-              }
-              this.emit('frame', frame, this.frameCount);
-              
-              // Broadcast the frame
-              this.broadcast(frame);
-            }
-          });
-          
-          // Handle remainder
-          if (frames.remainder.length > 0) {
-            // Check for oversized buffer
-            if (frames.remainder.length > MAX_BUFFER_SIZE) {
-              console.warn(`[Proxy] Buffer overflow protection: dropping ${frames.remainder.length} bytes`);
-              bufferOffset = 0;
-            } else {
-              // Copy remainder to start of buffer
-              frames.remainder.copy(buffer, 0);
-              bufferOffset = frames.remainder.length;
-            }
-          } else {
-            bufferOffset = 0;
-          }
-        }
-        
-        // Add new chunk to buffer
-        if (bufferOffset + chunk.length <= buffer.length) {
-          chunk.copy(buffer, bufferOffset);
-          bufferOffset += chunk.length;
-          
-          // Try to extract frames from current buffer
-          const frames = this.extractFrames(buffer.slice(0, bufferOffset));
-          
-          if (frames.completeFrames.length > 0) {
-            frameCount += frames.completeFrames.length;
-            console.log(`[Proxy] Extracted ${frames.completeFrames.length} frames (total: ${frameCount}, bytes: ${totalBytes})`);
-          }
-          
-          frames.completeFrames.forEach(frame => {
-            this.lastFrame = frame; // Cache frame
-            this.frameCount++;
-            
-            // Server-side frame rate limiting to 30 FPS
-            const now = Date.now();
-            const timeSinceLastBroadcast = now - this.lastBroadcastTime;
-            
-            if (timeSinceLastBroadcast >= this.serverFrameInterval) {
-              this.lastBroadcastTime = now;
-              this.lastFrameTime = now;
-              
-              // Add frame to buffer
-              this.addFrameToBuffer(frame);
-              
-              // Emit frame event for other services (only sample for motion detection)
-              // Emit at motion detection FPS rate to reduce overhead
-              if (this.frameCount % 30 === 0) { // Sample every 30th frame for 1 FPS at 30 FPS stream
-                this.emit('motion-frame', frame, this.frameCount);
-              }
-              this.emit('frame', frame, this.frameCount);
-              
-              // Broadcast the frame
-              this.broadcast(frame);
-            }
-          });
-          
-          // Update buffer with remainder
-          if (frames.remainder.length > 0) {
-            frames.remainder.copy(buffer, 0);
-            bufferOffset = frames.remainder.length;
-          } else {
-            bufferOffset = 0;
-          }
-        }
-      });
+      response.on('data', this.createFrameParser());
 
       response.on('end', () => {
+        if (this.sourceConnection !== response) return; // torn down after a stall
         console.log('[Proxy] Source stream ended');
-        this.handleDisconnect();
+        this.handleDisconnect('stream ended');
       });
 
       response.on('error', (error) => {
+        if (this.sourceConnection !== response) return;
         console.error('[Proxy] Source stream error:', error);
-        this.handleDisconnect();
+        this.handleDisconnect(error.message);
       });
     });
 
+    this.sourceRequest = request;
+    let timedOut = false;
+
     request.on('error', (error) => {
+      //destroying a timed out, stalled or stopped request emits an error that is not a source failure
+      if (timedOut || this.stopped || this.sourceRequest !== request) return;
       console.error('[Proxy] Connection error:', error.message);
-      this.handleDisconnect();
+      if (!this.isConnected) {
+        this.recordConnectionEvent('error', { message: error.message });
+      }
+      this.handleDisconnect(error.message);
     });
 
     // Increase timeout for slower connections/networks
     request.setTimeout(30000, () => {
+      if (this.sourceRequest !== request) return; // replaced, e.g. after answering a digest challenge
       console.error('[Proxy] Connection timeout');
+      timedOut = true;
+      this.recordConnectionEvent('timeout', { timeoutMs: 30000 });
       request.destroy();
-      this.handleDisconnect();
+      this.handleDisconnect('timeout');
+    });
+  }
+
+  //source url with credentials stripped for logging
+  getDisplayUrl() {
+    return redactUrlCredentials(this.sourceUrl);
+  }
+
+  //create a chunk handler that reassembles JPEG frames from a byte stream
+  //shared by every source type that delivers concatenated or multipart JPEGs
+  createFrameParser() {
+    const BUFFER_SIZE = 1024 * 1024; // 1MB pre-allocated buffer
+    const MAX_BUFFER_SIZE = 5 * 1024 * 1024; // 5MB max to prevent memory issues
+    
+    let buffer = Buffer.allocUnsafe(BUFFER_SIZE);
+    let bufferOffset = 0;
+    let totalBytes = 0;
+    let frameCount = 0;
+    
+    return (chunk) => {
+      totalBytes += chunk.length;
+      
+      // If chunk won't fit in current buffer, process what we have first
+      if (bufferOffset + chunk.length > buffer.length) {
+        // Process existing buffer content
+        const frames = this.extractFrames(buffer.slice(0, bufferOffset));
+        
+        if (frames.completeFrames.length > 0) {
+          frameCount += frames.completeFrames.length;
+          console.log(`[Proxy] Extracted ${frames.completeFrames.length} frames (total: ${frameCount}, bytes: ${totalBytes})`);
+        }
+        
+        frames.completeFrames.forEach(frame => this.processFrame(frame));
+        
+        // Handle remainder
+        if (frames.remainder.length > 0) {
+          // Check for oversized buffer
+          if (frames.remainder.length > MAX_BUFFER_SIZE) {
+            console.warn(`[Proxy] Buffer overflow protection: dropping ${frames.remainder.length} bytes`);
+            bufferOffset = 0;
+          } else {
+            // Copy remainder to start of buffer
+            frames.remainder.copy(buffer, 0);
+            bufferOffset = frames.remainder.length;
+          }
+        } else {
+          bufferOffset = 0;
+        }
+      }
+      
+      // Add new chunk to buffer
+      if (bufferOffset + chunk.length <= buffer.length) {
+        chunk.copy(buffer, bufferOffset);
+        bufferOffset += chunk.length;
+        
+        // Try to extract frames from current buffer
+        const frames = this.extractFrames(buffer.slice(0, bufferOffset));
+        
+        if (frames.completeFrames.length > 0) {
+          frameCount += frames.completeFrames.length;
+          console.log(`[Proxy] Extracted ${frames.completeFrames.length} frames (total: ${frameCount}, bytes: ${totalBytes})`);
+        }
+        
+        frames.completeFrames.forEach(frame => this.processFrame(frame));
+        
+        // Update buffer with remainder
+        if (frames.remainder.length > 0) {
+          frames.remainder.copy(buffer, 0);
+          bufferOffset = frames.remainder.length;
+        } else {
+          bufferOffset = 0;
+        }
+      }
+    };
+  }
+
+  //cache, rate limit, emit and broadcast a single complete JPEG frame
+  processFrame(frame) {
+    this.lastExtractedFrameAt = Date.now();
+    this.recordSourceFrame(this.lastExtractedFrameAt);
+    if (this.stallState.stalled) {
+      this.markRecovered();
+    }
+    
+    //with masks or an overlay, lastFrame is set once the rendered frame is ready so snapshots never see the raw frame
+    const rendersFrames = this.privacyMask.enabled || this.overlay.enabled;
+    if (!rendersFrames) {
+      this.lastFrame = frame; // Cache frame
+    }
+    this.frameCount++;
+    
+    // Server-side frame rate limiting to 30 FPS
+    const now = Date.now();
+    const timeSinceLastBroadcast = now - this.lastBroadcastTime;
+    
+    if (timeSinceLastBroadcast >= this.serverFrameInterval) {
+      const gap = this.detectGap(now); // before lastFrameTime moves on to this frame
+      this.lastBroadcastTime = now;
+      this.lastFrameTime = now;
+      
+      // Emit sampled frames for motion detection at motion detection FPS rate to reduce overhead
+      // Never overlaid so a ticking overlay timestamp never registers as motion
+      if (this.frameCount % this.motionSampleInterval === 0) { // Every 30th frame for 1 FPS at 30 FPS stream
+        this.emitMotionFrame(frame, this.frameCount);
+      }
+      
+      if (rendersFrames) {
+        //render masks and overlay once here so every client, variant, recording and snapshot shares the work
+        const frameCount = this.frameCount;
+        this.renderFrame(frame, frameCount).then(rendered => {
+          if (!rendered) return; // dropped while the previous frame was still rendering
+          this.lastFrame = rendered;
+          this.deliverFrame(rendered, frameCount, gap);
+        }).catch(error => {
+          //a throwing 'frame' listener must not become an unhandled rejection - drop the frame instead
+          console.error(`[Proxy ${this.sourceId}] Error delivering rendered frame ${frameCount}:`, error.message);
+        });
+      } else {
+        this.emit('clean-frame', frame, this.frameCount);
+        this.deliverFrame(frame, this.frameCount, gap);
+      }
+    }
+  }
+
+  //measure the rate frames arrive from the source over 5 second windows
+  recordSourceFrame(now) {
+    const rate = this.sourceFrameRate;
+    const elapsed = now - rate.startedAt;
+    if (elapsed >= 5000) {
+      rate.fps = Math.round((rate.frames * 1000 / elapsed) * 10) / 10;
+      rate.startedAt = now;
+      rate.frames = 0;
+    }
+    rate.frames++;
+  }
+
+  //motion detection sees the raw frame unless a mask is set to hide its area from motion too
+  emitMotionFrame(frame, frameCount) {
+    if (!this.privacyMask.hidesMotion) {
+      this.emit('motion-frame', frame, frameCount);
+      return;
+    }
+    this.privacyMask.applyForMotion(frame).then(masked => {
+      if (masked) {
+        this.emit('motion-frame', masked, frameCount);
+      }
+    }).catch(error => {
+      console.error(`[Proxy ${this.sourceId}] Error emitting motion frame ${frameCount}:`, error.message);
     });
   }
 
+  //privacy masks first, then the overlay on top; resolves null when the frame should be dropped
+  //'clean-frame' carries the masked frame without the overlay for derived (cropped) sources
+  async renderFrame(frame, frameCount = this.frameCount) {
+    const masked = this.privacyMask.enabled ? await this.privacyMask.apply(frame) : frame;
+    if (!masked) {
+      return null;
+    }
+    this.emit('clean-frame', masked, frameCount);
+    return this.overlay.enabled ? this.overlay.render(masked) : masked;
+  }
+
+  //hand a delivered frame to the buffer, listeners and clients
+  //gap (from detectGap) is set when this frame arrived after the source went quiet for a while
+  deliverFrame(frame, frameCount, gap = null) {
+    //the frame before this one, blended from if this frame ended a gap
+    const previous = this.frameBuffer[this.frameBuffer.length - 1];
+    
+    // Add frame to buffer
+    this.addFrameToBuffer(frame);
+    
+    // Emit frame event for other services
+    //recording pre-buffers listen here, so this stays at the full rate while idle
+    this.emit('frame', frame, frameCount);
+    
+    //an idle scene only reaches viewers at the idle frame rate
+    const now = Date.now();
+    if (this.checkIdle(now)) {
+      if (now - this.lastIdleBroadcastTime < 1000 / this.idleFps.fps) return;
+      this.lastIdleBroadcastTime = now;
+    }
+    
+    //real frames wait while a gap is being filled, the newest goes out once the fill is done
+    if (this.gapFill) {
+      this.gapFill.pendingFrame = frame;
+      return;
+    }
+    if (gap && previous && !this.motionActivity.idleSince && !this.pauseState.isPaused && this.clients.size > 0) {
+      this.fillGap(previous.frameData, frame, gap);
+      return;
+    }
+    
+    // Broadcast the frame
+    this.broadcast(frame);
+  }
+
+  //fade from the frame before a gap to the one that ended it: blended in-between frames go out at
+  //the source's usual rate, then the real frame. They only reach viewers of the original stream -
+  //never 'frame' listeners (recordings, dvr, timelapse), lastFrame (snapshots) or variants
+  async fillGap(from, to, gap) {
+    const sourceFps = this.sourceFrameRate.fps;
+    const interval = sourceFps > 0 ? Math.max(1000 / sourceFps, this.serverFrameInterval) : 0;
+    //the fill delays live frames, so it never covers more than MAX_GAP_FILL_MS
+    const count = interval > 0
+      ? Math.min(Math.round(gap.duration / interval) - 1, Math.floor(MAX_GAP_FILL_MS / interval), this.maxInterpolatedFrames)
+      : 0;
+    if (count < 1) {
+      this.broadcast(to);
+      return;
+    }
+    
+    const stats = this.interpolationStats;
+    stats.gapsDetected++;
+    stats.totalGapDuration += gap.duration;
+    stats.averageGapDuration = stats.totalGapDuration / stats.gapsDetected;
+    this.gapFill = { pendingFrame: null };
+    
+    try {
+      const blend = await prepareBlend(from, to);
+      for (let i = 1; blend && i <= count; i++) {
+        const startedAt = Date.now();
+        const blended = await blend(i / (count + 1));
+        if (this.stopped || this.pauseState.isPaused) break;
+        
+        this.broadcastToClients(Buffer.concat([
+          Buffer.from('--frame\r\nContent-Type: image/jpeg\r\n\r\n'),
+          blended,
+          Buffer.from('\r\n')
+        ]), blended, null, { interpolated: true });
+        stats.framesInterpolated++;
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, interval - (Date.now() - startedAt))));
+      }
+    } catch (error) {
+      console.error(`[Proxy ${this.sourceId}] Error interpolating gap frames:`, error.message);
+    }
+    
+    const latest = this.gapFill.pendingFrame || to;
+    this.gapFill = null;
+    if (!this.stopped) {
+      this.broadcast(latest);
+    }
+  }
+
+  //called by motion detection when it starts/stops watching this source (e.g. paused by the flashlight)
+  setMotionWatched(watched) {
+    this.motionActivity.watched = !!watched;
+    this.noteMotion();
+  }
+
+  //motion seen - back to the full frame rate straight away
+  noteMotion(now = Date.now()) {
+    this.motionActivity.lastMotionAt = now;
+    if (this.motionActivity.idleSince) {
+      this.motionActivity.idleSince = null;
+      console.log(`[Proxy ${this.sourceId}] Motion detected, back to full frame rate`);
+    }
+  }
+
+  //true while the broadcast rate is lowered; marks the start of an idle period
+  checkIdle(now = Date.now()) {
+    const activity = this.motionActivity;
+    if (!this.idleFps.enabled || !activity.watched) return false;
+    if (now - activity.lastMotionAt < this.idleFps.afterSeconds * 1000) return false;
+    
+    if (!activity.idleSince) {
+      activity.idleSince = now;
+      console.log(`[Proxy ${this.sourceId}] No motion for ${this.idleFps.afterSeconds}s, dropping to ${this.idleFps.fps} FPS`);
+    }
+    return true;
+  }
+
   extractFrames(buffer) {
     const frames = [];
     let offset = 0;
@@ -289,35 +581,156 @@ class MjpegProxy extends EventEmitter {
     return { completeFrames: frames, remainder };
   }
 
-  handleDisconnect() {
+  handleDisconnect(reason = null) {
+    if (this.isConnected) {
+      this.connectionHealth.lastDisconnectedAt = Date.now();
+      this.recordConnectionEvent('disconnected', reason ? { reason } : {});
+    }
     this.isConnected = false;
     this.sourceConnection = null;
     this.emit('disconnected');
     
     // Notify all clients
-    this.clients.forEach(client => {
-      try {
-        client.res.end();
-      } catch (e) {
-        // Client may already be disconnected
-      }
-    });
-    this.clients.clear();
+    this.removeAllClients();
     
     this.scheduleReconnect();
   }
 
   scheduleReconnect() {
-    if (this.reconnectTimeout) return;
+    if (this.reconnectTimeout || this.stopped) return;
+    
+    const health = this.connectionHealth;
+    health.consecutiveFailures++;
     
-    console.log('[Proxy] Scheduling reconnection in 5 seconds...');
+    //a failed trial connection, or too many failures in a row, opens the circuit
+    if (health.circuitState === 'half-open' ||
+        (health.circuitState === 'closed' && health.consecutiveFailures >= this.reconnectPolicy.failureThreshold)) {
+      health.circuitState = 'open';
+      health.circuitOpenedAt = Date.now();
+      console.warn(`[Proxy ${this.sourceId}] Circuit open after ${health.consecutiveFailures} consecutive failures`);
+      this.recordConnectionEvent('circuit-open', { consecutiveFailures: health.consecutiveFailures });
+    }
+    
+    const delay = health.circuitState === 'open'
+      ? this.reconnectPolicy.circuitOpenSeconds * 1000
+      : this.getReconnectDelay();
+    health.nextRetryAt = Date.now() + delay;
+    
+    console.log(`[Proxy ${this.sourceId}] Scheduling reconnection in ${(delay / 1000).toFixed(1)} seconds (failure ${health.consecutiveFailures})...`);
     this.reconnectTimeout = setTimeout(() => {
       this.reconnectTimeout = null;
+      health.nextRetryAt = null;
+      if (health.circuitState === 'open') {
+        //let a single trial connection through
+        health.circuitState = 'half-open';
+        this.recordConnectionEvent('circuit-half-open');
+      }
+      health.reconnects++;
       this.connect();
-    }, 5000);
+    }, delay);
+  }
+
+  //exponential backoff from the base delay; jitter only shortens the wait so the first retry stays within baseDelayMs
+  getReconnectDelay() {
+    const { baseDelayMs, maxDelayMs, jitterRatio } = this.reconnectPolicy;
+    const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, this.connectionHealth.consecutiveFailures - 1));
+    return Math.round(exponential * (1 - jitterRatio * Math.random()));
+  }
+
+  //source is delivering a stream - reset backoff and close the circuit
+  markConnected() {
+    const health = this.connectionHealth;
+    health.lastConnectedAt = Date.now();
+    this.recordConnectionEvent('connected', { afterFailures: health.consecutiveFailures });
+    
+    if (health.circuitState !== 'closed') {
+      console.log(`[Proxy ${this.sourceId}] Circuit closed after successful reconnect`);
+      this.recordConnectionEvent('circuit-closed');
+    }
+    health.circuitState = 'closed';
+    health.circuitOpenedAt = null;
+    health.consecutiveFailures = 0;
+    health.nextRetryAt = null;
+    
+    //the stall timer starts from the connection, so a source that never sends a frame is caught too
+    this.lastExtractedFrameAt = Date.now();
+    this.startStallWatchdog();
+  }
+
+  startStallWatchdog() {
+    if (!this.stallPolicy.enabled || this.stallWatchdog) return;
+    
+    this.stallWatchdog = setInterval(() => this.checkForStall(), this.stallPolicy.checkIntervalMs);
+    this.stallWatchdog.unref?.();
+  }
+
+  stopStallWatchdog() {
+    if (this.stallWatchdog) {
+      clearInterval(this.stallWatchdog);
+      this.stallWatchdog = null;
+    }
   }
 
-  addClient(clientId, res, fps = null) {
+  //force a reconnect when a connected source has gone quiet for longer than stallSeconds
+  checkForStall() {
+    if (!this.isConnected || this.stallState.stalled || !this.lastExtractedFrameAt) return;
+    
+    const silentForMs = Date.now() - this.lastExtractedFrameAt;
+    if (silentForMs < this.stallPolicy.stallSeconds * 1000) return;
+    
+    const state = this.stallState;
+    state.stalled = true;
+    state.stalledAt = Date.now();
+    state.lastStalledAt = state.stalledAt;
+    state.count++;
+    
+    console.warn(`[Proxy ${this.sourceId}] No frames for ${(silentForMs / 1000).toFixed(1)}s - connection stalled, reconnecting (stall ${state.count})`);
+    this.recordConnectionEvent('stalled', { silentForMs });
+    this.emit('stalled', { sourceId: this.sourceId, sourceName: this.sourceName, silentForMs });
+    this.restartConnection('stalled');
+  }
+
+  //first frame after a stall
+  markRecovered() {
+    const state = this.stallState;
+    const stalledForMs = Date.now() - state.stalledAt;
+    state.stalled = false;
+    state.stalledAt = null;
+    state.lastRecoveredAt = Date.now();
+    
+    console.log(`[Proxy ${this.sourceId}] Frames resumed after ${(stalledForMs / 1000).toFixed(1)}s stall`);
+    this.emit('recovered', { sourceId: this.sourceId, sourceName: this.sourceName, stalledForMs });
+  }
+
+  //drop a connection that is still open but useless, then reconnect through the normal backoff
+  restartConnection(reason) {
+    const request = this.sourceRequest;
+    const connection = this.sourceConnection;
+    this.sourceRequest = null; // the old request's error/end handlers check this and stand down
+    this.handleDisconnect(reason);
+    request?.destroy?.();
+    connection?.destroy?.();
+  }
+
+  //log a connection event to the persisted history and remember the latest failure
+  recordConnectionEvent(type, details = {}) {
+    const event = connectionHistory.record(this.sourceId, type, details);
+    if (type !== 'connected' && !type.startsWith('circuit-')) {
+      this.connectionHealth.lastFailure = event;
+    }
+    return event;
+  }
+
+  //backoff/circuit state plus recent event counts for /api/droidcam-status
+  getConnectionHealth() {
+    return {
+      ...this.connectionHealth,
+      summary: connectionHistory.getSummary(this.sourceId)
+    };
+  }
+
+  //isMobile comes from the request (mobile detection middleware), for viewer analytics
+  addClient(clientId, res, fps = null, variant = null, { isMobile = false } = {}) {
     // Connection is now persistent - no need to connect on first client
     
     // Parse FPS from client ID if provided (format: timestamp-random-fps15)
@@ -329,16 +742,100 @@ class MjpegProxy extends EventEmitter {
       }
     }
     
+    const client = this.registerClient(clientId, res, targetFps, 'mjpeg', variant, { isMobile });
+    
+    // Send headers - unless a dvr playback already streamed on this response and is handing it over
+    const boundary = 'frame';
+    if (!res.headersSent) {
+      res.writeHead(200, MJPEG_STREAM_HEADERS);
+      
+      // Force flush headers if available
+      if (res.flushHeaders) {
+        res.flushHeaders();
+      }
+    }
+    
+    // Send last frame if available (reduces initial loading time)
+    const initialFrame = this.getInitialFrame(client);
+    if (initialFrame && initialFrame.length > 0) {
+      try {
+        const frameData = Buffer.concat([
+          Buffer.from(`--${boundary}\r\nContent-Type: image/jpeg\r\n\r\n`),
+          initialFrame,
+          Buffer.from('\r\n')
+        ]);
+        res.write(frameData);
+      } catch (e) {
+        console.error(`[Proxy] Error sending last frame to client ${clientId}:`, e.message);
+      }
+    }
+    
+    // Handle client disconnect
+    res.on('close', () => {
+      this.removeClient(clientId);
+    });
+  }
+
+  //register a websocket viewer - res is a socket writer that sends each JPEG as one binary message
+  addSocketClient(clientId, res, fps = null, variant = null, { isMobile = false } = {}) {
+    const client = this.registerClient(clientId, res, fps, 'ws', variant, { isMobile });
+    
+    // Send last frame if available (reduces initial loading time)
+    const initialFrame = this.getInitialFrame(client);
+    if (initialFrame && initialFrame.length > 0) {
+      client.isPaused = !res.write(initialFrame);
+    }
+    
+    // Handle client disconnect
+    res.on('close', () => {
+      this.removeClient(clientId);
+    });
+    
+    return client;
+  }
+
+  //create client state shared by all transports and wire up backpressure recovery
+  registerClient(clientId, res, fps, transport, variant = null, { isMobile = false } = {}) {
+    //fall back to the original stream when the source already has too many variants
+    const variantKey = variant ? this.variantManager.acquire(variant) : null;
+    if (variant && !variantKey) {
+      console.log(`[Proxy ${this.sourceId}] Variant limit reached, client ${clientId} gets the original stream`);
+    }
+    
     const client = { 
       id: clientId, 
       res, 
+      transport,
+      variantKey,
       connected: true,
-      fps: targetFps,
+      fps,
       lastFrameTime: 0,
-      frameInterval: targetFps ? 1000 / targetFps : 0,
-      isPaused: false
+      frameInterval: fps ? 1000 / fps : 0,
+      isPaused: false,
+      isSuspended: false,
+      //adaptive fps: index into adaptiveFps.steps plus recent backpressure, and a measured send rate
+      adaptive: {
+        level: 0,
+        recentBackpressure: [],
+        lastBackpressureAt: 0,
+        lastChangeAt: Date.now()
+      },
+      sendWindow: { startedAt: Date.now(), frames: 0, fps: null },
+      interpolatedFrames: 0, // blended gap-fill frames among those sent
+      //viewer session details for analytics
+      connectedAt: Date.now(),
+      framesSent: 0,
+      isMobile
     };
     this.clients.set(clientId, client);
+    this.emit('viewer-connected', {
+      clientId,
+      sourceId: this.sourceId,
+      transport,
+      requestedFps: fps || null,
+      isMobile: client.isMobile,
+      connectedAt: client.connectedAt
+    });
     
     // Handle backpressure - resume when buffer drains
     res.on('drain', () => {
@@ -351,58 +848,352 @@ class MjpegProxy extends EventEmitter {
       }
     });
     
-    console.log(`[Proxy] Client ${clientId} connected. Total clients: ${this.clients.size}${targetFps ? ` (FPS: ${targetFps})` : ''}`);
+    console.log(`[Proxy] ${transport === 'ws' ? 'WebSocket client' : 'Client'} ${clientId} connected. Total clients: ${this.clients.size}${fps ? ` (FPS: ${fps})` : ''}${variantKey ? ` (variant: ${variantKey})` : ''}`);
     
-    // Send headers
-    const boundary = 'frame';
-    res.writeHead(200, {
-      'Content-Type': `multipart/x-mixed-replace; boundary=${boundary}`,
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'X-Content-Type-Options': 'nosniff'
+    return client;
+  }
+
+  //cached frame sent to a new client before live frames arrive
+  getInitialFrame(client) {
+    return client.variantKey
+      ? this.variantManager.getLastFrame(client.variantKey)
+      : this.lastFrame;
+  }
+
+  //change a client's frame rate limit (null or 0 = unlimited)
+  setClientFps(clientId, fps) {
+    const client = this.clients.get(clientId);
+    if (!client) return false;
+    
+    client.fps = fps || null;
+    this.applyClientFps(client);
+    return true;
+  }
+
+  //frame rate a client is currently sent at most - its own limit capped by the adaptive step
+  getClientTargetFps(client) {
+    const requested = client.fps || this.serverFpsLimit;
+    const level = client.adaptive?.level || 0;
+    if (!this.adaptiveFps?.enabled || level === 0) return requested;
+    return Math.min(requested, this.adaptiveFps.steps[level]);
+  }
+
+  applyClientFps(client) {
+    const level = client.adaptive?.level || 0;
+    if (level === 0) {
+      client.frameInterval = client.fps ? 1000 / client.fps : 0;
+    } else {
+      client.frameInterval = 1000 / this.getClientTargetFps(client);
+    }
+  }
+
+  //count frames written per client so stats show the rate it really gets
+  recordClientSend(client, now) {
+    const window = client.sendWindow;
+    if (!window) return;
+    
+    //the frame that closes a window is the first of the next one
+    const elapsed = now - window.startedAt;
+    if (elapsed >= 2000) {
+      window.fps = Math.round((window.frames * 1000 / elapsed) * 10) / 10;
+      window.startedAt = now;
+      window.frames = 0;
+    }
+    window.frames++;
+    client.framesSent++;
+  }
+
+  //repeated backpressure within the window steps the client down to the next lower fps
+  recordClientBackpressure(client, now) {
+    if (!this.adaptiveFps?.enabled || !client.adaptive) return;
+    
+    const { steps, stepDownAfter, windowSeconds } = this.adaptiveFps;
+    const adaptive = client.adaptive;
+    adaptive.lastBackpressureAt = now;
+    adaptive.recentBackpressure = adaptive.recentBackpressure.filter(time => now - time < windowSeconds * 1000);
+    adaptive.recentBackpressure.push(now);
+    if (adaptive.recentBackpressure.length < stepDownAfter) return;
+    
+    //skip steps that would not actually lower what the client gets
+    const current = this.getClientTargetFps(client);
+    const next = steps.findIndex((fps, level) => level > adaptive.level && fps < current);
+    if (next === -1) return;
+    
+    adaptive.level = next;
+    adaptive.recentBackpressure = [];
+    adaptive.lastChangeAt = now;
+    this.applyClientFps(client);
+    console.log(`[Proxy ${this.sourceId}] Client ${client.id} is falling behind, lowering to ${this.getClientTargetFps(client)} FPS`);
+  }
+
+  //once writes have drained cleanly for recoverySeconds, step the client back up one level
+  maybeRaiseClientFps(client, now) {
+    if (!this.adaptiveFps?.enabled || !client.adaptive?.level) return;
+    
+    const adaptive = client.adaptive;
+    const quietSince = Math.max(adaptive.lastBackpressureAt, adaptive.lastChangeAt);
+    if (now - quietSince < this.adaptiveFps.recoverySeconds * 1000) return;
+    
+    adaptive.level--;
+    adaptive.recentBackpressure = [];
+    adaptive.lastChangeAt = now;
+    this.applyClientFps(client);
+    console.log(`[Proxy ${this.sourceId}] Client ${client.id} caught up, raising to ${this.getClientTargetFps(client)} FPS`);
+  }
+
+  //per-client delivery stats - requested vs adaptive target vs measured fps
+  getClientStats() {
+    const now = Date.now();
+    return Array.from(this.clients.entries()).map(([clientId, client]) => {
+      const window = client.sendWindow;
+      //a client that stopped receiving frames would otherwise keep its last full-window rate
+      const elapsed = window ? now - window.startedAt : 0;
+      const effectiveFps = window && elapsed >= 4000
+        ? Math.round((window.frames * 1000 / elapsed) * 10) / 10
+        : window?.fps ?? null;
+      
+      return {
+        id: clientId,
+        transport: client.transport || 'mjpeg',
+        variant: client.variantKey || null,
+        requestedFps: client.fps || null,
+        targetFps: this.getClientTargetFps(client),
+        effectiveFps,
+        adaptiveLevel: client.adaptive?.level || 0,
+        backpressureCount: client.pauseCount || 0,
+        interpolatedFrames: client.interpolatedFrames || 0,
+        paused: !!client.isPaused,
+        suspended: !!client.isSuspended
+      };
     });
+  }
+
+  //stop or resume frame delivery to a single client without disconnecting it
+  setClientSuspended(clientId, suspended) {
+    const client = this.clients.get(clientId);
+    if (!client) return false;
     
-    // Force flush headers if available
-    if (res.flushHeaders) {
-      res.flushHeaders();
+    client.isSuspended = !!suspended;
+    return true;
+  }
+
+  removeClient(clientId) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      this.clients.delete(clientId);
+      if (client.variantKey) {
+        this.variantManager.release(client.variantKey);
+      }
+      this.emit('viewer-disconnected', {
+        clientId,
+        sourceId: this.sourceId,
+        framesSent: client.framesSent,
+        disconnectedAt: Date.now()
+      });
+      console.log(`[Proxy] Client ${clientId} disconnected. Total clients: ${this.clients.size}`);
+      
+      if (this.waitingRoom.enabled && !this.stopped) {
+        this.admitWaitingViewers();
+      }
+    }
+  }
+
+  //viewers holding a slot under the viewer cap - live clients plus rewind playbacks
+  get viewerCount() {
+    return this.clients.size + this.playbackViewers;
+  }
+
+  //a rewind playback holds a viewer slot until it ends or is handed over to the live stream
+  //(hand over with addClient before ending the playback so the slot isn't given away in between)
+  startPlayback() {
+    this.playbackViewers++;
+  }
+
+  endPlayback() {
+    this.playbackViewers = Math.max(0, this.playbackViewers - 1);
+    if (this.waitingRoom.enabled && !this.stopped) {
+      this.admitWaitingViewers();
+    }
+  }
+
+  //true when a new viewer has to wait in line - admins skip the line (but still count as viewers)
+  //and a ticket admitted through the json queue uses the slot reserved for it
+  mustQueue({ exempt = false, ticket = null } = {}) {
+    if (exempt || !this.waitingRoom.enabled) return false;
+    if (this.waitingRoom.claimReservation(ticket)) return false;
+    return this.waitingRoom.mustWait(this.viewerCount);
+  }
+
+  //json queue status for ?ticket= polling, see WaitingRoom.checkTicket
+  checkQueueTicket(ticket) {
+    const status = this.waitingRoom.checkTicket(ticket, this.viewerCount);
+    this.startWaitingRoomTimer();
+    return status;
+  }
+
+  //hold a viewer over the cap in line; it gets a still frame every few seconds and is connected
+  //with addClient/addSocketClient (then onAdmit) once its turn comes
+  //returns the position in line, or 0 when the line is full
+  queueViewer(clientId, res, { fps = null, variant = null, transport = 'mjpeg', isMobile = false, ticket = null, onAdmit = null } = {}) {
+    const onClose = () => this.waitingRoom.removeWaiter(clientId);
+    const position = this.waitingRoom.addWaiter({ id: clientId, res, fps, variant, transport, isMobile, onAdmit, onClose, lastStillAt: 0 }, { ticket });
+    if (!position) {
+      console.log(`[Proxy ${this.sourceId}] Waiting room is full, turning away client ${clientId}`);
+      return 0;
     }
     
-    // Send last frame if available (reduces initial loading time)
-    if (this.lastFrame && this.lastFrame.length > 0) {
+    if (transport === 'mjpeg' && !res.headersSent) {
+      res.writeHead(200, MJPEG_STREAM_HEADERS);
+      if (res.flushHeaders) {
+        res.flushHeaders();
+      }
+    }
+    res.on('close', onClose);
+    
+    this.sendWaitingStill(this.waitingRoom.queue[position - 1]);
+    this.startWaitingRoomTimer();
+    console.log(`[Proxy ${this.sourceId}] Viewer cap of ${this.waitingRoom.maxViewers} reached, client ${clientId} is #${position} in line`);
+    return position;
+  }
+
+  //low-rate still for a waiting viewer - the slate while paused, never a raw unmasked frame
+  sendWaitingStill(waiter, now = Date.now()) {
+    waiter.lastStillAt = now;
+    const frame = this.pauseState.isPaused && this.pauseState.maintenanceFrame
+      ? this.pauseState.maintenanceFrame
+      : this.lastFrame;
+    if (!frame || frame.length === 0) return;
+    
+    try {
+      waiter.res.write(waiter.transport === 'ws' ? frame : Buffer.concat([
+        Buffer.from('--frame\r\nContent-Type: image/jpeg\r\n\r\n'),
+        frame,
+        Buffer.from('\r\n')
+      ]));
+    } catch (e) {
+      console.error(`[Proxy] Error sending waiting room still to client ${waiter.id}:`, e.message);
+    }
+  }
+
+  //connect waiting viewers while there is room, oldest first
+  admitWaitingViewers() {
+    this.waitingRoom.admitNext(this.viewerCount).forEach(waiter => {
+      waiter.res.off?.('close', waiter.onClose);
+      if (waiter.transport === 'ws') {
+        this.addSocketClient(waiter.id, waiter.res, waiter.fps, waiter.variant, { isMobile: waiter.isMobile });
+      } else {
+        this.addClient(waiter.id, waiter.res, waiter.fps, waiter.variant, { isMobile: waiter.isMobile });
+      }
+      waiter.onAdmit?.();
+      console.log(`[Proxy ${this.sourceId}] Admitted client ${waiter.id} from the waiting room`);
+    });
+  }
+
+  //stills, ticket expiry and admissions run on one timer that stops once the line is empty
+  startWaitingRoomTimer() {
+    if (this.waitingRoomTimer || this.waitingRoom.isIdle) return;
+    
+    const stillIntervalMs = config.viewerCaps.stillIntervalSeconds * 1000;
+    this.waitingRoomTimer = setInterval(() => {
+      const now = Date.now();
+      this.waitingRoom.expire(now);
+      this.admitWaitingViewers();
+      this.waitingRoom.getStreamWaiters().forEach(waiter => {
+        if (now - waiter.lastStillAt >= stillIntervalMs) {
+          this.sendWaitingStill(waiter, now);
+        }
+      });
+      if (this.waitingRoom.isIdle) {
+        this.stopWaitingRoomTimer();
+      }
+    }, 1000);
+    this.waitingRoomTimer.unref?.();
+  }
+
+  stopWaitingRoomTimer() {
+    if (this.waitingRoomTimer) {
+      clearInterval(this.waitingRoomTimer);
+      this.waitingRoomTimer = null;
+    }
+  }
+
+  //end every client response; goes through removeClient so shared variants are released
+  removeAllClients() {
+    //waiting viewers go first so nobody is admitted into a source that is going away
+    this.waitingRoom.getStreamWaiters().forEach(waiter => {
+      this.waitingRoom.removeWaiter(waiter.id);
       try {
-        const frameData = Buffer.concat([
-          Buffer.from(`--${boundary}\r\nContent-Type: image/jpeg\r\n\r\n`),
-          this.lastFrame,
-          Buffer.from('\r\n')
-        ]);
-        res.write(frameData);
+        waiter.res.end();
       } catch (e) {
-        console.error(`[Proxy] Error sending last frame to client ${clientId}:`, e.message);
+        // Client may already be disconnected
       }
-    }
+    });
     
-    // Handle client disconnect
-    res.on('close', () => {
+    Array.from(this.clients.entries()).forEach(([clientId, client]) => {
+      try {
+        client.res.end();
+      } catch (e) {
+        // Client may already be disconnected
+      }
       this.removeClient(clientId);
     });
   }
 
-  removeClient(clientId) {
-    if (this.clients.has(clientId)) {
-      this.clients.delete(clientId);
-      console.log(`[Proxy] Client ${clientId} disconnected. Total clients: ${this.clients.size}`);
+  //take the source offline for good (source removed at runtime or server shutting down)
+  disconnect() {
+    this.stopped = true;
+    this.stopStallWatchdog();
+    this.stopWaitingRoomTimer();
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    
+    //stop the maintenance countdown if the stream was paused
+    if (this.pauseState.updateInterval) {
+      clearInterval(this.pauseState.updateInterval);
+      this.pauseState.updateInterval = null;
+    }
+    if (this.pauseState.pauseTimeout) {
+      clearTimeout(this.pauseState.pauseTimeout);
+      this.pauseState.pauseTimeout = null;
     }
+    
+    const request = this.sourceRequest;
+    const connection = this.sourceConnection;
+    this.sourceRequest = null;
+    this.sourceConnection = null;
+    this.isConnected = false;
+    request?.destroy?.();
+    connection?.destroy?.();
+    
+    this.removeAllClients();
+    console.log(`[Proxy ${this.sourceId}] Disconnected from source`);
   }
 
   getStats() {
     return {
       isConnected: this.isConnected,
       clientCount: this.clients.size,
-      sourceUrl: this.sourceUrl,
+      sourceUrl: this.getDisplayUrl(),
       hasLastFrame: !!this.lastFrame,
+      frameCount: this.frameCount,
+      //the last full window goes stale once frames stop, so a silent source reads 0
+      frameRate: this.isConnected && Date.now() - this.sourceFrameRate.startedAt < 10000 ? this.sourceFrameRate.fps : 0,
+      reconnects: this.connectionHealth.reconnects,
+      clients: this.getClientStats(),
+      idleFps: {
+        ...this.idleFps,
+        idle: !!this.motionActivity.idleSince,
+        idleSince: this.motionActivity.idleSince
+      },
+      stalls: {
+        stalled: this.stallState.stalled,
+        count: this.stallState.count,
+        lastStalledAt: this.stallState.lastStalledAt,
+        lastRecoveredAt: this.stallState.lastRecoveredAt
+      },
+      waitingRoom: this.waitingRoom.getStats(),
       interpolation: {
         enabled: this.interpolationEnabled,
         bufferSize: this.frameBuffer.length,
@@ -480,51 +1271,15 @@ class MjpegProxy extends EventEmitter {
     return null;
   }
 
-  //simplified broadcast with gap filling
+  //send a frame to every client (gaps are filled in by fillGap before the frame that ends them)
   broadcast(frame) {
     const boundary = 'frame';
-    const now = Date.now();
     
     // If paused, broadcast maintenance frame instead
     if (this.pauseState.isPaused && this.pauseState.maintenanceFrame) {
       frame = this.pauseState.maintenanceFrame;
     }
     
-    // Check for gaps and fill them by repeating last frame
-    if (this.interpolationEnabled && this.lastFrame) {
-      const timeSinceLastBroadcast = now - this.lastBroadcastTime;
-      
-      // If we have a gap, repeat the last frame to fill it
-      if (timeSinceLastBroadcast > this.gapDetectionThreshold) {
-        const missedFrames = Math.min(
-          Math.floor(timeSinceLastBroadcast / this.serverFrameInterval) - 1,
-          this.maxInterpolatedFrames
-        );
-        
-        if (missedFrames > 0) {
-          console.log(`[Proxy] Gap detected (${timeSinceLastBroadcast}ms), filling with ${missedFrames} repeated frames`);
-          
-          // Update stats
-          this.interpolationStats.gapsDetected++;
-          this.interpolationStats.framesInterpolated += missedFrames;
-          this.interpolationStats.totalGapDuration += timeSinceLastBroadcast;
-          this.interpolationStats.averageGapDuration = 
-            this.interpolationStats.totalGapDuration / this.interpolationStats.gapsDetected;
-          
-          // Broadcast repeated frames to fill the gap
-          const frameData = Buffer.concat([
-            Buffer.from(`--${boundary}\r\nContent-Type: image/jpeg\r\n\r\n`),
-            this.lastFrame,
-            Buffer.from('\r\n')
-          ]);
-          
-          for (let i = 0; i < missedFrames; i++) {
-            this.broadcastToClients(frameData);
-          }
-        }
-      }
-    }
-    
     // Format and broadcast current frame
     const frameData = Buffer.concat([
       Buffer.from(`--${boundary}\r\nContent-Type: image/jpeg\r\n\r\n`),
@@ -532,7 +1287,21 @@ class MjpegProxy extends EventEmitter {
       Buffer.from('\r\n')
     ]);
     
-    this.broadcastToClients(frameData);
+    this.broadcastToClients(frameData, frame);
+    
+    //variant clients are served asynchronously once sharp has transcoded this frame
+    this.variantManager.encode(frame);
+  }
+  
+  //broadcast a transcoded frame to the clients watching that variant
+  broadcastVariant(variantKey, frame) {
+    const frameData = Buffer.concat([
+      Buffer.from('--frame\r\nContent-Type: image/jpeg\r\n\r\n'),
+      frame,
+      Buffer.from('\r\n')
+    ]);
+    
+    this.broadcastToClients(frameData, frame, variantKey);
   }
   
   //optimized broadcast using sequential writes without Buffer.concat
@@ -582,8 +1351,9 @@ class MjpegProxy extends EventEmitter {
     });
   }
   
-  //broadcast frame data to all clients
-  broadcastToClients(frameData) {
+  //broadcast frame data to all clients watching the given variant (null = original stream)
+  //multipart clients get the framed part, websocket clients get the raw jpeg
+  broadcastToClients(frameData, frame, variantKey = null, { interpolated = false } = {}) {
     const now = Date.now();
     const deadClients = [];
     
@@ -593,8 +1363,13 @@ class MjpegProxy extends EventEmitter {
         return;
       }
       
-      // Skip if client is paused due to backpressure
-      if (client.isPaused) {
+      // Skip clients watching a different variant
+      if ((client.variantKey || null) !== variantKey) {
+        return;
+      }
+      
+      // Skip if client is paused due to backpressure or asked us to stop sending
+      if (client.isPaused || client.isSuspended) {
         return;
       }
       
@@ -612,7 +1387,11 @@ class MjpegProxy extends EventEmitter {
       
       try {
         // Write with non-blocking check
-        const canWrite = client.res.write(frameData);
+        const canWrite = client.res.write(client.transport === 'ws' ? frame : frameData);
+        this.recordClientSend(client, now);
+        if (interpolated) {
+          client.interpolatedFrames++;
+        }
         
         if (!canWrite) {
           // Backpressure detected - pause this client
@@ -623,6 +1402,9 @@ class MjpegProxy extends EventEmitter {
           if (client.pauseCount % 10 === 1) {
             console.log(`[Proxy] Client ${clientId} experiencing backpressure (${client.pauseCount} times)`);
           }
+          this.recordClientBackpressure(client, now);
+        } else {
+          this.maybeRaiseClientFps(client, now);
         }
         
         // Force flush if available to prevent buffering
@@ -639,17 +1421,22 @@ class MjpegProxy extends EventEmitter {
     deadClients.forEach(id => this.removeClient(id));
   }
   
-  //pause stream and start showing maintenance message
-  async pauseStream() {
+  //pause stream and start showing a slate until endTime (or durationMs from now)
+  async pauseStream({ durationMs = null, endTime = null, slate = 'maintenance', reason = 'manual', scheduleId = null } = {}) {
     if (this.pauseState.isPaused) {
       console.log('[Proxy] Stream already paused');
       return false;
     }
     
-    console.log('[Proxy] Pausing stream for 5 minutes');
+    const now = Date.now();
     this.pauseState.isPaused = true;
-    this.pauseState.pauseStartTime = Date.now();
-    this.pauseState.pauseEndTime = this.pauseState.pauseStartTime + this.pauseState.pauseDuration;
+    this.pauseState.pauseStartTime = now;
+    this.pauseState.pauseEndTime = endTime || now + (durationMs || this.pauseState.pauseDuration);
+    this.pauseState.reason = reason;
+    this.pauseState.scheduleId = scheduleId;
+    this.pauseState.slate = slate;
+    console.log(`[Proxy ${this.sourceId}] Pausing stream for ${Math.round((this.pauseState.pauseEndTime - now) / 60000)} minutes (${reason}${scheduleId ? ` ${scheduleId}` : ''})`);
+    this.emit('paused', this.getPauseStatus());
     
     //generate initial maintenance frame
     await this.generateMaintenanceFrame();
@@ -662,7 +1449,7 @@ class MjpegProxy extends EventEmitter {
     //set auto-resume timer
     this.pauseState.pauseTimeout = setTimeout(() => {
       this.resumeStream();
-    }, this.pauseState.pauseDuration);
+    }, this.pauseState.pauseEndTime - now);
     
     return true;
   }
@@ -678,7 +1465,11 @@ class MjpegProxy extends EventEmitter {
     this.pauseState.isPaused = false;
     this.pauseState.pauseStartTime = null;
     this.pauseState.pauseEndTime = null;
+    this.pauseState.reason = null;
+    this.pauseState.scheduleId = null;
+    this.pauseState.slate = null;
     this.pauseState.maintenanceFrame = null;
+    this.emit('resumed');
     
     //clear intervals and timeouts
     if (this.pauseState.updateInterval) {
@@ -699,43 +1490,10 @@ class MjpegProxy extends EventEmitter {
     return true;
   }
   
-  //generate maintenance frame with countdown
+  //render the pause slate with its countdown
   async generateMaintenanceFrame() {
-    const now = Date.now();
-    const remainingMs = Math.max(0, this.pauseState.pauseEndTime - now);
-    const remainingSeconds = Math.ceil(remainingMs / 1000);
-    const minutes = Math.floor(remainingSeconds / 60);
-    const seconds = remainingSeconds % 60;
-    const timeText = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    
     try {
-      //create maintenance frame with sharp
-      const frame = await sharp({
-        create: {
-          width: 1920,
-          height: 1080,
-          channels: 3,
-          background: { r: 20, g: 20, b: 20 } // Dark gray background
-        }
-      })
-      .composite([{
-        input: Buffer.from(`
-          <svg width="1920" height="1080" xmlns="http://www.w3.org/2000/svg">
-            <text x="50%" y="45%" text-anchor="middle" 
-                  font-family="Arial, sans-serif" font-size="72" fill="white">
-              Routine maintenance!
-            </text>
-            <text x="50%" y="55%" text-anchor="middle" 
-                  font-family="Arial, sans-serif" font-size="48" fill="#cccccc">
-              Stream will resume in ${timeText}
-            </text>
-          </svg>
-        `),
-        top: 0,
-        left: 0
-      }])
-      .jpeg({ quality: 80 })
-      .toBuffer();
+      const frame = await renderSlate(this.pauseState.slate, { endTime: this.pauseState.pauseEndTime });
       
       this.pauseState.maintenanceFrame = frame;
       
@@ -762,7 +1520,10 @@ class MjpegProxy extends EventEmitter {
       isPaused: true,
       remainingSeconds,
       pauseStartTime: this.pauseState.pauseStartTime,
-      pauseEndTime: this.pauseState.pauseEndTime
+      pauseEndTime: this.pauseState.pauseEndTime,
+      reason: this.pauseState.reason,
+      scheduleId: this.pauseState.scheduleId,
+      slate: this.pauseState.slate
     };
   }
 }
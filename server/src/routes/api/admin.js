@@ -0,0 +1,27 @@
+//admin routes - authenticated runtime management of camera sources, privacy masks, motion zones and pause schedules
+//every route sits behind the admin auth middleware
+
+import express from 'express';
+
+//factory function receives the controllers and the auth middleware
+export const createAdminRouter = ({ sourceAdminController, pauseScheduleController, adminAuth }) => {
+  const router = express.Router();
+
+  router.use(adminAuth);
+
+  router.get('/sources', sourceAdminController.listSources);
+  router.post('/sources', express.json(), sourceAdminController.createSource);
+  router.put('/sources/:sourceId', express.json(), sourceAdminController.updateSource);
+  router.delete('/sources/:sourceId', sourceAdminController.deleteSource);
+  router.get('/sources/:sourceId/masks', sourceAdminController.getMasks);
+  router.put('/sources/:sourceId/masks', express.json(), sourceAdminController.updateMasks);
+  router.get('/sources/:sourceId/motion-zones', sourceAdminController.getMotionZones);
+  router.put('/sources/:sourceId/motion-zones', express.json(), sourceAdminController.updateMotionZones);
+
+  router.get('/pause-schedules', pauseScheduleController.listSchedules);
+  router.post('/pause-schedules', express.json(), pauseScheduleController.createSchedule);
+  router.delete('/pause-schedules/:scheduleId', pauseScheduleController.cancelSchedule);
+  router.get('/slates', pauseScheduleController.listSlates);
+
+  return router;
+};
\ No newline at end of file
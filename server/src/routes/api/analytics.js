@@ -0,0 +1,15 @@
+//analytics routes - routing definitions using controller pattern
+//viewer history is admin-only: it reveals viewing habits and is costly to compute
+
+import express from 'express';
+
+//factory function receives the controller and the admin auth middleware
+//the router is mounted on /api, so auth goes on the route rather than router.use
+export const createAnalyticsRouter = ({ analyticsController, adminAuth }) => {
+  const router = express.Router();
+
+  //route mapping to controller method
+  router.get('/analytics/viewers', adminAuth, analyticsController.getViewerAnalytics);
+
+  return router;
+};
\ No newline at end of file
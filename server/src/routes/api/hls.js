@@ -0,0 +1,15 @@
+//hls routes - routing definitions using controller pattern
+//live H.264 playlists and segments as an alternative to multipart MJPEG
+
+import express from 'express';
+
+//factory function receives the controller
+export const createHlsRouter = ({ hlsController }) => {
+  const router = express.Router();
+
+  //route mappings to controller methods
+  router.get('/stream/:sourceId/hls/index.m3u8', hlsController.getPlaylist);
+  router.get('/stream/:sourceId/hls/:segment', hlsController.getSegment);
+
+  return router;
+};
\ No newline at end of file
@@ -38,10 +38,15 @@ export const createStreamRouter = ({ streamController }) => {
     });
   });
 
+  //composite grid of every camera - must come before the :sourceId routes
+  router.get('/stream/grid', streamController.handleGridStream);
+
   //source-specific stream routes
   router.get('/stream/:sourceId', streamController.handleStream);
   router.post('/stream/:sourceId/pause', express.json(), streamController.pauseStream);
   router.get('/stream/:sourceId/status', streamController.getStreamStatus);
+  router.get('/stream/:sourceId/snapshot.jpg', streamController.getSnapshot);
+  router.get('/stream/:sourceId/dvr', streamController.getDvrRange);
 
   return router;
 };
\ No newline at end of file
@@ -0,0 +1,16 @@
+//timelapse routes - daily timelapse listings, thumbnails, and videos
+//maps HTTP methods and paths to controller functions
+
+import express from 'express';
+
+//factory function receives the controller
+export const createTimelapseRouter = ({ timelapseController }) => {
+  const router = express.Router();
+
+  //route mapping to controller methods
+  router.get('/timelapses', timelapseController.getTimelapses);
+  router.get('/timelapses/thumbnail/:filename', timelapseController.getThumbnail);
+  router.get('/timelapses/video/:filename', timelapseController.getVideo);
+
+  return router;
+};
\ No newline at end of file
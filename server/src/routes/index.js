@@ -12,6 +12,12 @@ import { createReactionController } from '../controllers/reactionController.js';
 import { createRecordingController } from '../controllers/recordingController.js';
 import { createBatchController } from '../controllers/batchController.js';
 import { createShareController } from '../controllers/shareController.js';
+import { createHlsController } from '../controllers/hlsController.js';
+import { createTimelapseController } from '../controllers/timelapseController.js';
+import { createSourceAdminController } from '../controllers/sourceAdminController.js';
+import { createPauseScheduleController } from '../controllers/pauseScheduleController.js';
+import { createMetricsController } from '../controllers/metricsController.js';
+import { createAnalyticsController } from '../controllers/analyticsController.js';
 import { createFlashlightRouter } from './api/flashlight.js';
 import { createHealthRouter } from './api/health.js';
 import { createWeatherRouter } from './api/weather.js';
@@ -23,6 +29,12 @@ import { createReactionRouter } from './api/reaction.js';
 import { createRecordingRouter } from './api/recording.js';
 import { createBatchRouter } from './api/batch.js';
 import { createShareRouter } from './api/share.js';
+import { createHlsRouter } from './api/hls.js';
+import { createTimelapseRouter } from './api/timelapse.js';
+import { createAdminRouter } from './api/admin.js';
+import { createMetricsRouter } from './metrics.js';
+import { createAnalyticsRouter } from './api/analytics.js';
+import { createAdminAuthMiddleware } from '../middleware/index.js';
 
 //main route initialization function - receives app and all dependencies
 export const initializeRoutes = (app, { 
@@ -30,6 +42,8 @@ export const initializeRoutes = (app, {
   streamManager, // Multi-stream manager
   motionDetectionServices, // Map of per-camera motion services
   recordingServices, // Map of per-camera recording services
+  timelapseServices, // Map of per-camera timelapse services
+  dvrServices, // Map of per-camera rewind buffers
   weatherService,
   sseService,
   motionEventsService,
@@ -37,6 +51,11 @@ export const initializeRoutes = (app, {
   reactionService,
   thumbnailService,
   shareService,
+  hlsService, // H.264 HLS encoder manager
+  sourceAdminService, // runtime camera source management
+  pauseScheduleService, // scheduled pause windows
+  metricsService, // prometheus metrics (null when disabled)
+  viewerAnalyticsService, // viewer session history (null when disabled)
   REACTION_TYPES,
   CHICKEN_TONES,
   config,
@@ -47,13 +66,17 @@ export const initializeRoutes = (app, {
   const healthController = createHealthController({ streamManager, recordingServices });
   const weatherController = createWeatherController({ weatherService, config });
   const motionController = createMotionController({ sseService, motionEventsService });
-  const streamController = createStreamController({ streamManager, authService, config });
+  const streamController = createStreamController({ streamManager, authService, dvrServices, config });
   const droidcamController = createDroidcamController({ streamManager, config });
   const staticController = createStaticController({ config });
   const reactionController = createReactionController({ reactionService, REACTION_TYPES, CHICKEN_TONES });
   const recordingController = createRecordingController({ thumbnailService, reactionService, config, REACTION_TYPES, CHICKEN_TONES });
   const batchController = createBatchController({ streamManager, weatherService, flashlightState, recordingServices, thumbnailService, config });
   const shareController = createShareController({ shareService, thumbnailService, config });
+  const hlsController = createHlsController({ hlsService, streamManager });
+  const timelapseController = createTimelapseController({ timelapseServices, thumbnailService, config });
+  const sourceAdminController = createSourceAdminController({ sourceAdminService, streamManager });
+  const pauseScheduleController = createPauseScheduleController({ pauseScheduleService, config });
 
   //instantiate and mount routers
   const flashlightRouter = createFlashlightRouter({ flashlightController });
@@ -89,5 +112,31 @@ export const initializeRoutes = (app, {
   const shareRouter = createShareRouter({ shareController });
   app.use('/api', shareRouter);
 
-  console.log('[Routes] Flashlight, health, weather, motion, stream, droidcam, static, reaction, recording, batch, and share routes initialized');
+  const hlsRouter = createHlsRouter({ hlsController });
+  app.use('/api', hlsRouter);
+
+  const timelapseRouter = createTimelapseRouter({ timelapseController });
+  app.use('/api', timelapseRouter);
+
+  const adminAuth = createAdminAuthMiddleware({ authService, config });
+  const adminRouter = createAdminRouter({
+    sourceAdminController,
+    pauseScheduleController,
+    adminAuth
+  });
+  app.use('/api/admin', adminRouter);
+
+  if (metricsService) {
+    const metricsController = createMetricsController({ metricsService, config });
+    const metricsRouter = createMetricsRouter({ metricsController });
+    app.use('/', metricsRouter);
+  }
+
+  if (viewerAnalyticsService) {
+    const analyticsController = createAnalyticsController({ viewerAnalyticsService, config });
+    const analyticsRouter = createAnalyticsRouter({ analyticsController, adminAuth });
+    app.use('/api', analyticsRouter);
+  }
+
+  console.log(`[Routes] Flashlight, health, weather, motion, stream, droidcam, static, reaction, recording, batch, share, hls, timelapse, admin${metricsService ? ', metrics' : ''}${viewerAnalyticsService ? ', analytics' : ''} routes initialized`);
 };
\ No newline at end of file
@@ -0,0 +1,14 @@
+//metrics routes - prometheus scrape endpoint outside /api, where scrapers look by default
+//maps HTTP methods and paths to controller functions
+
+import express from 'express';
+
+//factory function receives the controller
+export const createMetricsRouter = ({ metricsController }) => {
+  const router = express.Router();
+
+  //route mapping to controller method
+  router.get('/metrics', metricsController.getMetrics);
+
+  return router;
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+import ffmpeg from 'fluent-ffmpeg';
+import { PassThrough } from 'stream';
+import MjpegProxy from './mjpegProxy.js';
+
+//proxy for RTSP/H.264 IP cameras
+//ffmpeg decodes the feed into an MJPEG byte stream so frames go through the
+//same parser, frame/motion-frame events and broadcast path as DroidCam sources
+class RtspProxy extends MjpegProxy {
+  constructor(sourceUrl, options = {}) {
+    //defer auto-connect until rtsp-specific settings are initialized
+    super(sourceUrl, { ...options, disableAutoConnect: true });
+
+    this.sourceType = 'rtsp';
+    this.rtspTransport = options.rtspTransport || 'tcp'; // 'tcp' is far more reliable over wifi than 'udp'
+    this.outputFps = options.fps || this.serverFpsLimit;
+    this.jpegQuality = options.jpegQuality || 5; // ffmpeg -q:v scale (2 = best, 31 = worst)
+    this.ffmpegCommand = null;
+
+    //start connection unless disabled
+    if (!options.disableAutoConnect) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    this.stopped = false;
+
+    console.log(`[RtspProxy ${this.sourceId}] Starting ffmpeg for RTSP source: ${this.getDisplayUrl()}`);
+
+    const output = new PassThrough();
+    const parseChunk = this.createFrameParser();
+
+    const command = ffmpeg(this.sourceUrl)
+      .inputOptions([
+        `-rtsp_transport ${this.rtspTransport}`,
+        '-fflags nobuffer', // keep latency low - we always want the newest frame
+        '-flags low_delay'
+      ])
+      .noAudio()
+      .outputOptions([
+        `-q:v ${this.jpegQuality}`,
+        `-r ${this.outputFps}`
+      ])
+      .format('mjpeg')
+      .on('start', (commandLine) => {
+        console.log(`[RtspProxy ${this.sourceId}] FFmpeg command: ${commandLine.replace(this.sourceUrl, this.getDisplayUrl())}`);
+      })
+      .on('error', (err) => {
+        //ignore errors from a command we already killed on purpose
+        if (this.ffmpegCommand !== command) return;
+        console.error(`[RtspProxy ${this.sourceId}] FFmpeg error:`, err.message);
+        this.ffmpegCommand = null;
+        if (!this.isConnected) {
+          this.recordConnectionEvent('error', { message: err.message });
+        }
+        this.handleDisconnect(err.message);
+      })
+      .on('end', () => {
+        if (this.ffmpegCommand !== command) return;
+        console.log(`[RtspProxy ${this.sourceId}] RTSP stream ended`);
+        this.ffmpegCommand = null;
+        this.handleDisconnect('stream ended');
+      });
+
+    this.ffmpegCommand = command;
+
+    //only report connected once ffmpeg actually produces data
+    output.on('data', (chunk) => {
+      if (!this.isConnected) {
+        this.isConnected = true;
+        this.sourceConnection = output;
+        console.log(`[RtspProxy ${this.sourceId}] Connected to RTSP source`);
+        this.markConnected();
+        this.emit('connected');
+      }
+      parseChunk(chunk);
+    });
+
+    command.pipe(output, { end: true });
+  }
+
+  //stop ffmpeg, then let the base class cancel reconnection and end clients
+  disconnect() {
+    const command = this.ffmpegCommand;
+    this.ffmpegCommand = null;
+    if (command) {
+      console.log(`[RtspProxy ${this.sourceId}] Stopping ffmpeg`);
+      command.kill('SIGKILL');
+    }
+
+    super.disconnect();
+  }
+
+  //a hung ffmpeg keeps its pipe open without output - kill it before reconnecting
+  restartConnection(reason) {
+    const command = this.ffmpegCommand;
+    this.ffmpegCommand = null; // its error/end handlers ignore a command that is no longer current
+    command?.kill('SIGKILL');
+
+    super.restartConnection(reason);
+  }
+
+  //report the redacted url so credentials never reach /api/stats
+  getStats() {
+    return {
+      ...super.getStats(),
+      sourceType: this.sourceType,
+      sourceUrl: this.getDisplayUrl()
+    };
+  }
+}
+
+export default RtspProxy;
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { MJPEG_STREAM_HEADERS } from '../mjpegProxy.js';
+
+const MAX_PENDING_WRITE_BYTES = 5 * 1024 * 1024; // drop frames rather than queue them behind a slow disk
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+//wait until a slow viewer has drained its socket, or has gone away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+//per-camera rewind buffer
+//delivered frames (masks and overlay applied) are appended to short segment files at dvr.fps and
+//indexed in memory; whole segments are deleted once they fall out of the window, so the buffer
+//never grows past windowSeconds + segmentSeconds of frames. The buffer only covers this run of
+//the server - start() clears whatever a previous run left behind
+class DvrService {
+  constructor(mjpegProxy, sourceId = null) {
+    this.config = config.dvr;
+    this.mjpegProxy = mjpegProxy;
+    this.sourceId = sourceId || mjpegProxy.sourceId || 'default';
+    this.dir = path.join(this.config.outputDir, this.sourceId);
+    this.frameInterval = 1000 / this.config.fps;
+
+    this.segments = []; // oldest first: { path, stream, bytes, startedAt, frames: [{ timestamp, offset, length }] }
+    this.lastFrameAt = 0;
+    this.started = false;
+    this.frameListener = (frame) => this.addFrame(frame);
+
+    this.stats = {
+      framesWritten: 0,
+      framesDropped: 0,
+      segmentsDeleted: 0,
+      writeErrors: 0,
+      activePlaybacks: 0,
+      playbacks: 0
+    };
+
+    console.log(`[DVR] Service initialized for camera: ${this.sourceId}`);
+  }
+
+  async start() {
+    if (!this.config.enabled) {
+      console.log('[DVR] Rewind buffer is disabled');
+      return;
+    }
+
+    await fsp.rm(this.dir, { recursive: true, force: true });
+    await fsp.mkdir(this.dir, { recursive: true });
+
+    this.mjpegProxy.on('frame', this.frameListener);
+    this.started = true;
+    console.log(`[DVR] Buffering ${this.config.windowSeconds}s of ${this.sourceId} at ${this.config.fps} fps in ${this.dir}`);
+  }
+
+  stop() {
+    this.mjpegProxy.off('frame', this.frameListener);
+    this.started = false;
+    this.segments.forEach(segment => segment.stream.end());
+    this.segments = [];
+    console.log(`[DVR] Service stopped for camera: ${this.sourceId}`);
+  }
+
+  //append a frame to the current segment at most dvr.fps times per second
+  addFrame(frame, now = Date.now()) {
+    if (!this.started || now - this.lastFrameAt < this.frameInterval) return;
+    //paused streams show a slate to viewers - rewinding must not reveal what it hides
+    if (this.mjpegProxy.pauseState?.isPaused) return;
+    this.lastFrameAt = now;
+
+    let segment = this.segments[this.segments.length - 1];
+    if (!segment || now - segment.startedAt >= this.config.segmentSeconds * 1000) {
+      segment = this.startSegment(now);
+    }
+    if (segment.stream.writableLength > MAX_PENDING_WRITE_BYTES) {
+      this.stats.framesDropped++;
+      return;
+    }
+
+    //frames are only indexed once they are on disk, so playback never reads past the written data
+    const offset = segment.bytes;
+    segment.bytes += frame.length;
+    segment.stream.write(frame, (error) => {
+      if (error) {
+        this.stats.writeErrors++;
+        return;
+      }
+      segment.frames.push({ timestamp: now, offset, length: frame.length });
+      this.stats.framesWritten++;
+    });
+  }
+
+  startSegment(now) {
+    this.segments[this.segments.length - 1]?.stream.end();
+
+    const segmentPath = path.join(this.dir, `${now}.mjpg`);
+    const stream = fs.createWriteStream(segmentPath);
+    stream.on('error', (error) => {
+      this.stats.writeErrors++;
+      console.error(`[DVR] Write error for ${this.sourceId}:`, error.message);
+    });
+    const segment = { path: segmentPath, stream, bytes: 0, startedAt: now, frames: [] };
+    this.segments.push(segment);
+    this.pruneSegments(now);
+    return segment;
+  }
+
+  //drop segments whose frames are all older than the window
+  pruneSegments(now) {
+    const cutoff = now - this.config.windowSeconds * 1000;
+    while (this.segments.length > 1 && this.segments[1].startedAt <= cutoff) {
+      const segment = this.segments.shift();
+      //a stream that is still opening would recreate the file, so unlink once it has closed
+      const unlink = () => fsp.unlink(segment.path).catch(error => {
+        console.error(`[DVR] Failed to delete segment ${segment.path}:`, error.message);
+      });
+      if (segment.stream.closed) {
+        unlink();
+      } else {
+        segment.stream.once('close', unlink);
+        segment.stream.end();
+      }
+      this.stats.segmentsDeleted++;
+    }
+  }
+
+  //first buffered frame at or after timestamp (or strictly after it), null when there is none yet
+  findFrame(timestamp, { after = false } = {}) {
+    for (const segment of this.segments) {
+      const frame = segment.frames.find(entry => after ? entry.timestamp > timestamp : entry.timestamp >= timestamp);
+      if (frame) return { segment, frame };
+    }
+    return null;
+  }
+
+  async readFrame({ segment, frame }) {
+    const handle = await fsp.open(segment.path, 'r');
+    try {
+      const data = Buffer.alloc(frame.length);
+      await handle.read(data, 0, frame.length, frame.offset);
+      return data;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  //what viewers can rewind to right now
+  getRange() {
+    const oldest = this.segments.find(segment => segment.frames.length > 0)?.frames[0];
+    const newestSegment = [...this.segments].reverse().find(segment => segment.frames.length > 0);
+    const newest = newestSegment?.frames[newestSegment.frames.length - 1];
+
+    return {
+      enabled: this.started,
+      windowSeconds: this.config.windowSeconds,
+      fps: this.config.fps,
+      catchUpSpeed: this.config.catchUpSpeed,
+      oldestAt: oldest ? new Date(oldest.timestamp).toISOString() : null,
+      newestAt: newest ? new Date(newest.timestamp).toISOString() : null,
+      availableSeconds: oldest && newest ? Math.floor((newest.timestamp - oldest.timestamp) / 1000) : 0
+    };
+  }
+
+  //stream buffered frames as multipart jpegs starting offsetSeconds before now, at speed x realtime
+  //resolves 'live' once playback has caught up with the newest buffered frame (the caller hands
+  //the response to the live proxy) or 'closed' when the viewer went away
+  async play(res, { offsetSeconds, speed = this.config.catchUpSpeed }) {
+    let closed = false;
+    const onClose = () => {
+      closed = true;
+    };
+    res.on('close', onClose);
+    this.stats.activePlaybacks++;
+    this.stats.playbacks++;
+
+    if (!res.headersSent) {
+      res.writeHead(200, MJPEG_STREAM_HEADERS);
+      res.flushHeaders?.();
+    }
+
+    try {
+      //rewinding past the oldest frame starts from the oldest frame
+      let next = this.findFrame(Date.now() + offsetSeconds * 1000);
+      const startedAt = Date.now();
+      const mediaStartedAt = next?.frame.timestamp;
+
+      while (next && !closed) {
+        const wait = startedAt + (next.frame.timestamp - mediaStartedAt) / speed - Date.now();
+        if (wait > 0) {
+          await sleep(wait);
+        }
+        if (closed) break;
+
+        let data;
+        try {
+          data = await this.readFrame(next);
+        } catch (error) {
+          //the segment rolled out of the window while this viewer was behind - skip ahead
+          next = this.findFrame(next.frame.timestamp, { after: true });
+          continue;
+        }
+        if (closed) break;
+
+        const written = res.write(Buffer.concat([
+          Buffer.from('--frame\r\nContent-Type: image/jpeg\r\n\r\n'),
+          data,
+          Buffer.from('\r\n')
+        ]));
+        if (!written) {
+          await waitForDrain(res);
+        }
+
+        next = this.findFrame(next.frame.timestamp, { after: true });
+      }
+    } finally {
+      res.off('close', onClose);
+      this.stats.activePlaybacks--;
+    }
+
+    return closed ? 'closed' : 'live';
+  }
+
+  getStats() {
+    return {
+      ...this.getRange(),
+      segments: this.segments.length,
+      diskBytes: this.segments.reduce((sum, segment) => sum + segment.bytes, 0),
+      ...this.stats
+    };
+  }
+}
+
+export default DvrService;
\ No newline at end of file
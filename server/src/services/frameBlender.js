@@ -0,0 +1,32 @@
+//frame blender - in-between frames for source gaps, cross-fading from the frame before a gap to
+//the one that ended it. Both frames are decoded once and each blend composites `to` over `from`
+//at the blend weight in libvips, so the pixel work stays off the event loop
+
+import sharp from 'sharp';
+
+const BLEND_QUALITY = 80;
+
+//decode both jpegs and return blend(weight) -> Promise<jpeg>, where weight 0 is `from` and 1 is `to`
+//resolves null when the frames can't be blended (e.g. the camera changed resolution in the gap)
+export const prepareBlend = async (from, to) => {
+  const [a, b] = await Promise.all([
+    sharp(from).removeAlpha().raw().toBuffer({ resolveWithObject: true }),
+    sharp(to).removeAlpha().raw().toBuffer({ resolveWithObject: true })
+  ]);
+  if (a.info.width !== b.info.width || a.info.height !== b.info.height || a.info.channels !== b.info.channels) {
+    return null;
+  }
+
+  const { width, height, channels } = a.info;
+  return async (weight) => {
+    //`to` with a constant alpha of weight, laid over `from`
+    const overlay = await sharp(b.data, { raw: { width, height, channels } })
+      .ensureAlpha(weight)
+      .raw()
+      .toBuffer();
+    return sharp(a.data, { raw: { width, height, channels } })
+      .composite([{ input: overlay, raw: { width, height, channels: channels + 1 } }])
+      .jpeg({ quality: BLEND_QUALITY })
+      .toBuffer();
+  };
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+//on-frame overlay engine - burns timestamp, camera name and weather into outgoing frames
+//one instance per proxy; the rasterized text box is cached so each frame only pays for one composite
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import { fetchWeatherData } from './weatherService.js';
+import { escapeXml, formatSnapshotTimestamp } from '../utils/snapshotUtils.js';
+
+export const OVERLAY_ITEMS = ['timestamp', 'name', 'weather'];
+export const OVERLAY_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{3,8}$/;
+const MARGIN = 10;
+
+//weather text shared by every source, refreshed in the background so frames never wait on the api
+const weatherState = {
+  text: null,
+  fetchedAt: 0,
+  pending: false
+};
+
+const getSharedWeatherText = (refreshSeconds) => {
+  if (!weatherState.pending && Date.now() - weatherState.fetchedAt > refreshSeconds * 1000) {
+    weatherState.pending = true;
+    fetchWeatherData()
+      .then(data => {
+        //the fallback payload has no real reading - leave the item out rather than burn in "--"
+        weatherState.text = data.temperature === '--'
+          ? null
+          : `${data.temperature}°${data.temperatureUnit} ${data.conditions}`;
+      })
+      .catch(error => console.error('[Overlay] Weather refresh failed:', error.message))
+      .finally(() => {
+        weatherState.fetchedAt = Date.now();
+        weatherState.pending = false;
+      });
+  }
+  return weatherState.text;
+};
+
+//merge a source's overlay settings onto the global defaults, dropping invalid values
+export const resolveOverlayOptions = (sourceOverlay = {}) => {
+  const options = { ...config.overlay, ...(sourceOverlay || {}) };
+  const defaults = config.overlay;
+
+  return {
+    ...options,
+    enabled: options.enabled === true,
+    items: Array.isArray(options.items) ? options.items.filter(item => OVERLAY_ITEMS.includes(item)) : defaults.items,
+    position: OVERLAY_POSITIONS.includes(options.position) ? options.position : defaults.position,
+    fontSize: Number.isFinite(options.fontSize) && options.fontSize >= 0 ? options.fontSize : defaults.fontSize,
+    color: COLOR_PATTERN.test(options.color) ? options.color : defaults.color,
+    background: COLOR_PATTERN.test(options.background) ? options.background : defaults.background,
+    backgroundOpacity: Math.min(Math.max(Number(options.backgroundOpacity) || 0, 0), 1)
+  };
+};
+
+class FrameOverlay {
+  constructor(sourceOverlay = {}, { sourceName = '', getWeatherText = getSharedWeatherText } = {}) {
+    this.options = resolveOverlayOptions(sourceOverlay);
+    this.sourceName = sourceName;
+    this.getWeatherText = getWeatherText;
+    this.rendering = false;
+    this.cachedBox = null; // { key, input, left, top }
+    this.stats = {
+      framesRendered: 0,
+      framesSkipped: 0,
+      boxesRasterized: 0,
+      errors: 0
+    };
+  }
+
+  get enabled() {
+    return this.options.enabled && this.options.items.length > 0;
+  }
+
+  //text for the configured items, in order
+  getText(now = new Date()) {
+    return this.options.items
+      .map(item => {
+        switch (item) {
+          case 'timestamp':
+            return formatSnapshotTimestamp(now, this.options.timezone);
+          case 'name':
+            return this.sourceName;
+          case 'weather':
+            return this.getWeatherText(this.options.weatherRefreshSeconds);
+          default:
+            return null;
+        }
+      })
+      .filter(Boolean)
+      .join('  |  ');
+  }
+
+  //rasterize the text box once per distinct text/frame size (the timestamp changes once a second)
+  async getBox(text, width, height) {
+    const key = `${width}x${height}|${text}`;
+    if (this.cachedBox?.key === key) {
+      return this.cachedBox;
+    }
+
+    const fontSize = this.options.fontSize || Math.max(12, Math.round(width / 45));
+    const padding = Math.round(fontSize / 2);
+    //rough text width - the svg clips anything past the box
+    const boxWidth = Math.min(width - MARGIN * 2, Math.round(text.length * fontSize * 0.6) + padding * 2);
+    const boxHeight = fontSize + padding * 2;
+
+    const svg = `
+      <svg width="${boxWidth}" height="${boxHeight}" xmlns="http://www.w3.org/2000/svg">
+        <rect x="0" y="0" width="${boxWidth}" height="${boxHeight}" rx="${Math.round(padding / 2)}"
+              fill="${this.options.background}" fill-opacity="${this.options.backgroundOpacity}"/>
+        <text x="${padding}" y="${boxHeight - padding - Math.round(fontSize * 0.15)}"
+              font-family="Arial, sans-serif" font-size="${fontSize}" fill="${this.options.color}">${escapeXml(text)}</text>
+      </svg>
+    `;
+
+    const [vertical, horizontal] = this.options.position.split('-');
+    this.cachedBox = {
+      key,
+      input: await sharp(Buffer.from(svg)).png().toBuffer(),
+      left: horizontal === 'left' ? MARGIN : Math.max(0, width - boxWidth - MARGIN),
+      top: vertical === 'top' ? MARGIN : Math.max(0, height - boxHeight - MARGIN)
+    };
+    this.stats.boxesRasterized++;
+    return this.cachedBox;
+  }
+
+  //burn the overlay into a frame; resolves null when a previous frame is still rendering
+  //so a slow encode drops frames instead of queueing them, and falls back to the raw frame on error
+  async render(frame) {
+    if (this.rendering) {
+      this.stats.framesSkipped++;
+      return null;
+    }
+
+    this.rendering = true;
+    try {
+      const text = this.getText();
+      if (!text) {
+        return frame;
+      }
+
+      const { width, height } = await sharp(frame).metadata();
+      const box = await this.getBox(text, width, height);
+      const output = await sharp(frame)
+        .composite([{ input: box.input, left: box.left, top: box.top }])
+        .jpeg({ quality: 85 })
+        .toBuffer();
+
+      this.stats.framesRendered++;
+      return output;
+    } catch (error) {
+      this.stats.errors++;
+      if (this.stats.errors % 100 === 1) {
+        console.error(`[Overlay] Render failed for ${this.sourceName} (${this.stats.errors} errors):`, error.message);
+      }
+      return frame;
+    } finally {
+      this.rendering = false;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      position: this.options.position,
+      items: this.options.items,
+      ...this.stats
+    };
+  }
+}
+
+export default FrameOverlay;
\ No newline at end of file
@@ -0,0 +1,237 @@
+//hls service - encodes each proxy's frame feed once into rolling H.264 HLS segments
+//encoders start on the first playlist request and stop once no viewer has polled for a while
+
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+const PLAYLIST_NAME = 'index.m3u8';
+const SEGMENT_PATTERN = /^segment_\d{5}\.ts$/;
+
+export const createHlsService = ({ streamManager, config }) => {
+  if (!streamManager) {
+    throw new Error('HlsService: streamManager dependency is required.');
+  }
+  if (!config || !config.hls) {
+    throw new Error('HlsService: config.hls is required.');
+  }
+
+  const hlsConfig = config.hls;
+  const sessions = new Map(); // Active encoders: Map<sourceId, session>
+  const starting = new Map(); // Encoders still clearing their directory: Map<sourceId, Promise<session>>
+  const frameInterval = 1000 / hlsConfig.fps;
+
+  //output directory for a source's playlist and segments
+  const getSessionDir = (sourceId) => path.join(hlsConfig.outputDir, sourceId);
+
+  //start an encoder fed by the proxy's frame events
+  const startSession = async (proxy) => {
+    const sourceId = proxy.sourceId;
+    const outputDir = getSessionDir(sourceId);
+
+    //start from a clean directory so stale segments are never served
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const input = new PassThrough();
+    const session = {
+      sourceId,
+      proxy,
+      input,
+      command: null,
+      frameListener: null,
+      startedAt: Date.now(),
+      lastAccess: Date.now(),
+      lastFrameTime: 0,
+      framesEncoded: 0,
+      framesDropped: 0
+    };
+
+    //throttle to the hls frame rate and drop frames instead of buffering when ffmpeg falls behind
+    //while paused the slate is encoded in place of the live frame, which keeps flowing to 'frame' listeners
+    session.frameListener = (frame) => {
+      const output = proxy.pauseState?.isPaused ? proxy.pauseState.maintenanceFrame : frame;
+      if (!output) return;
+      const now = Date.now();
+      if (now - session.lastFrameTime < frameInterval) return;
+      if (input.writableNeedDrain) {
+        session.framesDropped++;
+        return;
+      }
+      session.lastFrameTime = now;
+      session.framesEncoded++;
+      input.write(output);
+    };
+
+    const gopSize = hlsConfig.fps * hlsConfig.segmentSeconds; // one keyframe per segment
+
+    session.command = ffmpeg()
+      .input(input)
+      .inputFormat('image2pipe')
+      .inputOptions(['-use_wallclock_as_timestamps 1'])
+      .videoCodec('libx264')
+      .outputOptions([
+        '-preset veryfast',
+        '-tune zerolatency',
+        '-pix_fmt yuv420p',
+        `-b:v ${hlsConfig.videoBitrate}`,
+        `-maxrate ${hlsConfig.videoBitrate}`,
+        `-bufsize ${hlsConfig.videoBitrate}`,
+        `-r ${hlsConfig.fps}`,
+        `-g ${gopSize}`,
+        `-keyint_min ${gopSize}`,
+        '-sc_threshold 0',
+        '-f hls',
+        `-hls_time ${hlsConfig.segmentSeconds}`,
+        `-hls_list_size ${hlsConfig.playlistSize}`,
+        '-hls_flags delete_segments+omit_endlist+independent_segments',
+        `-hls_segment_filename ${path.join(outputDir, 'segment_%05d.ts')}`
+      ])
+      .output(path.join(outputDir, PLAYLIST_NAME))
+      .on('start', (commandLine) => {
+        console.log(`[HLS] FFmpeg command for ${sourceId}: ${commandLine}`);
+      })
+      .on('error', (err) => {
+        //errors after stopSession are expected (SIGKILL)
+        if (sessions.get(sourceId) !== session) return;
+        console.error(`[HLS] Encoder error for ${sourceId}:`, err.message);
+        stopSession(sourceId);
+      })
+      .on('end', () => {
+        if (sessions.get(sourceId) !== session) return;
+        console.log(`[HLS] Encoder ended for ${sourceId}`);
+        stopSession(sourceId);
+      });
+
+    sessions.set(sourceId, session);
+    proxy.on('frame', session.frameListener);
+
+    //prime the encoder with the cached frame so the first segment is ready sooner
+    if (proxy.lastFrame) {
+      session.frameListener(proxy.lastFrame);
+    }
+
+    session.command.run();
+    console.log(`[HLS] Encoder started for ${sourceId} (${hlsConfig.fps} fps, ${hlsConfig.segmentSeconds}s segments)`);
+
+    return session;
+  };
+
+  //stop an encoder and remove its segments
+  const stopSession = (sourceId) => {
+    const session = sessions.get(sourceId);
+    if (!session) return false;
+
+    sessions.delete(sourceId);
+    session.proxy.off('frame', session.frameListener);
+    session.input.end();
+
+    try {
+      session.command.kill('SIGKILL');
+    } catch (error) {
+      //process may already have exited
+    }
+
+    fs.rm(getSessionDir(sourceId), { recursive: true, force: true }).catch(error => {
+      console.error(`[HLS] Failed to remove segments for ${sourceId}:`, error.message);
+    });
+
+    console.log(`[HLS] Encoder stopped for ${sourceId}`);
+    return true;
+  };
+
+  //get or start the encoder for a source and mark it as in use
+  const ensureSession = async (sourceId) => {
+    const proxy = streamManager.getProxy(sourceId);
+    if (!proxy) return null;
+
+    let session = sessions.get(proxy.sourceId);
+    if (!session) {
+      //concurrent first requests share one start instead of racing two encoders into the same directory
+      let start = starting.get(proxy.sourceId);
+      if (!start) {
+        start = startSession(proxy).finally(() => starting.delete(proxy.sourceId));
+        starting.set(proxy.sourceId, start);
+      }
+      session = await start;
+    }
+    session.lastAccess = Date.now();
+    return session;
+  };
+
+  //wait until ffmpeg has written the first playlist (first segment takes ~segmentSeconds)
+  const waitForPlaylist = async (sourceId, timeoutMs = hlsConfig.startupTimeoutMs) => {
+    const playlistPath = path.join(getSessionDir(sourceId), PLAYLIST_NAME);
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      if (!sessions.has(sourceId)) return null; // encoder died while starting
+      if (existsSync(playlistPath)) return playlistPath;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    return null;
+  };
+
+  //resolve a segment path for an active session (null for unknown or unsafe names)
+  const getSegmentPath = (sourceId, segmentName) => {
+    if (!SEGMENT_PATTERN.test(segmentName)) return null;
+
+    const proxy = streamManager.getProxy(sourceId);
+    const session = proxy ? sessions.get(proxy.sourceId) : null;
+    if (!session) return null;
+
+    session.lastAccess = Date.now();
+    return path.join(getSessionDir(session.sourceId), segmentName);
+  };
+
+  //stop encoders nobody has requested within the idle timeout
+  const cleanupIdleSessions = () => {
+    const now = Date.now();
+    const idleTimeoutMs = hlsConfig.idleTimeoutSeconds * 1000;
+
+    for (const [sourceId, session] of sessions) {
+      if (now - session.lastAccess > idleTimeoutMs) {
+        console.log(`[HLS] No viewers for ${hlsConfig.idleTimeoutSeconds}s, stopping encoder for ${sourceId}`);
+        stopSession(sourceId);
+      }
+    }
+  };
+
+  const cleanupInterval = setInterval(cleanupIdleSessions, 10000);
+  cleanupInterval.unref?.();
+
+  //get stats for all running encoders
+  const getStats = () => {
+    const stats = {};
+    sessions.forEach((session, sourceId) => {
+      stats[sourceId] = {
+        uptimeSeconds: Math.round((Date.now() - session.startedAt) / 1000),
+        lastAccess: new Date(session.lastAccess).toISOString(),
+        framesEncoded: session.framesEncoded,
+        framesDropped: session.framesDropped
+      };
+    });
+    return stats;
+  };
+
+  //stop every encoder
+  const shutdown = () => {
+    console.log('[HLS] Shutting down all encoders...');
+    clearInterval(cleanupInterval);
+    Array.from(sessions.keys()).forEach(stopSession);
+  };
+
+  return {
+    enabled: hlsConfig.enabled,
+    ensureSession,
+    waitForPlaylist,
+    getSegmentPath,
+    stopSession,
+    cleanupIdleSessions,
+    getStats,
+    shutdown
+  };
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+//metrics service - renders server, camera, recording and motion stats in prometheus text format
+//values are read from the existing services on every scrape, nothing is sampled in the background
+
+const PREFIX = 'coopcam_';
+
+//label values may contain anything, the exposition format only needs these escaped
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels = {}) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  const number = Number(value);
+  return Number.isFinite(number) ? String(number) : '0';
+};
+
+export const createMetricsService = ({
+  streamManager,
+  sseService,
+  recordingServices,
+  motionDetectionServices,
+  performanceMonitor
+}) => {
+  if (!streamManager) {
+    throw new Error('MetricsService: streamManager dependency is required.');
+  }
+
+  //collects metric families in insertion order; samples of a family stay together as the format requires
+  const createRegistry = () => {
+    const families = new Map();
+
+    const add = (name, type, help, value, labels) => {
+      const fullName = `${PREFIX}${name}`;
+      if (!families.has(fullName)) {
+        families.set(fullName, { type, help, samples: [] });
+      }
+      families.get(fullName).samples.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+    };
+
+    //summaries are exposed as _sum and _count samples under the family name
+    const addSummary = (name, help, sum, count, labels) => {
+      const fullName = `${PREFIX}${name}`;
+      if (!families.has(fullName)) {
+        families.set(fullName, { type: 'summary', help, samples: [] });
+      }
+      const { samples } = families.get(fullName);
+      samples.push(`${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      samples.push(`${fullName}_count${formatLabels(labels)} ${formatValue(count)}`);
+    };
+
+    const render = () => Array.from(families.entries())
+      .map(([name, { type, help, samples }]) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples].join('\n'))
+      .join('\n') + '\n';
+
+    return { add, addSummary, render };
+  };
+
+  const collectSources = (registry) => {
+    const allStats = streamManager.getAllStats();
+    Object.entries(allStats).forEach(([sourceId, stats]) => {
+      const source = streamManager.getSourceConfig(sourceId);
+      const labels = { source: sourceId };
+
+      registry.add('source_info', 'gauge', 'Configured stream source', 1, {
+        source: sourceId,
+        name: source?.name || sourceId,
+        type: stats.sourceType || source?.type || 'mjpeg'
+      });
+      registry.add('source_up', 'gauge', 'Whether the source is connected (1) or not (0)', stats.isConnected, labels);
+      registry.add('source_frame_rate', 'gauge', 'Frames per second received from the source', stats.frameRate, labels);
+      registry.add('source_frames_total', 'counter', 'Frames received from the source', stats.frameCount, labels);
+      registry.add('source_clients', 'gauge', 'Viewers connected to the source', stats.clientCount, labels);
+      registry.add('source_reconnects_total', 'counter', 'Reconnection attempts to the source', stats.reconnects, labels);
+      registry.add('source_stalls_total', 'counter', 'Times the source stopped sending frames while connected', stats.stalls?.count, labels);
+      registry.add('source_paused', 'gauge', 'Whether the source is paused behind a slate', streamManager.getActiveProxy(sourceId)?.pauseState?.isPaused || false, labels);
+    });
+  };
+
+  const collectRecordings = (registry) => {
+    recordingServices?.forEach((service, sourceId) => {
+      const stats = service.getStats();
+      const labels = { source: sourceId };
+
+      registry.add('recordings_active', 'gauge', 'Recordings currently being captured or encoded', stats.activeRecordings, labels);
+      registry.add('recording_failures_total', 'counter', 'Recordings that failed to encode', stats.failedRecordings, labels);
+      registry.addSummary('recording_duration_seconds', 'Length of saved motion recordings', stats.recordedSeconds, stats.completedRecordings, labels);
+      if (stats.encoder) {
+        registry.addSummary('encode_duration_seconds', 'Time spent encoding recordings with ffmpeg', stats.encoder.totalSeconds, stats.encoder.completed, labels);
+      }
+    });
+  };
+
+  const collectMotion = (registry) => {
+    motionDetectionServices?.forEach((service, sourceId) => {
+      const status = service.getStatus?.();
+      if (!status) return;
+      registry.add('motion_detections_total', 'counter', 'Motion events detected', status.detectionCount, { source: sourceId });
+    });
+  };
+
+  const collectProcess = (registry) => {
+    registry.add('sse_clients', 'gauge', 'Connected server-sent event clients', sseService?.getClientCount() || 0);
+
+    if (performanceMonitor) {
+      registry.add('event_loop_lag_seconds', 'gauge', 'Event loop lag measured over a 100ms timer', performanceMonitor.getMetrics().eventLoop.lag / 1000);
+    }
+
+    const memory = process.memoryUsage();
+    registry.add('process_resident_memory_bytes', 'gauge', 'Resident memory size', memory.rss);
+    registry.add('process_heap_used_bytes', 'gauge', 'V8 heap in use', memory.heapUsed);
+    registry.add('process_uptime_seconds', 'gauge', 'Seconds since the server started', process.uptime());
+  };
+
+  //full exposition text for one scrape
+  const render = () => {
+    const registry = createRegistry();
+    collectSources(registry);
+    collectRecordings(registry);
+    collectMotion(registry);
+    collectProcess(registry);
+    return registry.render();
+  };
+
+  return {
+    render
+  };
+};
\ No newline at end of file
@@ -19,6 +19,7 @@ import {
 import { ColorBlobTracker } from '../utils/colorBlobTracker.js';
 import { TemporalShadowDetector } from '../utils/temporalShadowDetector.js';
 import { RegionAnalyzer } from '../utils/regionAnalyzer.js';
+import MotionZoneMap from './motionZones.js';
 import { 
   isIndexInDetectionRegion, 
   calculateActivePixelCount,
@@ -48,6 +49,7 @@ class MotionDetectionService extends EventEmitter {
     this.previousFrameBuffer = null;
     this.processing = false;
     this.lastMotionTime = 0;
+    this.detectionCount = 0; // motion events emitted since start
     this.frameCount = 0;
     this.debugPath = './debug/motion';
     this.isPaused = false;
@@ -65,6 +67,9 @@ class MotionDetectionService extends EventEmitter {
     //detection mode configuration
     this.detectionMode = config.motionDetection.detectionMode || 'color_filter';
     
+    //per-camera motion zones, shared with the blob tracker and region analyzer
+    this.zoneMap = new MotionZoneMap(this.sourceId, config.motionDetection.width, config.motionDetection.height);
+    
     //initialize color blob tracker for color-first mode
     this.colorBlobTracker = null;
     if (this.detectionMode === 'color_first') {
@@ -74,7 +79,8 @@ class MotionDetectionService extends EventEmitter {
         {
           maxMatchDistance: config.motionDetection.colorFirst.maxBlobMatchDistance,
           minBlobMovement: config.motionDetection.colorFirst.minBlobMovement,
-          minBlobLifetime: config.motionDetection.colorFirst.minBlobLifetime
+          minBlobLifetime: config.motionDetection.colorFirst.minBlobLifetime,
+          zoneMap: this.zoneMap
         }
       );
       console.log('[Motion] Color-first detection mode enabled');
@@ -103,7 +109,8 @@ class MotionDetectionService extends EventEmitter {
         height: config.motionDetection.height,
         gridSize: config.motionDetection.shadowRemoval.regionAnalysis.gridSize,
         enabled: true,
-        motionThreshold: config.motionDetection.threshold
+        motionThreshold: config.motionDetection.threshold,
+        zoneMap: this.zoneMap
       });
       console.log('[Motion] Region analyzer initialized');
     }
@@ -112,29 +119,50 @@ class MotionDetectionService extends EventEmitter {
     this.checkInterval = 1000 / config.motionDetection.fps;
 
     this.init();
+    this.mjpegProxy.setMotionWatched?.(true);
     console.log(`[Motion] Motion detection enabled. Processing at ${config.motionDetection.fps} FPS`);
     if (this.shadowRemovalEnabled) {
       console.log(`[Motion] Shadow removal enabled with intensity ${this.shadowRemovalIntensity}`);
     }
     
     //log ignored Y ranges configuration
-    if (config.motionDetection.ignoredYRanges && config.motionDetection.ignoredYRanges.length > 0) {
+    if (this.zoneMap.enabled) {
+      console.log(`[Motion] Using ${this.zoneMap.zones.length} motion zones for ${this.sourceId}`);
+    } else if (config.motionDetection.ignoredYRanges && config.motionDetection.ignoredYRanges.length > 0) {
       console.log(`[Motion] Ignoring Y ranges:`, config.motionDetection.ignoredYRanges);
     }
   }
 
+  //cameras with motion zones use those instead of the global ignored Y ranges
+  get ignoredYRanges() {
+    return this.zoneMap?.enabled ? [] : config.motionDetection.ignoredYRanges;
+  }
+
   init() {
     //listen for sampled frame events from mjpegProxy for motion detection
     //this reduces overhead by only processing frames at motion detection FPS
-    this.mjpegProxy.on('motion-frame', (frame) => this.handleFrame(frame));
+    this.frameHandler = (frame) => this.handleFrame(frame);
+    this.mjpegProxy.on('motion-frame', this.frameHandler);
     
     console.log('[Motion] Listening for motion-frame events');
   }
 
+  //stop listening to the proxy (camera removed at runtime)
+  stop() {
+    if (this.mjpegProxy && this.frameHandler) {
+      this.mjpegProxy.off('motion-frame', this.frameHandler);
+      this.frameHandler = null;
+    }
+    this.mjpegProxy?.setMotionWatched?.(false);
+    console.log(`[Motion] Motion detection stopped for camera: ${this.sourceId}`);
+  }
+
   //pause motion detection
   pause(reason = 'manual') {
     this.isPaused = true;
     this.pauseReason = reason;
+    //nobody is watching for motion, so viewers get the full frame rate again
+    this.mjpegProxy?.setMotionWatched?.(false);
     console.log(`[Motion] Motion detection paused (reason: ${reason})`);
   }
 
@@ -144,6 +172,7 @@ class MotionDetectionService extends EventEmitter {
     this.isPaused = false;
     this.pauseReason = null;
     if (wasPaused) {
+      this.mjpegProxy?.setMotionWatched?.(true);
       console.log('[Motion] Motion detection resumed');
       //reset previous frame to avoid false positives when resuming
       this.previousFrameBuffer = null;
@@ -178,12 +207,18 @@ class MotionDetectionService extends EventEmitter {
         
         //process the current frame
         const currentFrameBuffer = await this.processImage(frame);
+        const channels = this.colorDetectionEnabled ? 3 : 1;
+        const zonesEnabled = this.zoneMap.enabled;
+        if (zonesEnabled) {
+          this.zoneMap.maskFrame(currentFrameBuffer, channels);
+        }
 
       if (this.previousFrameBuffer) {
         //calculate difference between frames
         let comparisonResult;
         let finalMotionDecision = false;
         let chickenValidation = null;
+        let firedZones = [];
         
         //color-first mode: detect chicken blobs first, then check if they moved
         if (this.detectionMode === 'color_first' && this.colorBlobTracker) {
@@ -193,6 +228,7 @@ class MotionDetectionService extends EventEmitter {
           );
           
           finalMotionDecision = colorMotionResult.motionDetected;
+          firedZones = [...new Set(colorMotionResult.movingBlobs.flatMap(blob => blob.zones || []))];
           
           if (this.frameCount % 10 === 0) {
             if (colorMotionResult.motionDetected) {
@@ -224,7 +260,7 @@ class MotionDetectionService extends EventEmitter {
                 shadowThreshold: config.motionDetection.shadowRemoval.pixelThreshold || timeThresholds.shadowThreshold,
                 colorThreshold: 40,
                 width: config.motionDetection.width,
-                ignoredRanges: config.motionDetection.ignoredYRanges
+                ignoredRanges: this.ignoredYRanges
               }
             );
           } else {
@@ -233,7 +269,7 @@ class MotionDetectionService extends EventEmitter {
             const ignoredPixelCount = calculateIgnoredPixelCount(
               config.motionDetection.width,
               config.motionDetection.height,
-              config.motionDetection.ignoredYRanges
+              this.ignoredYRanges
             );
             const effectivePixelCount = (currentFrameBuffer.length / 3) - ignoredPixelCount;
             
@@ -255,7 +291,7 @@ class MotionDetectionService extends EventEmitter {
               shadowThreshold: config.motionDetection.shadowRemoval.pixelThreshold || timeThresholds.shadowThreshold,
               adaptiveThreshold: true,
               width: config.motionDetection.width,
-              ignoredRanges: config.motionDetection.ignoredYRanges
+              ignoredRanges: this.ignoredYRanges
             }
           );
         } else {
@@ -265,7 +301,7 @@ class MotionDetectionService extends EventEmitter {
           const ignoredPixelCount = calculateIgnoredPixelCount(
             config.motionDetection.width,
             config.motionDetection.height,
-            config.motionDetection.ignoredYRanges
+            this.ignoredYRanges
           );
           const effectivePixelCount = currentFrameBuffer.length - ignoredPixelCount;
           
@@ -279,6 +315,12 @@ class MotionDetectionService extends EventEmitter {
         
         let normalizedDifference = comparisonResult.normalizedDifference;
         
+        //masked-out pixels never change, so measure the difference against the area the zones cover
+        if (zonesEnabled && this.detectionMode !== 'color_first') {
+          const activeRatio = this.zoneMap.getActiveRatio();
+          normalizedDifference = activeRatio > 0 ? normalizedDifference / activeRatio : 0;
+        }
+        
         //temporal shadow analysis if enabled
         let temporalAnalysis = null;
         if (this.temporalDetector) {
@@ -301,8 +343,20 @@ class MotionDetectionService extends EventEmitter {
         
         //region-based analysis if enabled
         let regionAnalysis = null;
+        let zoneScores = null;
         if (this.detectionMode !== 'color_first') {
           finalMotionDecision = normalizedDifference > config.motionDetection.threshold;
+          
+          //include zones fire on their own, each against the threshold scaled by its sensitivity
+          if (zonesEnabled && this.zoneMap.hasIncludeZones) {
+            zoneScores = this.zoneMap.scoreZones(currentFrameBuffer, this.previousFrameBuffer, {
+              channels,
+              pixelThreshold: this.colorDetectionEnabled ? 40 : 25,
+              threshold: config.motionDetection.threshold
+            });
+            firedZones = zoneScores.filter(zone => zone.fired).map(zone => zone.name);
+            finalMotionDecision = firedZones.length > 0;
+          }
         }
         
         if (this.regionAnalyzer && this.detectionMode !== 'color_first') {
@@ -312,9 +366,11 @@ class MotionDetectionService extends EventEmitter {
             comparisonResult
           );
           
-          //use regional voting for final decision
+          //use regional voting for final decision; with include zones it can only veto them
           if (regionAnalysis.regionsAnalyzed) {
-            finalMotionDecision = regionAnalysis.motionDetected;
+            finalMotionDecision = zoneScores
+              ? finalMotionDecision && regionAnalysis.motionDetected
+              : regionAnalysis.motionDetected;
             
             if (this.frameCount % 10 === 0) {
               console.log(`[Motion] Region analysis - Active regions: ${regionAnalysis.activeRegions}/${regionAnalysis.totalRegions}, Shadow regions: ${regionAnalysis.shadowRegions}, Motion: ${regionAnalysis.motionDetected ? 'Yes' : 'No'}, Confidence: ${(regionAnalysis.confidence * 100).toFixed(2)}%`);
@@ -336,6 +392,9 @@ class MotionDetectionService extends EventEmitter {
           } else {
             console.log(`[Motion] Frame comparison - Difference: ${(normalizedDifference * 100).toFixed(4)}%, Threshold: ${(config.motionDetection.threshold * 100).toFixed(4)}%`);
           }
+          if (zoneScores) {
+            console.log(`[Motion] Zones - ${zoneScores.map(zone => `${zone.name}: ${(zone.changeRatio * 100).toFixed(2)}%${zone.fired ? ' (fired)' : ''}`).join(', ')}`);
+          }
         }
 
         //chicken color validation if enabled (skip in color-first mode)
@@ -364,21 +423,28 @@ class MotionDetectionService extends EventEmitter {
           }
         }
         
+        //any detection wakes the stream up, even inside the event cooldown
+        if (finalMotionDecision) {
+          this.mjpegProxy.noteMotion?.(now);
+        }
+        
         //check if motion detected and cooldown period has passed
         if (finalMotionDecision && 
             now - this.lastMotionTime > config.motionDetection.cooldownMs) {
           
           this.lastMotionTime = now;
+          this.detectionCount++;
           const motionData = {
             id: `motion_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             timestamp: new Date().toISOString(),
             timestampMs: now,
             difference: normalizedDifference,
             threshold: config.motionDetection.threshold,
-            intensity: (normalizedDifference * 100).toFixed(2)
+            intensity: (normalizedDifference * 100).toFixed(2),
+            zones: firedZones //names of the include zones that fired, empty without include zones
           };
           
-          console.log(`[Motion] DETECTED! Timestamp: ${motionData.timestamp}, Intensity: ${motionData.intensity}%, Threshold: ${(config.motionDetection.threshold * 100).toFixed(2)}%`);
+          console.log(`[Motion] DETECTED! Timestamp: ${motionData.timestamp}, Intensity: ${motionData.intensity}%, Threshold: ${(config.motionDetection.threshold * 100).toFixed(2)}%${firedZones.length > 0 ? `, Zones: ${firedZones.join(', ')}` : ''}`);
           console.log(`[Motion] Emitting motion event with ID: ${motionData.id}`);
           
           try {
@@ -498,7 +564,7 @@ class MotionDetectionService extends EventEmitter {
     const pixelThreshold = 25; //minimum pixel difference to count as changed (0-255)
     const colorThreshold = 40; //threshold for color mode
     const width = config.motionDetection.width;
-    const ignoredRanges = config.motionDetection.ignoredYRanges;
+    const ignoredRanges = this.ignoredYRanges;
     
     if (isColorMode) {
       //color mode: process RGB pixels
@@ -548,6 +614,7 @@ class MotionDetectionService extends EventEmitter {
       processing: this.processing,
       lastCheckTime: this.lastCheckTime,
       lastMotionTime: this.lastMotionTime,
+      detectionCount: this.detectionCount || 0,
       fps: config.motionDetection.fps,
       threshold: config.motionDetection.threshold,
       imageSize: `${config.motionDetection.width}x${config.motionDetection.height}`,
@@ -555,12 +622,13 @@ class MotionDetectionService extends EventEmitter {
         enabled: this.shadowRemovalEnabled,
         advanced: config.motionDetection.shadowRemoval?.advanced || false
       },
-      ignoredYRanges: config.motionDetection.ignoredYRanges,
+      ignoredYRanges: this.ignoredYRanges,
       ignoredPixelCount: calculateIgnoredPixelCount(
         config.motionDetection.width,
         config.motionDetection.height,
-        config.motionDetection.ignoredYRanges
-      )
+        this.ignoredYRanges
+      ),
+      zones: this.zoneMap?.getSummary() || null
     };
     
     //add temporal detector status if available
@@ -0,0 +1,213 @@
+//motion zones - named include/exclude polygons that decide where a camera looks for motion
+//with include zones only motion inside them counts and each zone fires on its own; exclude zones are
+//never looked at. A camera with zones stops using the global ignoredYRanges; one instance per
+//motion detection service, zones come from the motion zone state so api edits apply on the next sample
+
+import { config } from '../config.js';
+import motionZoneState from '../state/motionZones.js';
+
+export const ZONE_TYPES = ['include', 'exclude'];
+const ZONE_NAME_PATTERN = /^[\w -]{1,32}$/;
+const MIN_SENSITIVITY = 0.1;
+const MAX_SENSITIVITY = 10;
+
+//validate zones from the api; points are [x, y] pairs as fractions of the frame like privacy masks
+//sensitivity scales the motion threshold for that zone - 2 fires on half the change, 0.5 needs twice as much
+//returns { zones } or { error } with a message suitable for a 400 response
+export const normalizeZones = (input) => {
+  const { maxZonesPerSource, maxPointsPerZone } = config.motionZones;
+  if (!Array.isArray(input)) {
+    return { error: 'zones must be an array' };
+  }
+  if (input.length > maxZonesPerSource) {
+    return { error: `A source can have at most ${maxZonesPerSource} motion zones` };
+  }
+
+  const zones = [];
+  for (const [index, zone] of input.entries()) {
+    const label = `Zone ${index + 1}`;
+    if (!zone || typeof zone !== 'object') {
+      return { error: `${label}: must be an object with a name and points` };
+    }
+    if (typeof zone.name !== 'string' || !ZONE_NAME_PATTERN.test(zone.name.trim())) {
+      return { error: `${label}: name must be 1-32 letters, numbers, spaces, dashes or underscores` };
+    }
+    const name = zone.name.trim();
+    if (zones.some(existing => existing.name === name)) {
+      return { error: `${label}: zone names must be unique, '${name}' is used twice` };
+    }
+    if (!Array.isArray(zone.points) || zone.points.length < 3 || zone.points.length > maxPointsPerZone) {
+      return { error: `${label}: a polygon needs between 3 and ${maxPointsPerZone} points` };
+    }
+    const validPoints = zone.points.every(point =>
+      Array.isArray(point) && point.length === 2 &&
+      point.every(value => Number.isFinite(value) && value >= 0 && value <= 1)
+    );
+    if (!validPoints) {
+      return { error: `${label}: point coordinates must be fractions of the frame between 0 and 1` };
+    }
+
+    const type = zone.type ?? 'include';
+    if (!ZONE_TYPES.includes(type)) {
+      return { error: `${label}: type must be one of ${ZONE_TYPES.join(', ')}` };
+    }
+    const sensitivity = zone.sensitivity ?? 1;
+    if (!Number.isFinite(sensitivity) || sensitivity < MIN_SENSITIVITY || sensitivity > MAX_SENSITIVITY) {
+      return { error: `${label}: sensitivity must be between ${MIN_SENSITIVITY} and ${MAX_SENSITIVITY}` };
+    }
+
+    zones.push({
+      name,
+      type,
+      points: zone.points.map(([x, y]) => [x, y]),
+      ...(type === 'include' && { sensitivity })
+    });
+  }
+
+  return { zones };
+};
+
+//ray casting test for a point against a polygon, both as fractions of the frame
+const isInsidePolygon = (x, y, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+class MotionZoneMap {
+  constructor(sourceId, width, height, { state = motionZoneState } = {}) {
+    this.sourceId = sourceId;
+    this.width = width;
+    this.height = height;
+    this.state = state;
+    this.cachedLayout = null; // { version, active, activePixels, includes }
+  }
+
+  get zones() {
+    return this.state.getZones(this.sourceId);
+  }
+
+  get enabled() {
+    return this.zones.length > 0;
+  }
+
+  get hasIncludeZones() {
+    return this.getLayout().includes.length > 0;
+  }
+
+  //rasterize the zones at the motion detection resolution once per zone version, sampling pixel centers
+  //active marks the pixels motion detection looks at; each include zone keeps its own pixel list
+  getLayout() {
+    if (this.cachedLayout?.version === this.state.version) {
+      return this.cachedLayout;
+    }
+
+    const zones = this.zones;
+    const excludes = zones.filter(zone => zone.type === 'exclude');
+    const includes = zones.filter(zone => zone.type === 'include').map(zone => ({ ...zone, pixels: [] }));
+    const active = new Uint8Array(this.width * this.height);
+    let activePixels = 0;
+
+    for (let y = 0; y < this.height; y++) {
+      const fy = (y + 0.5) / this.height;
+      for (let x = 0; x < this.width; x++) {
+        const fx = (x + 0.5) / this.width;
+        if (excludes.some(zone => isInsidePolygon(fx, fy, zone.points))) continue; // exclusions win over includes
+
+        const index = y * this.width + x;
+        const containing = includes.filter(zone => isInsidePolygon(fx, fy, zone.points));
+        containing.forEach(zone => zone.pixels.push(index));
+        if (includes.length === 0 || containing.length > 0) {
+          active[index] = 1;
+          activePixels++;
+        }
+      }
+    }
+
+    this.cachedLayout = {
+      version: this.state.version,
+      active,
+      activePixels,
+      includes: includes.map(zone => ({ ...zone, pixels: Uint32Array.from(zone.pixels) }))
+    };
+    return this.cachedLayout;
+  }
+
+  //pixel index (y * width + x) at the motion detection resolution
+  isActive(index) {
+    return !this.enabled || this.getLayout().active[index] === 1;
+  }
+
+  //black out everything motion detection must not see in a processed motion frame (1 or 3 channels), in place
+  //comparisons, chicken color checks, blob tracking and shadow analysis all skip those pixels this way
+  maskFrame(buffer, channels = 1) {
+    const { active } = this.getLayout();
+    for (let index = 0; index < active.length; index++) {
+      if (!active[index]) {
+        buffer.fill(0, index * channels, (index + 1) * channels);
+      }
+    }
+    return buffer;
+  }
+
+  //share of the frame motion detection looks at, to rescale whole-frame difference ratios
+  getActiveRatio() {
+    const { activePixels } = this.getLayout();
+    return activePixels / (this.width * this.height);
+  }
+
+  //changed pixel ratio per include zone, each against the threshold scaled by its sensitivity
+  scoreZones(current, previous, { channels = 1, pixelThreshold = 25, threshold = config.motionDetection.threshold } = {}) {
+    return this.getLayout().includes.map(zone => {
+      let changedPixels = 0;
+      zone.pixels.forEach(index => {
+        const offset = index * channels;
+        let diff = 0;
+        for (let channel = 0; channel < channels; channel++) {
+          diff = Math.max(diff, Math.abs(current[offset + channel] - previous[offset + channel]));
+        }
+        if (diff > pixelThreshold) {
+          changedPixels++;
+        }
+      });
+
+      const changeRatio = zone.pixels.length > 0 ? changedPixels / zone.pixels.length : 0;
+      const zoneThreshold = threshold / (zone.sensitivity || 1);
+      return {
+        name: zone.name,
+        changeRatio,
+        threshold: zoneThreshold,
+        fired: changeRatio > zoneThreshold
+      };
+    });
+  }
+
+  //pixel index for (possibly fractional) coordinates at the motion detection resolution, e.g. a blob centroid
+  indexAt(x, y) {
+    const column = Math.min(this.width - 1, Math.max(0, Math.round(x)));
+    const row = Math.min(this.height - 1, Math.max(0, Math.round(y)));
+    return row * this.width + column;
+  }
+
+  //include zones containing a point
+  zonesAt(x, y) {
+    const index = this.indexAt(x, y);
+    return this.getLayout().includes.filter(zone => zone.pixels.includes(index));
+  }
+
+  getSummary() {
+    const zones = this.zones;
+    return {
+      zones: zones.map(({ name, type, sensitivity }) => ({ name, type, ...(sensitivity !== undefined && { sensitivity }) })),
+      activeArea: zones.length > 0 ? Math.round(this.getActiveRatio() * 1000) / 1000 : 1
+    };
+  }
+}
+
+export default MotionZoneMap;
\ No newline at end of file
@@ -0,0 +1,229 @@
+//pause schedule service - pauses sources during scheduled windows and resumes them afterwards
+//daily windows (e.g. 22:00-05:00) repeat on the configured clock; one-off windows are dropped once over
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { normalizeSlate } from './slateRenderer.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+//"22:00" -> seconds after midnight
+const parseTimeOfDay = (value) => {
+  const [, hours, minutes] = value.match(TIME_PATTERN);
+  return Number(hours) * 3600 + Number(minutes) * 60;
+};
+
+//seconds after midnight for a timestamp on the given clock
+const secondsOfDay = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find(part => part.type === type)?.value || 0);
+  return (get('hour') % 24) * 3600 + get('minute') * 60 + get('second'); // some ICU versions render midnight as 24
+};
+
+export const createPauseScheduleService = ({ streamManager, config }) => {
+  if (!streamManager) {
+    throw new Error('PauseScheduleService: streamManager dependency is required.');
+  }
+  if (!config) {
+    throw new Error('PauseScheduleService: config dependency is required.');
+  }
+
+  const { file, checkIntervalMs, timezone } = config.pauseSchedules;
+  let schedules = [];
+  let checkInterval = null;
+
+  //load saved schedules
+  try {
+    if (fs.existsSync(file)) {
+      schedules = JSON.parse(fs.readFileSync(file, 'utf8'));
+      console.log(`[Pause Schedule] Loaded ${schedules.length} schedules from ${file}`);
+    }
+  } catch (error) {
+    console.error('[Pause Schedule] Error loading schedules:', error.message);
+  }
+
+  const saveSchedules = () => {
+    try {
+      fs.writeFileSync(file, JSON.stringify(schedules, null, 2));
+    } catch (error) {
+      console.error('[Pause Schedule] Error saving schedules:', error);
+      throw error;
+    }
+  };
+
+  //end time of the window the schedule is in right now, or null when it isn't active
+  const getActiveUntil = (schedule, now) => {
+    if (schedule.type === 'once') {
+      return schedule.startAt <= now && now < schedule.endAt ? schedule.endAt : null;
+    }
+
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    const current = secondsOfDay(now, timezone);
+    //windows that cross midnight wrap around
+    const active = start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!active) return null;
+
+    const secondsLeft = (end - current + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+    return now - (now % 1000) + secondsLeft * 1000;
+  };
+
+  //validate a schedule from the api
+  //returns { schedule } or { error } with a message suitable for a 400 response
+  const normalizeSchedule = (input = {}, now = Date.now()) => {
+    const { sourceId, type = 'daily', label } = input;
+    if (!sourceId || !streamManager.getSourceConfig(sourceId)) {
+      return { error: `Stream source '${sourceId}' not found` };
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 80)) {
+      return { error: 'label must be at most 80 characters' };
+    }
+
+    const { slate, error: slateError } = normalizeSlate(input.slate);
+    if (slateError) {
+      return { error: slateError };
+    }
+
+    const schedule = {
+      id: `sched-${crypto.randomBytes(4).toString('hex')}`,
+      sourceId,
+      type,
+      label: label || null,
+      slate,
+      createdAt: now
+    };
+
+    if (type === 'daily') {
+      if (!TIME_PATTERN.test(input.start || '') || !TIME_PATTERN.test(input.end || '')) {
+        return { error: `start and end must be HH:MM times (${timezone})` };
+      }
+      if (input.start === input.end) {
+        return { error: 'start and end must differ' };
+      }
+      return { schedule: { ...schedule, start: input.start, end: input.end, timezone } };
+    }
+
+    if (type === 'once') {
+      const startAt = new Date(input.startAt).getTime();
+      const endAt = new Date(input.endAt).getTime();
+      if (!Number.isFinite(startAt) || !Number.isFinite(endAt)) {
+        return { error: 'startAt and endAt must be ISO 8601 date-times' };
+      }
+      if (endAt <= startAt) {
+        return { error: 'endAt must be after startAt' };
+      }
+      if (endAt <= now) {
+        return { error: 'endAt is already in the past' };
+      }
+      return { schedule: { ...schedule, startAt, endAt } };
+    }
+
+    return { error: "type must be 'daily' or 'once'" };
+  };
+
+  //bring every source in line with its schedules - pause when a window opens,
+  //resume when the window that paused it closes or is cancelled; manual pauses are left alone
+  const tick = (now = Date.now()) => {
+    const expired = schedules.filter(schedule => schedule.type === 'once' && schedule.endAt <= now);
+    if (expired.length > 0) {
+      schedules = schedules.filter(schedule => !expired.includes(schedule));
+      expired.forEach(schedule => console.log(`[Pause Schedule] One-off schedule ${schedule.id} finished`));
+      //runs from a timer, so a failed write (disk full, read-only) must not throw - the in-memory
+      //list stays current and the next successful save catches the file up
+      try {
+        saveSchedules();
+      } catch (error) {
+        //already logged by saveSchedules
+      }
+    }
+
+    config.streamSources.forEach(({ id: sourceId }) => {
+      const proxy = streamManager.getActiveProxy(sourceId);
+      if (!proxy) return;
+
+      let activeSchedule = null;
+      let activeUntil = null;
+      for (const schedule of schedules.filter(s => s.sourceId === sourceId)) {
+        activeUntil = getActiveUntil(schedule, now);
+        if (activeUntil) {
+          activeSchedule = schedule;
+          break;
+        }
+      }
+
+      const { isPaused, reason, scheduleId } = proxy.pauseState;
+      if (isPaused && reason === 'schedule' && scheduleId !== activeSchedule?.id) {
+        console.log(`[Pause Schedule] Window ${scheduleId} over for ${sourceId}, resuming`);
+        proxy.resumeStream();
+      }
+
+      if (activeSchedule && !proxy.pauseState.isPaused) {
+        proxy.pauseStream({
+          endTime: activeUntil,
+          slate: activeSchedule.slate,
+          reason: 'schedule',
+          scheduleId: activeSchedule.id
+        }).catch(error => console.error(`[Pause Schedule] Failed to pause ${sourceId}:`, error));
+      }
+    });
+  };
+
+  const listSchedules = (now = Date.now()) => schedules.map(schedule => ({
+    ...schedule,
+    activeUntil: getActiveUntil(schedule, now)
+  }));
+
+  //add a validated schedule; a window that is already open starts straight away
+  const createSchedule = (schedule) => {
+    schedules.push(schedule);
+    saveSchedules();
+    console.log(`[Pause Schedule] Created ${schedule.type} schedule ${schedule.id} for ${schedule.sourceId}`);
+    tick();
+    return listSchedules().find(s => s.id === schedule.id);
+  };
+
+  //remove a schedule and resume its source if it is paused by it; returns false when not found
+  const cancelSchedule = (scheduleId) => {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) return false;
+
+    schedules = schedules.filter(s => s !== schedule);
+    saveSchedules();
+    console.log(`[Pause Schedule] Cancelled schedule ${scheduleId} for ${schedule.sourceId}`);
+    tick();
+    return true;
+  };
+
+  const start = () => {
+    if (checkInterval) return;
+    checkInterval = setInterval(() => tick(), checkIntervalMs);
+    checkInterval.unref?.();
+    tick();
+  };
+
+  const shutdown = () => {
+    if (checkInterval) {
+      clearInterval(checkInterval);
+      checkInterval = null;
+    }
+  };
+
+  return {
+    normalizeSchedule,
+    listSchedules,
+    createSchedule,
+    cancelSchedule,
+    tick,
+    start,
+    shutdown
+  };
+};
\ No newline at end of file
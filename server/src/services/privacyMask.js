@@ -0,0 +1,198 @@
+//privacy mask renderer - blacks out or pixelates mask polygons before frames leave the proxy
+//one instance per proxy; masks come from the privacy mask state so api edits apply on the next frame
+
+import sharp from 'sharp';
+import { config } from '../config.js';
+import privacyMasks from '../state/privacyMasks.js';
+
+export const MASK_STYLES = ['black', 'pixelate'];
+export const MASK_MOTION_MODES = ['use', 'ignore']; // whether motion detection still sees the masked area
+
+//validate masks from the api; points are [x, y] pairs as fractions of the frame so a mask fits any resolution
+//returns { masks } or { error } with a message suitable for a 400 response
+export const normalizeMasks = (input) => {
+  const { maxMasksPerSource, maxPointsPerMask } = config.privacyMasks;
+  if (!Array.isArray(input)) {
+    return { error: 'masks must be an array' };
+  }
+  if (input.length > maxMasksPerSource) {
+    return { error: `A source can have at most ${maxMasksPerSource} masks` };
+  }
+
+  const masks = [];
+  for (const [index, mask] of input.entries()) {
+    const label = `Mask ${index + 1}`;
+    if (!mask || typeof mask !== 'object' || !Array.isArray(mask.points)) {
+      return { error: `${label}: points must be an array of [x, y] pairs` };
+    }
+    if (mask.points.length < 3 || mask.points.length > maxPointsPerMask) {
+      return { error: `${label}: a polygon needs between 3 and ${maxPointsPerMask} points` };
+    }
+    const validPoints = mask.points.every(point =>
+      Array.isArray(point) && point.length === 2 &&
+      point.every(value => Number.isFinite(value) && value >= 0 && value <= 1)
+    );
+    if (!validPoints) {
+      return { error: `${label}: point coordinates must be fractions of the frame between 0 and 1` };
+    }
+
+    const style = mask.style ?? 'black';
+    if (!MASK_STYLES.includes(style)) {
+      return { error: `${label}: style must be one of ${MASK_STYLES.join(', ')}` };
+    }
+    const motion = mask.motion ?? 'use';
+    if (!MASK_MOTION_MODES.includes(motion)) {
+      return { error: `${label}: motion must be one of ${MASK_MOTION_MODES.join(', ')}` };
+    }
+
+    masks.push({
+      name: typeof mask.name === 'string' ? mask.name.slice(0, 64) : label,
+      points: mask.points.map(([x, y]) => [x, y]),
+      style,
+      motion
+    });
+  }
+
+  return { masks };
+};
+
+//svg with the given masks filled in black, scaled to the frame
+const buildPolygonSvg = (masks, width, height) => `
+  <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    ${masks.map(mask => `<polygon points="${mask.points.map(([x, y]) => `${Math.round(x * width)},${Math.round(y * height)}`).join(' ')}" fill="black"/>`).join('\n    ')}
+  </svg>
+`;
+
+class PrivacyMask {
+  constructor(sourceId, { state = privacyMasks } = {}) {
+    this.sourceId = sourceId;
+    this.state = state;
+    this.rendering = false;
+    this.cachedLayers = null; // { key, black, pixelate, motion }
+    this.stats = {
+      framesMasked: 0,
+      framesSkipped: 0,
+      errors: 0
+    };
+  }
+
+  get masks() {
+    return this.state.getMasks(this.sourceId);
+  }
+
+  get enabled() {
+    return this.masks.length > 0;
+  }
+
+  //true when some masked area should also be hidden from motion detection
+  get hidesMotion() {
+    return this.masks.some(mask => mask.motion === 'ignore');
+  }
+
+  //rasterize the mask polygons once per mask version and frame size
+  async getLayers(width, height) {
+    const key = `${this.state.version}|${width}x${height}`;
+    if (this.cachedLayers?.key === key) {
+      return this.cachedLayers;
+    }
+
+    const masks = this.masks;
+    const rasterize = async (selected) => selected.length > 0
+      ? sharp(Buffer.from(buildPolygonSvg(selected, width, height))).png().toBuffer()
+      : null;
+
+    this.cachedLayers = {
+      key,
+      black: await rasterize(masks.filter(mask => mask.style === 'black')),
+      pixelate: await rasterize(masks.filter(mask => mask.style === 'pixelate')),
+      motion: await rasterize(masks.filter(mask => mask.motion === 'ignore'))
+    };
+    return this.cachedLayers;
+  }
+
+  //pixelate the whole frame, then keep only the pixels inside the pixelate polygons
+  async renderPixelated(frame, width, height, maskLayer) {
+    const blockSize = Math.max(2, config.privacyMasks.pixelateBlockSize);
+    const small = await sharp(frame)
+      .resize(Math.max(1, Math.ceil(width / blockSize)), Math.max(1, Math.ceil(height / blockSize)), { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return sharp(small.data, { raw: { width: small.info.width, height: small.info.height, channels: small.info.channels } })
+      .resize(width, height, { fit: 'fill', kernel: 'nearest' })
+      .ensureAlpha()
+      .composite([{ input: maskLayer, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  }
+
+  //mask a frame for delivery; resolves null when the frame should be dropped - either a previous frame
+  //is still rendering or masking failed, since falling back to the raw frame would leak the masked area
+  async apply(frame) {
+    if (this.rendering) {
+      this.stats.framesSkipped++;
+      return null;
+    }
+
+    this.rendering = true;
+    try {
+      const { width, height } = await sharp(frame).metadata();
+      const layers = await this.getLayers(width, height);
+      const composites = [];
+
+      if (layers.pixelate) {
+        composites.push({ input: await this.renderPixelated(frame, width, height, layers.pixelate) });
+      }
+      if (layers.black) {
+        composites.push({ input: layers.black });
+      }
+      if (composites.length === 0) {
+        return frame;
+      }
+
+      const output = await sharp(frame)
+        .composite(composites.map(layer => ({ ...layer, left: 0, top: 0 })))
+        .jpeg({ quality: 85 })
+        .toBuffer();
+
+      this.stats.framesMasked++;
+      return output;
+    } catch (error) {
+      this.stats.errors++;
+      if (this.stats.errors % 100 === 1) {
+        console.error(`[Privacy Mask] Masking failed for ${this.sourceId}, dropping frame (${this.stats.errors} errors):`, error.message);
+      }
+      return null;
+    } finally {
+      this.rendering = false;
+    }
+  }
+
+  //black out masks set to motion "ignore" in a motion sample so nothing there can register as movement
+  async applyForMotion(frame) {
+    try {
+      const { width, height } = await sharp(frame).metadata();
+      const layers = await this.getLayers(width, height);
+      if (!layers.motion) {
+        return frame;
+      }
+      return await sharp(frame)
+        .composite([{ input: layers.motion, left: 0, top: 0 }])
+        .jpeg({ quality: 85 })
+        .toBuffer();
+    } catch (error) {
+      console.error(`[Privacy Mask] Motion masking failed for ${this.sourceId}:`, error.message);
+      return null;
+    }
+  }
+
+  getStats() {
+    return {
+      masks: this.masks.length,
+      hidesMotion: this.hidesMotion,
+      ...this.stats
+    };
+  }
+}
+
+export default PrivacyMask;
\ No newline at end of file
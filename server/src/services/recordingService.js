@@ -34,6 +34,12 @@ class RecordingService {
     this.state = RecordingState.IDLE;
     this.activeRecordings = new Map();
     this.recordingCount = 0;
+    //finished recordings for /metrics
+    this.outcomes = {
+      completed: 0,
+      failed: 0,
+      totalDurationSeconds: 0
+    };
     
     //thumbnail coordination tracking to prevent race conditions
     this.thumbnailsInProgress = new Set(); //tracks recording IDs with active thumbnail generation
@@ -47,8 +53,10 @@ class RecordingService {
     this.videoEncoder = new VideoEncoderService(config);
     this.reactionService = new ReactionService(config);
     
-    //frame listener reference for cleanup
+    //listener and timer references for cleanup
     this.frameListener = null;
+    this.motionListener = null;
+    this.cleanupInterval = null;
     
     console.log('[Recording] Service initialized');
   }
@@ -80,7 +88,7 @@ class RecordingService {
 
     //subscribe to motion events with camera-specific filtering
     console.log(`[Recording] Setting up motion event listener for camera: ${this.cameraSourceId}...`);
-    this.eventEmitter.on('motion', (data) => {
+    this.motionListener = (data) => {
       //filter motion events by camera source
       if (data.sourceId !== this.cameraSourceId) {
         console.log(`[Recording] Ignoring motion event from camera '${data.sourceId}' (listening for '${this.cameraSourceId}')`);
@@ -88,7 +96,8 @@ class RecordingService {
       }
       console.log(`[Recording] Motion event listener triggered for camera: ${this.cameraSourceId}`);
       this.handleMotionEvent(data);
-    });
+    };
+    this.eventEmitter.on('motion', this.motionListener);
     console.log(`[Recording] Motion event listener registered successfully for camera: ${this.cameraSourceId}`);
     console.log('[Recording] EventEmitter has', this.eventEmitter.listenerCount('motion'), 'motion listeners');
 
@@ -104,6 +113,15 @@ class RecordingService {
     //remove frame listener
     if (this.frameListener) {
       this.mjpegProxy.off('frame', this.frameListener);
+      this.frameListener = null;
+    }
+    if (this.motionListener) {
+      this.eventEmitter.off('motion', this.motionListener);
+      this.motionListener = null;
+    }
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
     }
 
     //cancel all active recordings
@@ -248,6 +266,9 @@ class RecordingService {
       
       //emit completion event with sourceId for coordination
       const sourceId = recording.motionData.sourceId || this.cameraSourceId || 'default';
+      const { frames } = recording;
+      this.outcomes.completed++;
+      this.outcomes.totalDurationSeconds += (frames[frames.length - 1].timestamp - frames[0].timestamp) / 1000; // clip length
       this.eventEmitter.emit('recording-complete', {
         id: recordingId,
         path: outputPath,
@@ -261,6 +282,7 @@ class RecordingService {
 
     } catch (error) {
       console.error(`[Recording] ${recordingId} encoding failed:`, error);
+      this.outcomes.failed++;
       this.eventEmitter.emit('recording-failed', {
         id: recordingId,
         error: error.message
@@ -485,7 +507,7 @@ class RecordingService {
 
   startCleanupTimer() {
     //run cleanup daily
-    setInterval(() => {
+    this.cleanupInterval = setInterval(() => {
       this.cleanupOldRecordings();
     }, 24 * 60 * 60 * 1000);
 
@@ -501,6 +523,10 @@ class RecordingService {
       state: this.state,
       activeRecordings: this.activeRecordings.size,
       totalRecordings: this.recordingCount,
+      completedRecordings: this.outcomes.completed,
+      failedRecordings: this.outcomes.failed,
+      recordedSeconds: this.outcomes.totalDurationSeconds,
+      encoder: this.videoEncoder.getStats(),
       bufferStats: bufferStats,
       config: {
         preBufferSeconds: this.config.preBufferSeconds,
@@ -0,0 +1,141 @@
+//slate renderer - builds the frame shown to viewers while a stream is paused
+//slates are named templates from config or inline { message, detail, image, countdown, background } objects
+
+import path from 'path';
+import sharp from 'sharp';
+import { config } from '../config.js';
+import { escapeXml } from '../utils/snapshotUtils.js';
+
+const SLATE_WIDTH = 1920;
+const SLATE_HEIGHT = 1080;
+const DEFAULT_SLATE = 'maintenance';
+const IMAGE_NAME_PATTERN = /^[\w-]+\.(jpe?g|png|webp)$/i; // plain file names inside slateImageDir only
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+//resized background images, keyed by file name
+const imageCache = new Map();
+
+//validate a slate from the api - a template name or an inline slate object
+//returns { slate } or { error } with a message suitable for a 400 response
+export const normalizeSlate = (input) => {
+  const templates = config.pauseSchedules.slateTemplates;
+  if (input === undefined || input === null) {
+    return { slate: DEFAULT_SLATE };
+  }
+  if (typeof input === 'string') {
+    return templates[input]
+      ? { slate: input }
+      : { error: `Unknown slate template '${input}'. Available: ${Object.keys(templates).join(', ')}` };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'slate must be a template name or an object' };
+  }
+
+  if (typeof input.message !== 'string' || !input.message.trim() || input.message.length > 80) {
+    return { error: 'slate.message must be 1-80 characters' };
+  }
+  if (input.detail !== undefined && (typeof input.detail !== 'string' || input.detail.length > 160)) {
+    return { error: 'slate.detail must be at most 160 characters' };
+  }
+  if (input.image !== undefined && (typeof input.image !== 'string' || !IMAGE_NAME_PATTERN.test(input.image))) {
+    return { error: 'slate.image must be the name of a .jpg, .png or .webp file in the slate image folder' };
+  }
+  if (input.background !== undefined && !COLOR_PATTERN.test(input.background)) {
+    return { error: 'slate.background must be a #rrggbb color' };
+  }
+
+  return {
+    slate: {
+      message: input.message.trim(),
+      ...(input.detail ? { detail: input.detail } : {}),
+      ...(input.image ? { image: input.image } : {}),
+      ...(input.background ? { background: input.background } : {}),
+      countdown: input.countdown !== false
+    }
+  };
+};
+
+//template names resolve to their definition; unknown names fall back to the default slate
+export const resolveSlate = (slate) => {
+  const templates = config.pauseSchedules.slateTemplates;
+  if (slate && typeof slate === 'object') {
+    return slate;
+  }
+  return templates[slate] || templates[DEFAULT_SLATE] || { message: 'Routine maintenance!', countdown: true };
+};
+
+//"4:05" for short pauses, "7:04:05" once the pause runs for an hour or more
+export const formatCountdown = (remainingMs) => {
+  const totalSeconds = Math.ceil(Math.max(0, remainingMs) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => value.toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
+const hexToRgb = (hex) => ({
+  r: parseInt(hex.slice(1, 3), 16),
+  g: parseInt(hex.slice(3, 5), 16),
+  b: parseInt(hex.slice(5, 7), 16)
+});
+
+//background image scaled to cover the slate; a missing image falls back to the plain background
+const loadBackgroundImage = async (name) => {
+  if (!imageCache.has(name)) {
+    const imagePath = path.join(config.pauseSchedules.slateImageDir, name);
+    imageCache.set(name, sharp(imagePath)
+      .resize(SLATE_WIDTH, SLATE_HEIGHT, { fit: 'cover' })
+      .removeAlpha()
+      .jpeg()
+      .toBuffer()
+      .catch(error => {
+        console.error(`[Slate] Could not load slate image ${name}:`, error.message);
+        imageCache.delete(name);
+        return null;
+      }));
+  }
+  return imageCache.get(name);
+};
+
+//render a slate as a jpeg; endTime null hides the countdown (pause with no scheduled end)
+export const renderSlate = async (slate, { endTime = null, now = Date.now() } = {}) => {
+  const { message, detail, image, countdown, background } = resolveSlate(slate);
+  const lines = [{ text: message, size: 72, color: 'white' }];
+  if (detail) {
+    lines.push({ text: detail, size: 44, color: '#dddddd' });
+  }
+  if (countdown !== false && endTime) {
+    lines.push({ text: `Stream will resume in ${formatCountdown(endTime - now)}`, size: 48, color: '#cccccc' });
+  }
+
+  //stack the lines around the vertical centre
+  const lineGap = 100;
+  const firstY = SLATE_HEIGHT / 2 - ((lines.length - 1) * lineGap) / 2;
+  const imageData = image ? await loadBackgroundImage(image) : null;
+
+  const svg = `
+    <svg width="${SLATE_WIDTH}" height="${SLATE_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+      ${imageData ? `<rect x="0" y="${firstY - 120}" width="${SLATE_WIDTH}" height="${(lines.length - 1) * lineGap + 180}" fill="black" fill-opacity="0.55"/>` : ''}
+      ${lines.map((line, index) => `
+      <text x="50%" y="${firstY + index * lineGap}" text-anchor="middle"
+            font-family="Arial, sans-serif" font-size="${line.size}" fill="${line.color}">${escapeXml(line.text)}</text>`).join('')}
+    </svg>
+  `;
+
+  const base = imageData
+    ? sharp(imageData)
+    : sharp({
+      create: {
+        width: SLATE_WIDTH,
+        height: SLATE_HEIGHT,
+        channels: 3,
+        background: background ? hexToRgb(background) : { r: 20, g: 20, b: 20 } // Dark gray background
+      }
+    });
+
+  return base
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .jpeg({ quality: 80 })
+    .toBuffer();
+};
\ No newline at end of file
@@ -0,0 +1,293 @@
+//source admin service - adds, updates and removes camera sources at runtime
+//owns each camera's motion/recording/timelapse/dvr services, saves source changes and edits privacy masks and motion zones
+//viewer sessions of each camera are reported to the analytics service
+
+import fs from 'fs';
+import MotionDetectionService from './motionDetectionService.js';
+import RecordingService from './recordingService.js';
+import TimelapseService from './timelapseService.js';
+import DvrService from './dvrService.js';
+import privacyMasks from '../state/privacyMasks.js';
+import motionZones from '../state/motionZones.js';
+import { validateStreamSource, validateDerivedParents } from '../config.js';
+import { redactUrlCredentials } from '../utils/urlUtils.js';
+
+//ids end up in urls and recording/timelapse filenames
+const SOURCE_ID_PATTERN = /^[\w-]{1,32}$/;
+
+//ids that would be shadowed by virtual stream routes
+const RESERVED_SOURCE_IDS = ['grid', 'default'];
+
+//stands in for secrets in api responses; sending it back keeps the stored value
+const REDACTED = '***';
+
+//fields accepted from the api - anything else in the request body is ignored
+const SOURCE_FIELDS = ['id', 'name', 'url', 'type', 'isDefault', 'rtspTransport', 'fps', 'overlay', 'idleFps', 'maxViewers', 'auth', 'headers', 'tls', 'parent', 'crop', 'outputWidth', 'remoteSourceId', 'token'];
+
+export const createSourceAdminService = ({
+  streamManager,
+  eventEmitter,
+  motionDetectionServices,
+  recordingServices,
+  timelapseServices,
+  dvrServices = new Map(),
+  motionEventsService,
+  flashlightState = null,
+  hlsService = null,
+  viewerAnalyticsService = null,
+  config
+}) => {
+  if (!streamManager) {
+    throw new Error('SourceAdminService: streamManager dependency is required.');
+  }
+  if (!eventEmitter) {
+    throw new Error('SourceAdminService: eventEmitter dependency is required.');
+  }
+  if (!motionDetectionServices || !recordingServices || !timelapseServices) {
+    throw new Error('SourceAdminService: per-camera service maps are required.');
+  }
+  if (!config) {
+    throw new Error('SourceAdminService: config dependency is required.');
+  }
+
+  //create and start the per-camera services for a source
+  const startSourceServices = (sourceId) => {
+    const mjpegProxy = streamManager.getProxy(sourceId);
+    if (!mjpegProxy) {
+      console.error(`[Sources] Cannot start services for unknown camera: ${sourceId}`);
+      return;
+    }
+
+    //stream health events go out on the app emitter for sse clients
+    mjpegProxy.on('stalled', details => eventEmitter.emit('stream-stalled', details));
+    mjpegProxy.on('recovered', details => eventEmitter.emit('stream-recovered', details));
+    viewerAnalyticsService?.trackProxy(mjpegProxy);
+
+    //relayed cameras already run motion detection on the remote instance - mirror its events instead
+    if (mjpegProxy.sourceType === 'coopcam-relay') {
+      mjpegProxy.on('remote-motion', data => {
+        motionEventsService?.addEvent(data);
+        eventEmitter.emit('motion', data);
+        eventEmitter.emit('motion-start', data);
+      });
+      console.log(`[Sources] Mirroring remote motion events for relayed camera: ${sourceId}`);
+    } else {
+      const motionDetectionService = new MotionDetectionService(mjpegProxy, eventEmitter);
+      motionDetectionServices.set(sourceId, motionDetectionService);
+      motionEventsService?.startListening(motionDetectionService);
+      console.log(`[Sources] Motion detection service created for camera: ${sourceId}`);
+    }
+
+    //flashlight pauses motion detection on the default camera
+    const motionDetectionService = motionDetectionServices.get(sourceId);
+    if (flashlightState && motionDetectionService && sourceId === streamManager.defaultSourceId) {
+      flashlightState.setMotionDetectionService(motionDetectionService);
+      console.log(`[Sources] Flashlight state service connected to motion detection for camera: ${sourceId}`);
+    }
+
+    if (config.recording.enabled) {
+      const recordingService = new RecordingService(mjpegProxy, eventEmitter, sourceId);
+      recordingServices.set(sourceId, recordingService);
+      console.log(`[Sources] Recording service created for camera: ${sourceId}, starting...`);
+      recordingService.start().catch(err => {
+        console.error(`[Recording] Failed to start recording service for camera ${sourceId}:`, err);
+      });
+    }
+
+    if (config.timelapse.enabled) {
+      const timelapseService = new TimelapseService(mjpegProxy, sourceId);
+      timelapseServices.set(sourceId, timelapseService);
+      timelapseService.start().catch(err => {
+        console.error(`[Timelapse] Failed to start timelapse service for camera ${sourceId}:`, err);
+      });
+    }
+
+    if (config.dvr.enabled) {
+      const dvrService = new DvrService(mjpegProxy, sourceId);
+      dvrServices.set(sourceId, dvrService);
+      dvrService.start().catch(err => {
+        console.error(`[DVR] Failed to start rewind buffer for camera ${sourceId}:`, err);
+      });
+    }
+  };
+
+  //stop and drop the per-camera services for a source
+  const stopSourceServices = async (sourceId) => {
+    motionDetectionServices.get(sourceId)?.stop?.();
+    motionDetectionServices.delete(sourceId);
+
+    const recordingService = recordingServices.get(sourceId);
+    if (recordingService) {
+      recordingServices.delete(sourceId);
+      try {
+        await recordingService.stop();
+      } catch (error) {
+        console.error(`[Sources] Error stopping recording service for camera ${sourceId}:`, error);
+      }
+    }
+
+    timelapseServices.get(sourceId)?.stop();
+    timelapseServices.delete(sourceId);
+
+    dvrServices.get(sourceId)?.stop();
+    dvrServices.delete(sourceId);
+
+    //the hls encoder reads from the old proxy
+    hlsService?.stopSession(sourceId);
+    console.log(`[Sources] Services stopped for camera: ${sourceId}`);
+  };
+
+  //api representation of a source - credentials are never returned
+  //header values often carry tokens, so they are masked along with the password and relay token
+  const toPublicSource = (source) => ({
+    ...source,
+    type: source.type || 'mjpeg',
+    url: redactUrlCredentials(source.url),
+    ...(source.auth && { auth: { ...source.auth, password: source.auth.password ? REDACTED : undefined } }),
+    ...(source.headers && { headers: Object.fromEntries(Object.keys(source.headers).map(name => [name, REDACTED])) }),
+    ...(source.token && { token: REDACTED }),
+    isDefault: source.id === streamManager.defaultSourceId
+  });
+
+  const listSources = () => config.streamSources.map(toPublicSource);
+
+  //build a source from request input, merging onto the existing source for updates
+  //returns { source } or { error } with a message suitable for a 400 response
+  const normalizeSource = (input = {}, existing = null) => {
+    const source = existing ? { ...existing } : {};
+    SOURCE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) {
+        source[field] = input[field];
+      }
+    });
+
+    if (existing) {
+      source.id = existing.id; // ids are immutable, remove and re-add to rename
+      //a url echoed back from GET still has its credentials redacted
+      if (input.url === redactUrlCredentials(existing.url)) {
+        source.url = existing.url;
+      }
+      //same for a redacted password, header value or relay token
+      if (input.token === REDACTED) {
+        source.token = existing.token;
+      }
+      if (input.auth?.password === REDACTED && existing.auth) {
+        source.auth = { ...input.auth, password: existing.auth.password };
+      }
+      if (input.headers && existing.headers) {
+        source.headers = Object.fromEntries(Object.entries(input.headers)
+          .map(([name, value]) => [name, value === REDACTED ? existing.headers[name] : value]));
+      }
+      if (existing.id === streamManager.defaultSourceId && input.isDefault === false) {
+        return { error: 'Mark another source as default instead of unsetting the current default' };
+      }
+    } else if (typeof source.id !== 'string' || !SOURCE_ID_PATTERN.test(source.id)) {
+      return { error: 'id must be 1-32 letters, numbers, dashes or underscores' };
+    } else if (RESERVED_SOURCE_IDS.includes(source.id)) {
+      return { error: `'${source.id}' is a reserved source id` };
+    }
+
+    if (source.fps !== undefined && (!Number.isInteger(source.fps) || source.fps < 1 || source.fps > 30)) {
+      return { error: 'fps must be an integer between 1 and 30' };
+    }
+    if (source.maxViewers !== undefined && source.maxViewers !== null && (!Number.isInteger(source.maxViewers) || source.maxViewers < 0)) {
+      return { error: 'maxViewers must be a whole number (0 = unlimited)' };
+    }
+    if (source.overlay !== undefined && (typeof source.overlay !== 'object' || Array.isArray(source.overlay))) {
+      return { error: 'overlay must be an object, e.g. { "enabled": true, "position": "top-right" }' };
+    }
+    source.isDefault = source.isDefault === true;
+
+    try {
+      validateStreamSource(source);
+      //checked against the other sources too, so a parent with derived views can't become derived itself
+      validateDerivedParents([...config.streamSources.filter(s => s.id !== source.id), source]);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      new URL(source.url);
+    } catch (error) {
+      return { error: `Invalid url for source '${source.id}'` };
+    }
+    if (source.type !== 'derived' && source.url.startsWith('derived://')) {
+      return { error: `A camera url is required for source '${source.id}'` };
+    }
+
+    return { source };
+  };
+
+  //persist the current source list so changes survive a restart
+  const saveSources = () => {
+    try {
+      fs.writeFileSync(config.streamSourcesFile, JSON.stringify(config.streamSources, null, 2));
+      console.log(`[Sources] Saved ${config.streamSources.length} sources to ${config.streamSourcesFile}`);
+    } catch (error) {
+      console.error('[Sources] Error saving sources file:', error);
+      throw error;
+    }
+  };
+
+  const addSource = (source) => {
+    streamManager.addSource(source);
+    startSourceServices(source.id);
+    saveSources();
+    return toPublicSource(streamManager.getSourceConfig(source.id));
+  };
+
+  //services hold the old proxy, so they're rebuilt along with it
+  const updateSource = async (sourceId, source) => {
+    await stopSourceServices(sourceId);
+    streamManager.updateSource(sourceId, source);
+    startSourceServices(sourceId);
+    saveSources();
+    return toPublicSource(streamManager.getSourceConfig(sourceId));
+  };
+
+  const removeSource = async (sourceId) => {
+    await stopSourceServices(sourceId);
+    streamManager.removeSource(sourceId);
+    privacyMasks.removeSource(sourceId);
+    motionZones.removeSource(sourceId);
+    saveSources();
+  };
+
+  //masks plus render stats from the running proxy, if any
+  const getMasks = (sourceId) => ({
+    masks: privacyMasks.getMasks(sourceId),
+    stats: streamManager.getProxy(sourceId)?.privacyMask?.getStats() || null
+  });
+
+  //masks are read by the proxy on every frame, so no restart is needed
+  const setMasks = (sourceId, masks) => {
+    privacyMasks.setMasks(sourceId, masks);
+    return getMasks(sourceId);
+  };
+
+  //zones plus the running motion detector's view of them (active area), if any
+  const getMotionZones = (sourceId) => ({
+    zones: motionZones.getZones(sourceId),
+    status: motionDetectionServices.get(sourceId)?.zoneMap?.getSummary() || null
+  });
+
+  //motion detection reads zones on every sampled frame, so no restart is needed
+  const setMotionZones = (sourceId, zones) => {
+    motionZones.setZones(sourceId, zones);
+    return getMotionZones(sourceId);
+  };
+
+  return {
+    startSourceServices,
+    stopSourceServices,
+    listSources,
+    normalizeSource,
+    addSource,
+    updateSource,
+    removeSource,
+    getMasks,
+    setMasks,
+    getMotionZones,
+    setMotionZones
+  };
+};
\ No newline at end of file
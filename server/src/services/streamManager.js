@@ -2,6 +2,22 @@
 //factory function receives config for clean dependency injection
 
 import MjpegProxy from '../mjpegProxy.js';
+import RtspProxy from '../rtspProxy.js';
+import JpegPollProxy from '../jpegPollProxy.js';
+import GridProxy from '../gridProxy.js';
+import DerivedProxy from '../derivedProxy.js';
+import CoopcamRelayProxy from '../coopcamRelayProxy.js';
+import { redactUrlCredentials } from '../utils/urlUtils.js';
+import connectionHistory from '../state/connectionHistory.js';
+
+//proxy implementation for each supported source type
+const PROXY_CLASSES = {
+  mjpeg: MjpegProxy,
+  rtsp: RtspProxy,
+  'jpeg-poll': JpegPollProxy,
+  derived: DerivedProxy,
+  'coopcam-relay': CoopcamRelayProxy
+};
 
 export const createStreamManager = ({ config }) => {
   if (!config || !config.streamSources) {
@@ -10,9 +26,10 @@ export const createStreamManager = ({ config }) => {
 
   const streamSources = config.streamSources;
   const proxies = new Map(); // Store active proxy instances: Map<string, MjpegProxy>
+  const gridProxies = new Map(); // Virtual composite sources: Map<layout, GridProxy>
 
-  //find the default source
-  const defaultSource = streamSources.find(s => s.isDefault);
+  //find the default source (can move at runtime via updateSource)
+  let defaultSource = streamSources.find(s => s.isDefault);
   if (!defaultSource) {
     throw new Error('StreamManager: No default stream source found in configuration.');
   }
@@ -37,10 +54,34 @@ export const createStreamManager = ({ config }) => {
     }
 
     //create new proxy instance (persistent connection)
-    console.log(`[StreamManager] Creating proxy for source: ${canonicalSourceId} (${sourceConfig.url})`);
-    const newProxy = new MjpegProxy(sourceConfig.url, {
+    const sourceType = sourceConfig.type || 'mjpeg';
+    const ProxyClass = PROXY_CLASSES[sourceType];
+    if (!ProxyClass) {
+      console.error(`[StreamManager] Unsupported source type '${sourceType}' for source: ${canonicalSourceId}`);
+      return null;
+    }
+    
+    console.log(`[StreamManager] Creating ${sourceType} proxy for source: ${canonicalSourceId} (${redactUrlCredentials(sourceConfig.url)})`);
+    const newProxy = new ProxyClass(sourceConfig.url, {
       sourceId: sourceConfig.id,
       sourceName: sourceConfig.name,
+      rtspTransport: sourceConfig.rtspTransport,
+      fps: sourceConfig.fps,
+      overlay: sourceConfig.overlay,
+      idleFps: sourceConfig.idleFps,
+      maxViewers: sourceConfig.maxViewers,
+      //https, auth, headers and certificate pinning for http sources
+      auth: sourceConfig.auth,
+      headers: sourceConfig.headers,
+      tls: sourceConfig.tls,
+      //derived sources crop frames out of their parent's proxy
+      parent: sourceConfig.parent,
+      crop: sourceConfig.crop,
+      outputWidth: sourceConfig.outputWidth,
+      resolveParent: getProxy,
+      //relay sources pull a camera from another coop-cam instance
+      remoteSourceId: sourceConfig.remoteSourceId,
+      token: sourceConfig.token,
       disableAutoConnect: false // Enable auto-connect for persistent connections
     });
     
@@ -53,6 +94,23 @@ export const createStreamManager = ({ config }) => {
     return newProxy;
   }
 
+  //existing proxy for a source, without creating one (for periodic jobs that shouldn't open connections)
+  function getActiveProxy(sourceId) {
+    return proxies.get(sourceId) || null;
+  }
+
+  //get the composite grid for a layout ('auto' or '<cols>x<rows>'), created on first use
+  function getGridProxy(layout = 'auto') {
+    if (!gridProxies.has(layout)) {
+      console.log(`[StreamManager] Creating grid proxy for layout: ${layout}`);
+      gridProxies.set(layout, new GridProxy({
+        listAvailableSources,
+        getActiveProxy
+      }, { layout }));
+    }
+    return gridProxies.get(layout);
+  }
+
   //get default proxy instance
   function getDefaultProxy() {
     return getProxy(defaultSource.id);
@@ -60,10 +118,11 @@ export const createStreamManager = ({ config }) => {
 
   //list available sources for client-side selection
   function listAvailableSources() {
-    return streamSources.map(({ id, name, url }) => ({ 
+    return streamSources.map(({ id, name, url, type = 'mjpeg' }) => ({ 
       id, 
       name,
-      url: url.replace(/\/video$/, ''), // Remove /video path for display
+      type,
+      url: redactUrlCredentials(url).replace(/\/video$/, ''), // Remove /video path for display
       isDefault: id === defaultSource.id
     }));
   }
@@ -73,20 +132,109 @@ export const createStreamManager = ({ config }) => {
     return streamSources.find(s => s.id === sourceId) || null;
   }
 
+  //ids of the derived sources cropping from a parent source
+  function getDerivedSourceIds(parentId) {
+    return streamSources
+      .filter(s => s.type === 'derived' && s.parent === parentId)
+      .map(s => s.id);
+  }
+
+  //mark one source as the default and clear the flag on the others
+  function setDefaultSource(sourceId) {
+    streamSources.forEach(source => {
+      source.isDefault = source.id === sourceId;
+    });
+    defaultSource = streamSources.find(s => s.id === sourceId);
+    console.log(`[StreamManager] Default source is now: ${sourceId}`);
+  }
+
+  //disconnect and forget a source's proxy so the next getProxy() builds a fresh one
+  function releaseProxy(sourceId) {
+    const proxy = proxies.get(sourceId);
+    if (!proxy) return;
+    
+    proxies.delete(sourceId);
+    try {
+      proxy.disconnect?.();
+    } catch (error) {
+      console.error(`[StreamManager] Error disconnecting proxy ${sourceId}:`, error);
+    }
+  }
+
+  //add a validated source at runtime
+  function addSource(sourceConfig) {
+    if (getSourceConfig(sourceConfig.id)) {
+      throw new Error(`StreamManager: source '${sourceConfig.id}' already exists.`);
+    }
+    
+    streamSources.push({ ...sourceConfig, isDefault: false });
+    if (sourceConfig.isDefault) {
+      setDefaultSource(sourceConfig.id);
+    }
+    console.log(`[StreamManager] Added source: ${sourceConfig.id} (${redactUrlCredentials(sourceConfig.url)})`);
+    return getSourceConfig(sourceConfig.id);
+  }
+
+  //replace a source's configuration; its proxy is rebuilt on next use
+  function updateSource(sourceId, sourceConfig) {
+    const index = streamSources.findIndex(s => s.id === sourceId);
+    if (index === -1) return null;
+    
+    releaseProxy(sourceId);
+    const wasDefault = defaultSource.id === sourceId;
+    streamSources[index] = { ...sourceConfig, id: sourceId, isDefault: wasDefault };
+    if (sourceConfig.isDefault && !wasDefault) {
+      setDefaultSource(sourceId);
+    } else if (wasDefault) {
+      defaultSource = streamSources[index];
+    }
+    
+    //derived views hold the old parent proxy - point them at the rebuilt one
+    getDerivedSourceIds(sourceId).forEach(derivedId => proxies.get(derivedId)?.attachToParent());
+    console.log(`[StreamManager] Updated source: ${sourceId}`);
+    return streamSources[index];
+  }
+
+  //remove a source and disconnect its proxy; the default source cannot be removed
+  function removeSource(sourceId) {
+    const index = streamSources.findIndex(s => s.id === sourceId);
+    if (index === -1) return false;
+    if (defaultSource.id === sourceId) {
+      throw new Error('StreamManager: the default source cannot be removed.');
+    }
+    const derivedIds = getDerivedSourceIds(sourceId);
+    if (derivedIds.length > 0) {
+      throw new Error(`StreamManager: source '${sourceId}' is the parent of derived sources: ${derivedIds.join(', ')}.`);
+    }
+    
+    releaseProxy(sourceId);
+    streamSources.splice(index, 1);
+    console.log(`[StreamManager] Removed source: ${sourceId}`);
+    return true;
+  }
+
   //get health status for specific source
-  function getSourceHealth(sourceId) {
+  function getSourceHealth(sourceId, { historyLimit = 20 } = {}) {
     const proxy = proxies.get(sourceId);
     if (!proxy) {
       return { status: 'inactive', connected: false };
     }
     
     const stats = proxy.getStats();
+    const connection = proxy.getConnectionHealth?.();
+    let status = proxy.isConnected ? 'active' : 'disconnected';
+    if (!proxy.isConnected && connection?.circuitState === 'open') {
+      status = 'circuit-open';
+    }
+    
     return {
-      status: proxy.isConnected ? 'active' : 'disconnected',
+      status,
       connected: proxy.isConnected,
       clients: stats.clientCount,
       frameCount: stats.frameCount,
-      lastFrameTime: stats.lastFrameTime
+      lastFrameTime: stats.lastFrameTime,
+      connection,
+      history: connectionHistory.getHistory(sourceId, historyLimit)
     };
   }
 
@@ -122,6 +270,9 @@ export const createStreamManager = ({ config }) => {
       }
     });
     proxies.clear();
+    
+    gridProxies.forEach(gridProxy => gridProxy.disconnect());
+    gridProxies.clear();
   }
 
   //maintain persistent connections (no cleanup of inactive proxies)
@@ -141,11 +292,19 @@ export const createStreamManager = ({ config }) => {
   return {
     //core proxy management
     getProxy,
+    getActiveProxy,
     getDefaultProxy,
+    getGridProxy,
     
     //source information
     listAvailableSources,
     getSourceConfig,
+    getDerivedSourceIds,
+    
+    //runtime source management
+    addSource,
+    updateSource,
+    removeSource,
     
     //health monitoring
     getSourceHealth,
@@ -163,6 +322,10 @@ export const createStreamManager = ({ config }) => {
     
     get totalSources() {
       return streamSources.length;
+    },
+    
+    get defaultSourceId() {
+      return defaultSource.id;
     }
   };
 };
\ No newline at end of file
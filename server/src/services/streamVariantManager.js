@@ -0,0 +1,140 @@
+//stream variant manager - resized/quality-reduced copies of a proxy's frames
+//each variant is transcoded once per frame and shared by every client watching it
+
+import sharp from 'sharp';
+
+const MIN_WIDTH = 160;
+const MAX_WIDTH = 1920;
+const MIN_QUALITY = 10;
+const MAX_QUALITY = 95;
+const DEFAULT_QUALITY = 70;
+
+//?width= and ?quality= must be positive whole numbers when given - the same rule for the live,
+//websocket and grid streams and for snapshots; returns the error message or null
+export const validateVariantOptions = (width, quality) => {
+  const invalid = Object.entries({ width, quality }).find(([, value]) =>
+    value !== undefined && value !== null && !/^[1-9]\d*$/.test(value)
+  );
+  return invalid ? `${invalid[0]} must be a positive whole number` : null;
+};
+
+//normalize ?width= and ?quality= into a variant spec (null = original stream)
+export const parseVariantOptions = (width, quality) => {
+  const parsedWidth = parseInt(width, 10);
+  const parsedQuality = parseInt(quality, 10);
+  if (!parsedWidth && !parsedQuality) return null;
+
+  return {
+    //round widths to 16px so near-identical requests share one variant
+    width: parsedWidth
+      ? Math.min(Math.max(Math.round(parsedWidth / 16) * 16, MIN_WIDTH), MAX_WIDTH)
+      : null,
+    quality: parsedQuality
+      ? Math.min(Math.max(parsedQuality, MIN_QUALITY), MAX_QUALITY)
+      : DEFAULT_QUALITY
+  };
+};
+
+class StreamVariantManager {
+  constructor(onVariantFrame, options = {}) {
+    this.onVariantFrame = onVariantFrame; // (key, jpeg) => void
+    this.maxVariants = options.maxVariants || 4;
+    this.variants = new Map(); // Map<key, { width, quality, refCount, busy, lastFrame, ... }>
+  }
+
+  static getKey({ width, quality }) {
+    return `w${width || 'orig'}-q${quality}`;
+  }
+
+  //register interest in a variant, returns its key or null when the limit is reached
+  acquire(spec) {
+    const key = StreamVariantManager.getKey(spec);
+    let variant = this.variants.get(key);
+
+    if (!variant) {
+      if (this.variants.size >= this.maxVariants) {
+        return null;
+      }
+      variant = {
+        width: spec.width,
+        quality: spec.quality,
+        refCount: 0,
+        busy: false,
+        lastFrame: null,
+        framesEncoded: 0,
+        framesSkipped: 0
+      };
+      this.variants.set(key, variant);
+      console.log(`[Variants] Created variant ${key}`);
+    }
+
+    variant.refCount++;
+    return key;
+  }
+
+  //drop interest in a variant, removing it once nobody is watching
+  release(key) {
+    const variant = this.variants.get(key);
+    if (!variant) return;
+
+    variant.refCount--;
+    if (variant.refCount <= 0) {
+      this.variants.delete(key);
+      console.log(`[Variants] Removed unwatched variant ${key}`);
+    }
+  }
+
+  getLastFrame(key) {
+    return this.variants.get(key)?.lastFrame || null;
+  }
+
+  //transcode a source frame into every active variant
+  //a variant still encoding the previous frame skips this one instead of queueing
+  encode(frame) {
+    this.variants.forEach((variant, key) => {
+      if (variant.busy) {
+        variant.framesSkipped++;
+        return;
+      }
+      variant.busy = true;
+
+      const pipeline = sharp(frame);
+      if (variant.width) {
+        pipeline.resize({ width: variant.width, withoutEnlargement: true });
+      }
+
+      pipeline.jpeg({ quality: variant.quality })
+        .toBuffer()
+        .then(output => {
+          variant.framesEncoded++;
+          variant.lastFrame = output;
+          //variant may have been released while encoding
+          if (this.variants.get(key) === variant) {
+            this.onVariantFrame(key, output);
+          }
+        })
+        .catch(error => {
+          console.error(`[Variants] Failed to encode variant ${key}:`, error.message);
+        })
+        .finally(() => {
+          variant.busy = false;
+        });
+    });
+  }
+
+  getStats() {
+    const stats = {};
+    this.variants.forEach((variant, key) => {
+      stats[key] = {
+        width: variant.width,
+        quality: variant.quality,
+        clients: variant.refCount,
+        framesEncoded: variant.framesEncoded,
+        framesSkipped: variant.framesSkipped
+      };
+    });
+    return stats;
+  }
+}
+
+export default StreamVariantManager;
\ No newline at end of file
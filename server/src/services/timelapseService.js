@@ -0,0 +1,316 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import ThumbnailService from './thumbnailService.js';
+import { isDaylight } from '../utils/sunUtils.js';
+
+const DATE_DIR_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+//per-camera timelapse service
+//captures one frame per interval during daylight and compiles each finished day into an mp4
+class TimelapseService {
+  constructor(mjpegProxy, sourceId = null) {
+    this.config = config.timelapse;
+    this.mjpegProxy = mjpegProxy;
+    this.sourceId = sourceId || mjpegProxy.sourceId || 'default';
+
+    this.thumbnailService = new ThumbnailService();
+
+    this.captureInterval = null;
+    this.cleanupInterval = null;
+    this.currentDate = null;
+    this.frameIndex = 0;
+    this.compiling = new Set(); // dates currently being compiled
+
+    this.stats = {
+      framesCaptured: 0,
+      framesSkipped: 0,
+      timelapsesCreated: 0,
+      lastCaptureTime: null,
+      lastCompileTime: null
+    };
+
+    console.log(`[Timelapse] Service initialized for camera: ${this.sourceId}`);
+  }
+
+  async start() {
+    if (!this.config.enabled) {
+      console.log('[Timelapse] Timelapse is disabled');
+      return;
+    }
+
+    await fs.mkdir(this.config.outputDir, { recursive: true });
+
+    //resume today's frame numbering after a restart
+    this.currentDate = this.getLocalDate();
+    this.frameIndex = await this.countFrames(this.currentDate);
+
+    //compile days that were still pending when the server last stopped
+    this.compilePendingDays().catch(error => {
+      console.error(`[Timelapse] Failed to compile pending days for ${this.sourceId}:`, error);
+    });
+
+    this.captureInterval = setInterval(() => {
+      this.captureFrame().catch(error => {
+        console.error(`[Timelapse] Capture error for ${this.sourceId}:`, error);
+      });
+    }, this.config.intervalSeconds * 1000);
+
+    //run retention cleanup daily
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupOldTimelapses();
+    }, 24 * 60 * 60 * 1000);
+    this.cleanupOldTimelapses();
+
+    console.log(`[Timelapse] Capturing ${this.sourceId} every ${this.config.intervalSeconds}s${this.config.daylightOnly ? ' between sunrise and sunset' : ''}`);
+  }
+
+  stop() {
+    if (this.captureInterval) {
+      clearInterval(this.captureInterval);
+      this.captureInterval = null;
+    }
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    console.log(`[Timelapse] Service stopped for camera: ${this.sourceId}`);
+  }
+
+  //local calendar date (YYYY-MM-DD) in the configured timezone
+  getLocalDate(date = new Date()) {
+    //en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: this.config.timezone }).format(date);
+  }
+
+  getDateDir(date) {
+    return path.join(this.config.outputDir, date);
+  }
+
+  getFramesDir(date) {
+    return path.join(this.getDateDir(date), `frames_${this.sourceId}`);
+  }
+
+  getVideoPath(date) {
+    return path.join(this.getDateDir(date), `timelapse_${this.sourceId}_${date}.mp4`);
+  }
+
+  async countFrames(date) {
+    const framesDir = this.getFramesDir(date);
+    if (!existsSync(framesDir)) return 0;
+
+    const files = await fs.readdir(framesDir);
+    return files.filter(file => file.endsWith('.jpg')).length;
+  }
+
+  //save the proxy's latest frame if the camera is live and it's daylight
+  async captureFrame() {
+    const now = new Date();
+    const today = this.getLocalDate(now);
+
+    //day rolled over - compile yesterday and start a new sequence
+    if (today !== this.currentDate) {
+      const finishedDate = this.currentDate;
+      this.currentDate = today;
+      this.frameIndex = 0;
+      this.compileDay(finishedDate).catch(error => {
+        console.error(`[Timelapse] Failed to compile ${finishedDate} for ${this.sourceId}:`, error);
+      });
+    }
+
+    if (this.config.daylightOnly &&
+        !isDaylight(now, config.WEATHER_LATITUDE, config.WEATHER_LONGITUDE, this.config.daylightMarginMinutes)) {
+      return;
+    }
+
+    //skip stale frames so a disconnected camera doesn't fill the day with one image,
+    //and paused periods - lastFrame still follows the camera behind the slate
+    const frame = this.mjpegProxy.lastFrame;
+    const frameAge = Date.now() - this.mjpegProxy.lastFrameTime;
+    if (!frame || !this.mjpegProxy.isConnected || this.mjpegProxy.pauseState?.isPaused ||
+        frameAge > this.config.intervalSeconds * 1000) {
+      this.stats.framesSkipped++;
+      return;
+    }
+
+    const framesDir = this.getFramesDir(today);
+    await fs.mkdir(framesDir, { recursive: true });
+
+    this.frameIndex++;
+    //ffmpeg's image sequence input needs gap-free zero-padded numbering
+    const framePath = path.join(framesDir, `${String(this.frameIndex).padStart(6, '0')}.jpg`);
+    await fs.writeFile(framePath, frame);
+
+    this.stats.framesCaptured++;
+    this.stats.lastCaptureTime = now.toISOString();
+  }
+
+  //compile any earlier day that still has captured frames
+  async compilePendingDays() {
+    if (!existsSync(this.config.outputDir)) return;
+
+    const entries = await fs.readdir(this.config.outputDir, { withFileTypes: true });
+    const pendingDates = entries
+      .filter(entry => entry.isDirectory() && DATE_DIR_PATTERN.test(entry.name) && entry.name < this.currentDate)
+      .map(entry => entry.name)
+      .filter(date => existsSync(this.getFramesDir(date)));
+
+    for (const date of pendingDates) {
+      await this.compileDay(date);
+    }
+  }
+
+  //encode a day's frames into an mp4, write metadata and a thumbnail, then drop the frames
+  async compileDay(date) {
+    if (!date || this.compiling.has(date)) return null;
+
+    const framesDir = this.getFramesDir(date);
+    const frameCount = await this.countFrames(date);
+
+    if (frameCount < this.config.minFrames) {
+      console.log(`[Timelapse] Only ${frameCount} frames for ${this.sourceId} on ${date}, skipping compilation`);
+      if (existsSync(framesDir)) {
+        await fs.rm(framesDir, { recursive: true, force: true });
+      }
+      return null;
+    }
+
+    this.compiling.add(date);
+    const videoPath = this.getVideoPath(date);
+
+    //squeeze the whole day into roughly targetDurationSeconds
+    const fps = Math.min(Math.max(Math.round(frameCount / this.config.targetDurationSeconds), 10), 60);
+    console.log(`[Timelapse] Compiling ${frameCount} frames for ${this.sourceId} on ${date} at ${fps} fps`);
+
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg()
+          .input(path.join(framesDir, '%06d.jpg'))
+          .inputFPS(fps)
+          .videoCodec(config.recording.videoCodec)
+          .outputOptions([
+            `-preset ${config.recording.videoPreset}`,
+            '-crf 23',
+            '-pix_fmt yuv420p',
+            '-movflags +faststart'
+          ])
+          .on('start', (commandLine) => {
+            console.log(`[Timelapse] FFmpeg command: ${commandLine}`);
+          })
+          .on('error', reject)
+          .on('end', resolve)
+          .save(videoPath);
+      });
+
+      const durationSeconds = Math.round((frameCount / fps) * 10) / 10;
+      const metadata = {
+        sourceId: this.sourceId,
+        date,
+        frameCount,
+        fps,
+        durationSeconds,
+        intervalSeconds: this.config.intervalSeconds,
+        createdAt: new Date().toISOString()
+      };
+      await fs.writeFile(videoPath.replace('.mp4', '.json'), JSON.stringify(metadata, null, 2));
+
+      try {
+        await this.thumbnailService.generateThumbnail(videoPath, { seekTime: durationSeconds / 2 });
+      } catch (error) {
+        //thumbnail endpoint regenerates on demand
+        console.error(`[Timelapse] Thumbnail generation failed for ${videoPath}:`, error.message);
+      }
+
+      await fs.rm(framesDir, { recursive: true, force: true });
+
+      this.stats.timelapsesCreated++;
+      this.stats.lastCompileTime = metadata.createdAt;
+      console.log(`[Timelapse] Saved ${videoPath} (${durationSeconds}s)`);
+      return videoPath;
+    } finally {
+      this.compiling.delete(date);
+    }
+  }
+
+  //list compiled timelapses for this camera, newest first
+  async listTimelapses(limit = 7) {
+    if (!existsSync(this.config.outputDir)) return [];
+
+    const entries = await fs.readdir(this.config.outputDir, { withFileTypes: true });
+    const dates = entries
+      .filter(entry => entry.isDirectory() && DATE_DIR_PATTERN.test(entry.name))
+      .map(entry => entry.name)
+      .sort()
+      .reverse();
+
+    const timelapses = [];
+    for (const date of dates) {
+      if (timelapses.length >= limit) break;
+
+      const videoPath = this.getVideoPath(date);
+      if (!existsSync(videoPath)) continue;
+
+      let metadata = {};
+      try {
+        metadata = JSON.parse(await fs.readFile(videoPath.replace('.mp4', '.json'), 'utf8'));
+      } catch (error) {
+        console.warn(`[Timelapse] No metadata for ${videoPath}`);
+      }
+
+      timelapses.push({
+        filename: path.basename(videoPath),
+        sourceId: this.sourceId,
+        date,
+        thumbnailExists: await this.thumbnailService.thumbnailExists(videoPath),
+        metadata
+      });
+    }
+
+    return timelapses;
+  }
+
+  //remove timelapse days older than the retention period
+  async cleanupOldTimelapses() {
+    if (this.config.retentionDays <= 0) return;
+
+    const cutoffDate = this.getLocalDate(new Date(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000));
+
+    try {
+      const entries = await fs.readdir(this.config.outputDir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (!entry.isDirectory() || !DATE_DIR_PATTERN.test(entry.name) || entry.name >= cutoffDate) continue;
+
+        //only remove this camera's files - other cameras share the date directory
+        const dateDir = this.getDateDir(entry.name);
+        const files = await fs.readdir(dateDir);
+        const ownFiles = files.filter(name =>
+          name === `frames_${this.sourceId}` || name.startsWith(`timelapse_${this.sourceId}_`)
+        );
+        for (const file of ownFiles) {
+          await fs.rm(path.join(dateDir, file), { recursive: true, force: true });
+        }
+
+        if ((await fs.readdir(dateDir)).length === 0) {
+          await fs.rmdir(dateDir);
+        }
+        console.log(`[Timelapse] Removed ${this.sourceId} timelapse for ${entry.name}`);
+      }
+    } catch (error) {
+      console.error('[Timelapse] Cleanup error:', error);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      currentDate: this.currentDate,
+      framesToday: this.frameIndex,
+      compiling: Array.from(this.compiling)
+    };
+  }
+}
+
+export default TimelapseService;
\ No newline at end of file
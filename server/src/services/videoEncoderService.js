@@ -8,6 +8,13 @@ class VideoEncoderService {
   constructor(config) {
     this.config = config.recording;
     this.activeEncodings = new Map();
+    //encode timings for /metrics
+    this.encodeStats = {
+      completed: 0,
+      failed: 0,
+      totalSeconds: 0,
+      lastSeconds: null
+    };
   }
 
   //encode frames to video file
@@ -47,6 +54,7 @@ class VideoEncoderService {
     };
 
     const quality = qualityPresets[this.config.videoQuality] || qualityPresets.medium;
+    const encodeStartedAt = Date.now();
 
     return new Promise((resolve, reject) => {
       const command = ffmpeg()
@@ -75,6 +83,7 @@ class VideoEncoderService {
           console.error(`[VideoEncoder] Full error:`, err);
           console.error(`[VideoEncoder] Stack trace:`, err.stack);
           this.activeEncodings.delete(recordingId);
+          this.encodeStats.failed++;
           reject(err);
         })
         .on('end', () => {
@@ -82,6 +91,7 @@ class VideoEncoderService {
           console.log(`[VideoEncoder] ${recordingId} completed successfully`);
           console.log(`[VideoEncoder] Output file: ${outputPath}`);
           this.activeEncodings.delete(recordingId);
+          this.recordEncodeTime((Date.now() - encodeStartedAt) / 1000);
           resolve(outputPath);
         })
         .save(outputPath);
@@ -138,6 +148,19 @@ class VideoEncoderService {
     return false;
   }
 
+  recordEncodeTime(seconds) {
+    this.encodeStats.completed++;
+    this.encodeStats.totalSeconds += seconds;
+    this.encodeStats.lastSeconds = seconds;
+  }
+
+  getStats() {
+    return {
+      ...this.encodeStats,
+      active: this.activeEncodings.size
+    };
+  }
+
   //get active encoding count
   getActiveEncodingCount() {
     return this.activeEncodings.size;
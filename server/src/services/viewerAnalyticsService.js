@@ -0,0 +1,211 @@
+//viewer analytics service - records each viewer session (start, end, source, fps, device) and reports
+//when people actually watch: peak concurrency, watch hours and hour-of-day histograms per camera
+//finished sessions are appended to a json lines file; open sessions only live in memory until they end
+
+import fs from 'fs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const createViewerAnalyticsService = ({ config }) => {
+  if (!config) {
+    throw new Error('ViewerAnalyticsService: config dependency is required.');
+  }
+
+  const { file, retentionDays, minSessionSeconds, timezone } = config.analytics;
+  const openSessions = new Map(); // Map<`${sourceId}:${clientId}`, session>
+  let sessions = []; // finished sessions, oldest first
+  let lastCompactedAt = Date.now();
+
+  //hour of day and seconds into that hour on the configured clock
+  const clock = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+  const clockParts = (timestamp) => {
+    const parts = clock.formatToParts(new Date(timestamp));
+    const get = (type) => Number(parts.find(part => part.type === type)?.value || 0);
+    return { hour: get('hour') % 24, secondsIntoHour: get('minute') * 60 + get('second') }; // some ICU versions render midnight as 24
+  };
+
+  //rewrite the file with only the sessions inside the retention window
+  const compact = (now = Date.now()) => {
+    const cutoff = now - retentionDays * DAY_MS;
+    sessions = sessions.filter(session => session.endedAt >= cutoff);
+    lastCompactedAt = now;
+    try {
+      fs.writeFileSync(file, sessions.map(session => `${JSON.stringify(session)}\n`).join(''));
+    } catch (error) {
+      console.error('[Analytics] Error compacting viewer sessions:', error.message);
+    }
+  };
+
+  //load saved sessions; unreadable lines are skipped rather than losing the whole history
+  try {
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+      sessions = lines
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(session => session && Number.isFinite(session.startedAt) && Number.isFinite(session.endedAt));
+      compact();
+      console.log(`[Analytics] Loaded ${sessions.length} viewer sessions from ${file}`);
+    }
+  } catch (error) {
+    console.error('[Analytics] Error loading viewer sessions:', error.message);
+  }
+
+  const startSession = ({ clientId, sourceId, transport, requestedFps, isMobile, connectedAt = Date.now() }) => {
+    openSessions.set(`${sourceId}:${clientId}`, {
+      sourceId,
+      startedAt: connectedAt,
+      transport,
+      requestedFps,
+      device: isMobile ? 'mobile' : 'desktop'
+    });
+  };
+
+  //close a session and persist it; returns the saved session, or null for blips and unknown clients
+  const endSession = ({ clientId, sourceId, framesSent, disconnectedAt = Date.now() }, { sync = false } = {}) => {
+    const key = `${sourceId}:${clientId}`;
+    const open = openSessions.get(key);
+    if (!open) return null;
+    openSessions.delete(key);
+
+    const durationSeconds = (disconnectedAt - open.startedAt) / 1000;
+    if (durationSeconds < minSessionSeconds) return null;
+
+    const session = {
+      ...open,
+      endedAt: disconnectedAt,
+      durationSeconds: round(durationSeconds, 1),
+      averageFps: Number.isFinite(framesSent) ? round(framesSent / durationSeconds, 1) : null // unknown at shutdown
+    };
+    sessions.push(session);
+
+    const line = `${JSON.stringify(session)}\n`;
+    if (sync) {
+      fs.appendFileSync(file, line);
+    } else {
+      fs.appendFile(file, line, (error) => {
+        if (error) {
+          console.error('[Analytics] Error saving viewer session:', error.message);
+        }
+      });
+    }
+    if (disconnectedAt - lastCompactedAt > DAY_MS) {
+      compact(disconnectedAt);
+    }
+    return session;
+  };
+
+  //follow a proxy's viewers; a rebuilt proxy ends its sessions through removeAllClients
+  const trackProxy = (proxy) => {
+    proxy.on('viewer-connected', startSession);
+    proxy.on('viewer-disconnected', (details) => endSession(details));
+  };
+
+  //most viewers watching at once, counting a session that ends as gone before one that starts
+  const peakConcurrency = (list) => {
+    const changes = list.flatMap(session => [[session.startedAt, 1], [session.endedAt, -1]])
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let viewers = 0;
+    let peak = { viewers: 0, at: null };
+    changes.forEach(([time, change]) => {
+      viewers += change;
+      if (viewers > peak.viewers) {
+        peak = { viewers, at: new Date(time).toISOString() };
+      }
+    });
+    return peak;
+  };
+
+  //watch time split over the local hours it covers, sessions counted in the hour they started
+  const hourlyHistogram = (list) => {
+    const histogram = Array.from({ length: 24 }, (_, hour) => ({ hour, watchHours: 0, sessions: 0 }));
+    list.forEach(session => {
+      histogram[clockParts(session.startedAt).hour].sessions++;
+      let cursor = session.startedAt;
+      while (cursor < session.endedAt) {
+        const { hour, secondsIntoHour } = clockParts(cursor);
+        const hourEnd = Math.min(session.endedAt, cursor - (cursor % 1000) + (3600 - secondsIntoHour) * 1000);
+        histogram[hour].watchHours += (hourEnd - cursor) / HOUR_MS;
+        cursor = hourEnd;
+      }
+    });
+    return histogram.map(bucket => ({ ...bucket, watchHours: round(bucket.watchHours, 3) }));
+  };
+
+  const summarize = (list) => {
+    const watchSeconds = list.reduce((sum, session) => sum + (session.endedAt - session.startedAt) / 1000, 0);
+    return {
+      sessions: list.length,
+      totalWatchHours: round(watchSeconds / 3600),
+      averageSessionMinutes: list.length > 0 ? round(watchSeconds / list.length / 60, 1) : 0,
+      devices: {
+        mobile: list.filter(session => session.device === 'mobile').length,
+        desktop: list.filter(session => session.device === 'desktop').length
+      },
+      peakConcurrency: peakConcurrency(list),
+      hourly: hourlyHistogram(list)
+    };
+  };
+
+  //analytics over the last `days`, optionally for one camera; sessions still open count up to now
+  const getViewerAnalytics = ({ days = 7, sourceId = null, now = Date.now() } = {}) => {
+    const since = now - days * DAY_MS;
+    const ongoing = Array.from(openSessions.values()).map(session => ({ ...session, endedAt: now }));
+    //sessions that began before the window only count from its start
+    const inWindow = [...sessions, ...ongoing]
+      .filter(session => session.endedAt > since && session.startedAt <= now)
+      .filter(session => !sourceId || session.sourceId === sourceId)
+      .map(session => ({ ...session, startedAt: Math.max(session.startedAt, since) }));
+
+    const cameras = {};
+    inWindow.forEach(session => {
+      (cameras[session.sourceId] = cameras[session.sourceId] || []).push(session);
+    });
+
+    return {
+      since: new Date(since).toISOString(),
+      until: new Date(now).toISOString(),
+      timezone,
+      currentViewers: sourceId
+        ? ongoing.filter(session => session.sourceId === sourceId).length
+        : ongoing.length,
+      overall: summarize(inWindow),
+      cameras: Object.fromEntries(Object.entries(cameras).map(([id, list]) => [id, summarize(list)]))
+    };
+  };
+
+  //save sessions that are still open so a restart doesn't lose them
+  const shutdown = () => {
+    const now = Date.now();
+    Array.from(openSessions.entries()).forEach(([key, session]) => {
+      const clientId = key.slice(session.sourceId.length + 1);
+      try {
+        endSession({ clientId, sourceId: session.sourceId, disconnectedAt: now }, { sync: true });
+      } catch (error) {
+        console.error('[Analytics] Error saving viewer session on shutdown:', error.message);
+      }
+    });
+  };
+
+  return {
+    trackProxy,
+    startSession,
+    endSession,
+    getViewerAnalytics,
+    shutdown
+  };
+};
\ No newline at end of file
@@ -0,0 +1,144 @@
+//waiting room - the line of viewers for a source that has reached its viewer cap
+//stream waiters (held multipart/websocket responses) and ticket holders (json pollers) share one
+//line and are admitted in arrival order; an admitted ticket reserves a slot until it opens the stream
+
+import crypto from 'crypto';
+
+class WaitingRoom {
+  constructor(options = {}) {
+    this.maxViewers = options.maxViewers || 0; // 0 = unlimited
+    this.ticketTtlMs = options.ticketTtlMs || 30000; // tickets must poll (or use their reservation) this often
+    this.maxQueue = options.maxQueue || 200;
+    this.queue = []; // oldest first: { id, kind: 'stream'|'ticket', enqueuedAt, lastSeenAt, ...waiter }
+    this.reservations = new Map(); // Map<ticket, expiresAt>
+    this.stats = {
+      queued: 0,
+      admitted: 0,
+      rejected: 0,
+      expired: 0
+    };
+  }
+
+  get enabled() {
+    return this.maxViewers > 0;
+  }
+
+  isFull(viewerCount) {
+    return this.enabled && viewerCount + this.reservations.size >= this.maxViewers;
+  }
+
+  //newcomers wait behind anyone already in line, even if a slot has just opened
+  mustWait(viewerCount) {
+    return this.enabled && (this.queue.length > 0 || this.isFull(viewerCount));
+  }
+
+  //use an admitted ticket's reserved slot; false for unknown, queued or expired tickets
+  claimReservation(ticket) {
+    if (!ticket || !this.reservations.has(ticket)) return false;
+    this.reservations.delete(ticket);
+    return true;
+  }
+
+  position(id) {
+    return this.queue.findIndex(entry => entry.id === id) + 1;
+  }
+
+  //json poll: { admitted, ticket, position } - a first poll over the cap takes a ticket
+  //a full line answers { admitted: false, full: true }
+  checkTicket(ticket, viewerCount, now = Date.now()) {
+    if (ticket && this.reservations.has(ticket)) {
+      return { admitted: true, ticket, position: 0 };
+    }
+    const entry = ticket ? this.queue.find(waiting => waiting.id === ticket && waiting.kind === 'ticket') : null;
+    if (entry) {
+      entry.lastSeenAt = now;
+      return { admitted: false, ticket, position: this.position(ticket) };
+    }
+    if (!this.mustWait(viewerCount)) {
+      return { admitted: true, ticket: null, position: 0 };
+    }
+
+    const newTicket = crypto.randomBytes(12).toString('hex');
+    if (!this.enqueue({ id: newTicket, kind: 'ticket' }, now)) {
+      return { admitted: false, full: true };
+    }
+    return { admitted: false, ticket: newTicket, position: this.position(newTicket) };
+  }
+
+  //hold a stream response in line; a queued ticket hands its place to the stream
+  //returns the position, or 0 when the line is full
+  addWaiter(waiter, { ticket = null } = {}, now = Date.now()) {
+    const index = ticket ? this.queue.findIndex(entry => entry.id === ticket && entry.kind === 'ticket') : -1;
+    if (index !== -1) {
+      this.queue[index] = { ...waiter, kind: 'stream', enqueuedAt: this.queue[index].enqueuedAt, lastSeenAt: now };
+      return index + 1;
+    }
+    return this.enqueue({ ...waiter, kind: 'stream' }, now) ? this.position(waiter.id) : 0;
+  }
+
+  enqueue(entry, now) {
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      return false;
+    }
+    this.queue.push({ ...entry, enqueuedAt: now, lastSeenAt: now });
+    this.stats.queued++;
+    return true;
+  }
+
+  removeWaiter(id) {
+    const index = this.queue.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+    return this.queue.splice(index, 1)[0];
+  }
+
+  //drop ticket holders that stopped polling and reservations that were never used
+  expire(now = Date.now()) {
+    const before = this.queue.length + this.reservations.size;
+    this.queue = this.queue.filter(entry => entry.kind !== 'ticket' || now - entry.lastSeenAt < this.ticketTtlMs);
+    this.reservations.forEach((expiresAt, ticket) => {
+      if (expiresAt <= now) {
+        this.reservations.delete(ticket);
+      }
+    });
+    const expired = before - this.queue.length - this.reservations.size;
+    this.stats.expired += expired;
+    return expired;
+  }
+
+  //take people off the front of the line while there is room; returns the stream waiters to
+  //connect - tickets get a reserved slot instead
+  admitNext(viewerCount, now = Date.now()) {
+    const streams = [];
+    while (this.queue.length > 0 && !this.isFull(viewerCount + streams.length)) {
+      const entry = this.queue.shift();
+      this.stats.admitted++;
+      if (entry.kind === 'ticket') {
+        this.reservations.set(entry.id, now + this.ticketTtlMs);
+      } else {
+        streams.push(entry);
+      }
+    }
+    return streams;
+  }
+
+  //stream waiters, e.g. to send them stills or end them with the source
+  getStreamWaiters() {
+    return this.queue.filter(entry => entry.kind === 'stream');
+  }
+
+  get isIdle() {
+    return this.queue.length === 0 && this.reservations.size === 0;
+  }
+
+  getStats() {
+    return {
+      maxViewers: this.maxViewers || null,
+      waiting: this.queue.length,
+      reserved: this.reservations.size,
+      ...this.stats
+    };
+  }
+}
+
+export default WaitingRoom;
\ No newline at end of file
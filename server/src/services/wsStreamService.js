@@ -0,0 +1,229 @@
+//websocket stream service - delivers JPEG frames as binary messages on /api/ws/stream/:sourceId
+//viewers can change fps, pause/resume and measure latency over the same socket
+
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { parseVariantOptions, validateVariantOptions } from './streamVariantManager.js';
+import { isAdminRequest } from '../middleware/adminAuth.js';
+import { isMobileDevice } from '../middleware/mobileDetection.js';
+
+const WS_STREAM_PATH = /^\/api\/ws\/stream\/([\w-]+)\/?$/;
+const MAX_CLIENT_FPS = 30;
+
+//adapts a websocket to the write()/'drain'/'close' contract MjpegProxy clients use,
+//so backpressure goes through the same isPaused/drain logic as multipart viewers
+class SocketFrameWriter extends EventEmitter {
+  constructor(socket, maxBufferedBytes) {
+    super();
+    this.socket = socket;
+    this.maxBufferedBytes = maxBufferedBytes;
+    this.needDrain = false;
+
+    socket.on('close', () => this.emit('close'));
+  }
+
+  get writableEnded() {
+    return this.socket.readyState !== this.socket.OPEN;
+  }
+
+  //send one frame, returns false once the socket buffer is over the limit
+  write(frame) {
+    this.socket.send(frame, { binary: true }, () => {
+      //send callback fires once the data is flushed to the tcp socket
+      if (this.needDrain && this.socket.bufferedAmount < this.maxBufferedBytes) {
+        this.needDrain = false;
+        this.emit('drain');
+      }
+    });
+
+    if (this.socket.bufferedAmount >= this.maxBufferedBytes) {
+      this.needDrain = true;
+      return false;
+    }
+    return true;
+  }
+
+  //called when the proxy drops its clients (source lost or removed) so viewers can reconnect
+  end() {
+    if (this.socket.readyState === this.socket.OPEN) {
+      this.socket.close(1011, 'Source disconnected');
+    }
+  }
+}
+
+//clamp requested fps to a sane range (null = unlimited)
+const parseFps = (value) => {
+  const fps = parseInt(value, 10);
+  if (!fps || fps < 1) return null;
+  return Math.min(fps, MAX_CLIENT_FPS);
+};
+
+export const createWsStreamService = ({ streamManager, authService = null, config }) => {
+  if (!streamManager) {
+    throw new Error('WsStreamService: streamManager dependency is required.');
+  }
+  if (!config || !config.websocket) {
+    throw new Error('WsStreamService: config.websocket is required.');
+  }
+
+  const wsConfig = config.websocket;
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4096 }); // control messages are tiny
+  let heartbeatInterval = null;
+
+  //send a json control message (text frame) if the socket is still open
+  const sendControl = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  //handle a control message from the viewer
+  const handleControlMessage = (socket, proxy, clientId, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return sendControl(socket, { type: 'error', message: 'Control messages must be JSON' });
+    }
+
+    switch (message.type) {
+      case 'fps': {
+        const fps = parseFps(message.fps);
+        proxy.setClientFps(clientId, fps);
+        sendControl(socket, { type: 'fps', fps });
+        break;
+      }
+      case 'pause':
+        proxy.setClientSuspended(clientId, true);
+        sendControl(socket, { type: 'paused' });
+        break;
+      case 'resume':
+        proxy.setClientSuspended(clientId, false);
+        sendControl(socket, { type: 'resumed' });
+        break;
+      case 'ping':
+        //echo the client timestamp so it can compute round-trip latency
+        sendControl(socket, { type: 'pong', timestamp: message.timestamp, serverTime: Date.now() });
+        break;
+      default:
+        sendControl(socket, { type: 'error', message: `Unknown control message type '${message.type}'` });
+    }
+  };
+
+  //register an upgraded socket as a proxy client, or hold it in the waiting room when the source
+  //is at its viewer cap - it gets { type: 'queued', position } and stills until { type: 'admitted' }
+  const handleConnection = (socket, proxy, { fps = null, variant = null, exempt = false, isMobile = false } = {}) => {
+    const clientId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}-ws`;
+    const writer = new SocketFrameWriter(socket, wsConfig.maxBufferedBytes);
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) return; // viewers only send json control messages
+      handleControlMessage(socket, proxy, clientId, data);
+    });
+    socket.on('error', (error) => {
+      console.error(`[WebSocket] Socket error for client ${clientId}:`, error.message);
+    });
+
+    sendControl(socket, {
+      type: 'hello',
+      clientId,
+      sourceId: proxy.sourceId,
+      fps,
+      paused: proxy.getPauseStatus().isPaused
+    });
+
+    if (proxy.mustQueue({ exempt })) {
+      const position = proxy.queueViewer(clientId, writer, {
+        fps,
+        variant,
+        transport: 'ws',
+        isMobile,
+        onAdmit: () => sendControl(socket, { type: 'admitted' })
+      });
+      if (position) {
+        sendControl(socket, { type: 'queued', position });
+      } else {
+        socket.close(1013, 'Too many viewers, try again later');
+      }
+      return;
+    }
+
+    proxy.addSocketClient(clientId, writer, fps, variant, { isMobile });
+  };
+
+  //http upgrade handler - only claims requests for the stream path
+  const handleUpgrade = (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(WS_STREAM_PATH);
+    if (!match) return false;
+
+    const proxy = streamManager.getProxy(match[1]);
+    if (!wsConfig.enabled || !proxy) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return true;
+    }
+
+    const width = url.searchParams.get('width');
+    const quality = url.searchParams.get('quality');
+    if (validateVariantOptions(width, quality)) {
+      socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return true;
+    }
+
+    const fps = parseFps(url.searchParams.get('fps'));
+    const variant = parseVariantOptions(width, quality);
+    socket.setNoDelay?.(true); // low-latency delivery like the multipart stream
+    //non-browser clients can skip the viewer cap with the admin bearer token
+    const exempt = authService ? isAdminRequest(req, { authService, config }) : false;
+    //upgrades skip the express middleware, so detect mobile viewers here
+    const isMobile = isMobileDevice(req.headers['user-agent']);
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleConnection(ws, proxy, { fps, variant, exempt, isMobile });
+    });
+    return true;
+  };
+
+  //attach to the http server and start the dead-connection heartbeat
+  //upgrades for other paths are left to any other 'upgrade' listener on the server
+  const attach = (server) => {
+    server.on('upgrade', handleUpgrade);
+
+    heartbeatInterval = setInterval(() => {
+      wss.clients.forEach((socket) => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, wsConfig.heartbeatSeconds * 1000);
+    heartbeatInterval.unref?.();
+
+    console.log('[WebSocket] Binary frame endpoint available at /api/ws/stream/:sourceId');
+  };
+
+  //close all sockets
+  const shutdown = () => {
+    if (heartbeatInterval) {
+      clearInterval(heartbeatInterval);
+      heartbeatInterval = null;
+    }
+    wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+    wss.close();
+  };
+
+  return {
+    attach,
+    handleUpgrade,
+    getClientCount: () => wss.clients.size,
+    shutdown
+  };
+};
\ No newline at end of file
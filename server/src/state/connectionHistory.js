@@ -0,0 +1,137 @@
+//connection history service - persisted per-source log of connect/disconnect/busy events
+//lets /api/droidcam-status show when and why a camera flaps, across restarts
+import fs from 'fs';
+import { config } from '../config.js';
+
+const SAVE_DEBOUNCE_MS = 2000;
+
+class ConnectionHistoryService {
+  constructor() {
+    this.events = new Map(); // sourceId -> events, oldest first
+    this.loaded = false;
+    this.saveTimeout = null;
+  }
+
+  //history is only persisted outside of tests
+  get persistEnabled() {
+    return process.env.NODE_ENV !== 'test';
+  }
+
+  //load persisted history on first use
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!this.persistEnabled) return;
+
+    try {
+      if (fs.existsSync(config.reconnect.historyFile)) {
+        const data = JSON.parse(fs.readFileSync(config.reconnect.historyFile, 'utf8'));
+        Object.entries(data).forEach(([sourceId, events]) => {
+          if (Array.isArray(events)) {
+            this.events.set(sourceId, events.slice(-config.reconnect.historyMaxEvents));
+          }
+        });
+      }
+    } catch (error) {
+      console.error('[Connection History] Error loading history:', error.message);
+    }
+  }
+
+  //record an event for a source (connected, disconnected, busy, html-response, http-error, timeout, error, circuit-*)
+  record(sourceId, type, details = {}) {
+    this.ensureLoaded();
+
+    const event = {
+      type,
+      timestamp: Date.now(),
+      ...details
+    };
+
+    if (!this.events.has(sourceId)) {
+      this.events.set(sourceId, []);
+    }
+    const sourceEvents = this.events.get(sourceId);
+    sourceEvents.push(event);
+    if (sourceEvents.length > config.reconnect.historyMaxEvents) {
+      sourceEvents.splice(0, sourceEvents.length - config.reconnect.historyMaxEvents);
+    }
+
+    this.scheduleSave();
+    return event;
+  }
+
+  //get recent events for a source (newest first)
+  getHistory(sourceId, limit = 50) {
+    this.ensureLoaded();
+    const sourceEvents = this.events.get(sourceId) || [];
+    if (limit <= 0) return [];
+    return sourceEvents.slice(-limit).reverse();
+  }
+
+  //count events by type within a time window
+  getSummary(sourceId, windowMs = 24 * 60 * 60 * 1000) {
+    this.ensureLoaded();
+    const since = Date.now() - windowMs;
+    const counts = {};
+    let lastConnectedAt = null;
+    let lastDisconnectedAt = null;
+
+    (this.events.get(sourceId) || []).forEach(event => {
+      if (event.type === 'connected') lastConnectedAt = event.timestamp;
+      if (event.type === 'disconnected') lastDisconnectedAt = event.timestamp;
+      if (event.timestamp >= since) {
+        counts[event.type] = (counts[event.type] || 0) + 1;
+      }
+    });
+
+    return {
+      windowHours: windowMs / (60 * 60 * 1000),
+      counts,
+      lastConnectedAt,
+      lastDisconnectedAt
+    };
+  }
+
+  //batch writes so a flapping camera doesn't hit the disk on every event
+  scheduleSave() {
+    if (!this.persistEnabled || this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+    this.saveTimeout.unref?.();
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(config.reconnect.historyFile, JSON.stringify(Object.fromEntries(this.events), null, 2));
+    } catch (error) {
+      console.error('[Connection History] Error saving history:', error.message);
+    }
+  }
+
+  //flush pending writes on shutdown
+  cleanup() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+      this.save();
+    }
+    console.log('[Connection History] Service cleanup completed');
+  }
+
+  //test isolation method
+  _resetForTests() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    this.events.clear();
+    this.loaded = false;
+  }
+}
+
+//create and export singleton instance
+const connectionHistory = new ConnectionHistoryService();
+export default connectionHistory;
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { config } from '../config.js';
+import { resolveSourceAccess, fetchSource } from '../utils/sourceHttp.js';
 
 //flashlight state management service
 class FlashlightState {
@@ -55,6 +56,15 @@ class FlashlightState {
     return `${url.protocol}//${url.host}`;
   }
 
+  //camera API request with the source's auth, headers and tls settings
+  //credentials in the stream url are kept, unlike _getCameraUrl which is for display
+  _fetchCamera(sourceId, path, options) {
+    const source = config.streamSources.find(s => s.id === sourceId);
+    const access = resolveSourceAccess(source.url, source);
+    access.url = new URL(path, access.url);
+    return fetchSource(access, options);
+  }
+
   //get current flashlight status with remaining time calculation
   getStatus(sourceId = null) {
     if (sourceId) {
@@ -154,7 +164,7 @@ class FlashlightState {
         const flashlightUrl = `${baseUrl}/v1/camera/torch_toggle`;
         console.log(`[Flashlight] Toggling flashlight ON for camera ${sourceId} at:`, flashlightUrl);
         
-        const response = await fetch(flashlightUrl, { 
+        const response = await this._fetchCamera(sourceId, '/v1/camera/torch_toggle', { 
           method: 'PUT',
           headers: {
             'Content-Type': 'text/plain'
@@ -289,7 +299,7 @@ class FlashlightState {
         const flashlightUrl = `${baseUrl}/v1/camera/torch_toggle`;
         console.log(`[Flashlight] Toggling flashlight OFF for camera ${sourceId} at:`, flashlightUrl);
         
-        const response = await fetch(flashlightUrl, { 
+        const response = await this._fetchCamera(sourceId, '/v1/camera/torch_toggle', { 
           method: 'PUT',
           headers: {
             'Content-Type': 'text/plain'
@@ -373,9 +383,7 @@ class FlashlightState {
       try {
         //turn off via camera API
         console.log(`[Flashlight] Auto-off: Toggling flashlight OFF for camera ${sourceId}`);
-        const baseUrl = this._getCameraUrl(sourceId);
-        const flashlightUrl = `${baseUrl}/v1/camera/torch_toggle`;
-        const response = await fetch(flashlightUrl, { 
+        const response = await this._fetchCamera(sourceId, '/v1/camera/torch_toggle', { 
           method: 'PUT',
           headers: {
             'Content-Type': 'text/plain'
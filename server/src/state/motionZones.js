@@ -0,0 +1,87 @@
+//motion zone state - per-source include/exclude polygons for motion detection, persisted so edits survive a restart
+//motion detection reads zones on every sampled frame, so changes apply without restarting the camera's services
+import fs from 'fs';
+import { config } from '../config.js';
+
+class MotionZoneState {
+  constructor() {
+    this.zones = new Map(); // sourceId -> zones
+    this.version = 0; // bumped on every change so zone maps know to rasterize again
+    this.loaded = false;
+  }
+
+  //zones are only persisted outside of tests
+  get persistEnabled() {
+    return process.env.NODE_ENV !== 'test';
+  }
+
+  //load persisted zones on first use
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!this.persistEnabled) return;
+
+    try {
+      if (fs.existsSync(config.motionZones.file)) {
+        const data = JSON.parse(fs.readFileSync(config.motionZones.file, 'utf8'));
+        Object.entries(data).forEach(([sourceId, zones]) => {
+          if (Array.isArray(zones) && zones.length > 0) {
+            this.zones.set(sourceId, zones);
+          }
+        });
+        console.log(`[Motion Zones] Loaded zones for ${this.zones.size} sources`);
+      }
+    } catch (error) {
+      console.error('[Motion Zones] Error loading zones:', error.message);
+    }
+  }
+
+  getZones(sourceId) {
+    this.ensureLoaded();
+    return this.zones.get(sourceId) || [];
+  }
+
+  //replace all zones for a source; an empty list goes back to the global ignored Y ranges
+  setZones(sourceId, zones) {
+    this.ensureLoaded();
+    if (zones.length > 0) {
+      this.zones.set(sourceId, zones);
+    } else {
+      this.zones.delete(sourceId);
+    }
+    this.version++;
+    this.save();
+    return this.getZones(sourceId);
+  }
+
+  removeSource(sourceId) {
+    this.ensureLoaded();
+    if (this.zones.delete(sourceId)) {
+      this.version++;
+      this.save();
+    }
+  }
+
+  //edits are rare, so write straight away rather than batching
+  save() {
+    if (!this.persistEnabled) return;
+
+    try {
+      fs.writeFileSync(config.motionZones.file, JSON.stringify(Object.fromEntries(this.zones), null, 2));
+    } catch (error) {
+      console.error('[Motion Zones] Error saving zones:', error.message);
+      throw error;
+    }
+  }
+
+  //test isolation method
+  _resetForTests() {
+    this.zones.clear();
+    this.version = 0;
+    this.loaded = false;
+  }
+}
+
+//create and export singleton instance
+const motionZones = new MotionZoneState();
+export default motionZones;
\ No newline at end of file
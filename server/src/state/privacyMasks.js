@@ -0,0 +1,87 @@
+//privacy mask state - per-source mask polygons, persisted so edits survive a restart
+//proxies read masks on every frame, so changes apply without reconnecting the camera
+import fs from 'fs';
+import { config } from '../config.js';
+
+class PrivacyMaskState {
+  constructor() {
+    this.masks = new Map(); // sourceId -> masks
+    this.version = 0; // bumped on every change so renderers know to rebuild cached mask images
+    this.loaded = false;
+  }
+
+  //masks are only persisted outside of tests
+  get persistEnabled() {
+    return process.env.NODE_ENV !== 'test';
+  }
+
+  //load persisted masks on first use
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!this.persistEnabled) return;
+
+    try {
+      if (fs.existsSync(config.privacyMasks.file)) {
+        const data = JSON.parse(fs.readFileSync(config.privacyMasks.file, 'utf8'));
+        Object.entries(data).forEach(([sourceId, masks]) => {
+          if (Array.isArray(masks) && masks.length > 0) {
+            this.masks.set(sourceId, masks);
+          }
+        });
+        console.log(`[Privacy Masks] Loaded masks for ${this.masks.size} sources`);
+      }
+    } catch (error) {
+      console.error('[Privacy Masks] Error loading masks:', error.message);
+    }
+  }
+
+  getMasks(sourceId) {
+    this.ensureLoaded();
+    return this.masks.get(sourceId) || [];
+  }
+
+  //replace all masks for a source; an empty list removes them
+  setMasks(sourceId, masks) {
+    this.ensureLoaded();
+    if (masks.length > 0) {
+      this.masks.set(sourceId, masks);
+    } else {
+      this.masks.delete(sourceId);
+    }
+    this.version++;
+    this.save();
+    return this.getMasks(sourceId);
+  }
+
+  removeSource(sourceId) {
+    this.ensureLoaded();
+    if (this.masks.delete(sourceId)) {
+      this.version++;
+      this.save();
+    }
+  }
+
+  //edits are rare, so write straight away rather than batching
+  save() {
+    if (!this.persistEnabled) return;
+
+    try {
+      fs.writeFileSync(config.privacyMasks.file, JSON.stringify(Object.fromEntries(this.masks), null, 2));
+    } catch (error) {
+      console.error('[Privacy Masks] Error saving masks:', error.message);
+      throw error;
+    }
+  }
+
+  //test isolation method
+  _resetForTests() {
+    this.masks.clear();
+    this.version = 0;
+    this.loaded = false;
+  }
+}
+
+//create and export singleton instance
+const privacyMasks = new PrivacyMaskState();
+export default privacyMasks;
\ No newline at end of file
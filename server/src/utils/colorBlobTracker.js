@@ -11,6 +11,7 @@ export class ColorBlobTracker {
     this.minBlobMovement = options.minBlobMovement || 5; //min pixels moved to count as motion
     this.minBlobLifetime = options.minBlobLifetime || 2; //min frames blob must exist
     this.maxBlobAge = options.maxBlobAge || 10; //frames before removing stale blobs
+    this.zoneMap = options.zoneMap || null; //camera motion zones (MotionZoneMap), optional
     
     //state
     this.blobDetector = new ColorBlobDetector(width, height);
@@ -44,6 +45,13 @@ export class ColorBlobTracker {
     };
   }
   
+  //include zones a blob is in, or null when the motion zones keep it out of motion detection
+  getBlobZones(centroid) {
+    if (!this.zoneMap?.enabled) return [];
+    if (!this.zoneMap.isActive(this.zoneMap.indexAt(centroid.x, centroid.y))) return null;
+    return this.zoneMap.zonesAt(centroid.x, centroid.y);
+  }
+  
   //match current frame blobs with tracked blobs
   matchBlobs(currentBlobs) {
     const matches = [];
@@ -118,8 +126,10 @@ export class ColorBlobTracker {
         tracked.history.shift();
       }
       
-      //check if this blob is moving significantly
-      if (movement >= this.minBlobMovement && tracked.lifetime >= this.minBlobLifetime) {
+      //check if this blob is moving significantly - a more sensitive zone needs less movement
+      const zones = this.getBlobZones(tracked.lastCentroid);
+      const sensitivity = zones?.length > 0 ? Math.max(...zones.map(zone => zone.sensitivity)) : 1;
+      if (zones && movement >= this.minBlobMovement / sensitivity && tracked.lifetime >= this.minBlobLifetime) {
         movingBlobs.push({
           id: tracked.id,
           movement,
@@ -127,7 +137,8 @@ export class ColorBlobTracker {
           lifetime: tracked.lifetime,
           color: tracked.lastColor,
           centroid: tracked.lastCentroid,
-          area: tracked.lastArea
+          area: tracked.lastArea,
+          zones: zones.map(zone => zone.name)
         });
       }
     }
@@ -2,12 +2,16 @@ import { EventEmitter } from 'events';
 
 //performance monitoring for motion detection and stream processing
 class PerformanceMonitor extends EventEmitter {
-  constructor() {
+  //logSummary: false keeps sampling without the 30 second console summary (e.g. just for /metrics)
+  constructor({ logSummary = true } = {}) {
     super();
+    this.logSummary = logSummary;
     
     //event loop monitoring
     this.eventLoopLag = 0;
     this.eventLoopInterval = null;
+    this.memoryInterval = null;
+    this.metricsInterval = null;
     
     //frame processing metrics
     this.frameMetrics = {
@@ -52,10 +56,16 @@ class PerformanceMonitor extends EventEmitter {
     this.monitorEventLoop();
     
     //update memory metrics every 10 seconds
-    setInterval(() => this.updateMemoryMetrics(), 10000);
+    this.memoryInterval = setInterval(() => this.updateMemoryMetrics(), 10000);
     
     //emit metrics every 30 seconds
-    setInterval(() => this.emitMetrics(), 30000);
+    if (this.logSummary) {
+      this.metricsInterval = setInterval(() => this.emitMetrics(), 30000);
+    }
+    
+    //monitoring alone should never keep the process alive
+    this.memoryInterval.unref?.();
+    this.metricsInterval?.unref?.();
   }
   
   monitorEventLoop() {
@@ -76,6 +86,7 @@ class PerformanceMonitor extends EventEmitter {
       
       lastCheck = now;
     }, 100);
+    this.eventLoopInterval.unref?.();
   }
   
   //record frame processing time
@@ -283,19 +294,22 @@ class PerformanceMonitor extends EventEmitter {
   
   //cleanup
   stop() {
-    if (this.eventLoopInterval) {
-      clearInterval(this.eventLoopInterval);
-      this.eventLoopInterval = null;
-    }
+    [this.eventLoopInterval, this.memoryInterval, this.metricsInterval].forEach(interval => {
+      if (interval) clearInterval(interval);
+    });
+    this.eventLoopInterval = null;
+    this.memoryInterval = null;
+    this.metricsInterval = null;
   }
 }
 
 //singleton instance
 let performanceMonitor = null;
 
-export function getPerformanceMonitor() {
+//options only apply to the call that creates the instance
+export function getPerformanceMonitor(options) {
   if (!performanceMonitor) {
-    performanceMonitor = new PerformanceMonitor();
+    performanceMonitor = new PerformanceMonitor(options);
   }
   return performanceMonitor;
 }
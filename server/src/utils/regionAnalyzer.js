@@ -91,6 +91,7 @@ export class RegionAnalyzer {
     this.motionThreshold = options.motionThreshold || 0.05;
     this.minActiveRegions = options.minActiveRegions || 2;
     this.shadowRegionThreshold = options.shadowRegionThreshold || 0.6;
+    this.zoneMap = options.zoneMap || null; //camera motion zones (MotionZoneMap), optional
   }
 
   /**
@@ -191,7 +192,9 @@ export class RegionAnalyzer {
   analyzeRegion(region, currentFrame, previousFrame, shadowData) {
     let changedPixels = 0;
     let totalPixels = 0;
-    const ignoredRanges = config.motionDetection.ignoredYRanges;
+    //cameras with motion zones skip pixels outside them instead of the global Y ranges
+    const zoneMap = this.zoneMap?.enabled ? this.zoneMap : null;
+    const ignoredRanges = zoneMap ? [] : config.motionDetection.ignoredYRanges;
     
     //analyze pixels within the region
     for (let y = region.y; y < region.y + region.height; y++) {
@@ -203,6 +206,9 @@ export class RegionAnalyzer {
       for (let x = region.x; x < region.x + region.width; x++) {
         if (x < this.frameWidth && y < this.frameHeight) {
           const idx = y * this.frameWidth + x;
+          if (zoneMap && !zoneMap.isActive(idx)) {
+            continue;
+          }
           const diff = Math.abs(currentFrame[idx] - previousFrame[idx]);
           
           if (diff > 25) { //use base threshold
@@ -229,6 +235,7 @@ export class RegionAnalyzer {
       isShadow,
       changeRatio,
       changedPixels,
+      totalPixels,
       weight: region.getWeight()
     };
   }
@@ -273,6 +280,10 @@ export class RegionAnalyzer {
     let motionWeight = 0;
     
     for (const result of regionResults) {
+      //regions entirely outside the motion zones don't get a vote
+      if (result.totalPixels === 0) {
+        continue;
+      }
       const weight = this.regions[result.regionIndex].getWeight();
       totalWeight += weight;
       
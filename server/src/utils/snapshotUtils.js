@@ -0,0 +1,88 @@
+/**
+ * Snapshot rendering helpers for the still-image endpoint
+ */
+
+import sharp from 'sharp';
+
+/**
+ * Escape text for use inside an SVG overlay
+ * @param {string} text - Raw text
+ * @returns {string} XML-safe text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a frame time for burning into a snapshot
+ * @param {Date} date - Frame capture time
+ * @param {string} timeZone - IANA time zone (e.g. America/Los_Angeles)
+ * @returns {string} Formatted timestamp such as "2024-06-01 07:15:32 PDT"
+ */
+export function formatSnapshotTimestamp(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false,
+    timeZoneName: 'short'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type)?.value || '';
+  const hour = get('hour') === '24' ? '00' : get('hour'); // some ICU versions render midnight as 24
+  return `${get('year')}-${get('month')}-${get('day')} ${hour}:${get('minute')}:${get('second')} ${get('timeZoneName')}`;
+}
+
+/**
+ * Render a snapshot from a raw JPEG frame
+ * Returns the original bytes when no processing is requested
+ * @param {Buffer} frame - Source JPEG frame
+ * @param {Object} options - Rendering options
+ * @param {number|null} options.width - Target width (never enlarges)
+ * @param {number|null} options.quality - JPEG quality 1-100
+ * @param {string|null} options.timestamp - Text to burn into the bottom-left corner
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+export async function renderSnapshot(frame, { width = null, quality = null, timestamp = null } = {}) {
+  if (!width && !quality && !timestamp) {
+    return frame;
+  }
+
+  const metadata = await sharp(frame).metadata();
+  const outputWidth = width ? Math.min(width, metadata.width) : metadata.width;
+  const outputHeight = Math.round(metadata.height * (outputWidth / metadata.width));
+
+  const pipeline = sharp(frame);
+  if (outputWidth !== metadata.width) {
+    pipeline.resize({ width: outputWidth });
+  }
+
+  if (timestamp) {
+    //scale the label with the output so it stays legible on small snapshots
+    const fontSize = Math.max(12, Math.round(outputWidth / 45));
+    const padding = Math.round(fontSize / 2);
+    const barHeight = fontSize + padding * 2;
+
+    pipeline.composite([{
+      input: Buffer.from(`
+        <svg width="${outputWidth}" height="${outputHeight}" xmlns="http://www.w3.org/2000/svg">
+          <rect x="0" y="${outputHeight - barHeight}" width="${outputWidth}" height="${barHeight}" fill="black" fill-opacity="0.5"/>
+          <text x="${padding}" y="${outputHeight - padding - Math.round(fontSize * 0.15)}"
+                font-family="Arial, sans-serif" font-size="${fontSize}" fill="white">${escapeXml(timestamp)}</text>
+        </svg>
+      `),
+      top: 0,
+      left: 0
+    }]);
+  }
+
+  return pipeline.jpeg({ quality: quality || 85 }).toBuffer();
+}
\ No newline at end of file
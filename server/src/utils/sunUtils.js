@@ -0,0 +1,81 @@
+/**
+ * Sunrise/sunset calculation for daylight-only capture
+ * Based on the NOAA-derived formulas used by the SunCalc library (accurate to ~1 minute)
+ */
+
+const rad = Math.PI / 180;
+const dayMs = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const obliquity = rad * 23.4397; // obliquity of the earth's axis
+const sunAltitude = rad * -0.833; // sun's upper limb touching the horizon, corrected for refraction
+
+const toDays = (date) => date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+const fromJulian = (j) => new Date((j + 0.5 - J1970) * dayMs);
+
+const solarMeanAnomaly = (d) => rad * (357.5291 + 0.98560028 * d);
+
+const eclipticLongitude = (M) => {
+  const center = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = rad * 102.9372;
+  return M + center + perihelion + Math.PI;
+};
+
+const declination = (l) => Math.asin(Math.sin(obliquity) * Math.sin(l));
+const julianCycle = (d, lw) => Math.round(d - J0 - lw / (2 * Math.PI));
+const approxTransit = (Ht, lw, n) => J0 + (Ht + lw) / (2 * Math.PI) + n;
+const solarTransitJ = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+const hourAngle = (h, phi, dec) => Math.acos((Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec)));
+
+/**
+ * Calculate sunrise and sunset around a given date
+ * @param {Date} date - Any time on the day of interest
+ * @param {number} latitude - Latitude in degrees (north positive)
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {{sunrise: Date, sunset: Date}|null} Sun times, or null during polar day/night
+ */
+export function getSunTimes(date, latitude, longitude) {
+  const lw = rad * -longitude;
+  const phi = rad * latitude;
+
+  const n = julianCycle(toDays(date), lw);
+  const ds = approxTransit(0, lw, n);
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const dec = declination(L);
+  const noon = solarTransitJ(ds, M, L);
+
+  const w = hourAngle(sunAltitude, phi, dec);
+  if (Number.isNaN(w)) {
+    return null;
+  }
+
+  const set = solarTransitJ(approxTransit(w, lw, n), M, L);
+  const rise = noon - (set - noon);
+
+  return {
+    sunrise: fromJulian(rise),
+    sunset: fromJulian(set)
+  };
+}
+
+/**
+ * Check whether a time falls between sunrise and sunset (with optional margin)
+ * Polar day/night cannot be resolved and is treated as daylight so capture keeps running
+ * @param {Date} date - Time to check
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} marginMinutes - Extra minutes before sunrise and after sunset
+ * @returns {boolean} True during daylight
+ */
+export function isDaylight(date, latitude, longitude, marginMinutes = 0) {
+  const times = getSunTimes(date, latitude, longitude);
+  if (!times) {
+    return true;
+  }
+
+  const margin = marginMinutes * 60 * 1000;
+  const time = date.getTime();
+  return time >= times.sunrise.getTime() - margin && time <= times.sunset.getTime() + margin;
+}
\ No newline at end of file
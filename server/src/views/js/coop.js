@@ -316,11 +316,8 @@
       currentCamera = cameraId;
       
       //update stream source
-      const streamImg = document.getElementById('stream');
-      if (streamImg) {
-        const streamUrl = `/api/stream/${cameraId}`;
-        streamImg.src = `${streamUrl}?t=${Date.now()}`;
-      }
+      StreamTransport.load(cameraId);
+      DvrScrubber.reset();
       
       //update button active states
       updateActiveButton(cameraId);
@@ -367,23 +364,29 @@
       }
     }
     
-    function saveSnapshot() {
+    async function saveSnapshot() {
       hideContextMenu();
-      const stream = document.getElementById('stream');
-      const canvas = document.createElement('canvas');
-      canvas.width = stream.naturalWidth || stream.width;
-      canvas.height = stream.naturalHeight || stream.height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(stream, 0, 0);
-      
-      canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
+      try {
+        //server renders the latest full-resolution frame with a burned-in timestamp
+        const response = await fetch(`/api/stream/${currentCamera}/snapshot.jpg?timestamp=true&t=${Date.now()}`);
+        
+        //errors (no frame yet, stream paused) come back as json - never save those as a .jpg
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          showToast(`Unable to save snapshot: ${data.message || response.statusText}`, 'error');
+          return;
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
         const a = document.createElement('a');
         a.href = url;
-        a.download = `coop-snapshot-${Date.now()}.jpg`;
+        a.download = `coop-snapshot-${currentCamera}-${Date.now()}.jpg`;
         a.click();
-        URL.revokeObjectURL(url);
-      }, 'image/jpeg', 0.9);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      } catch (error) {
+        console.error('Failed to save snapshot:', error);
+        showToast('Unable to save snapshot', 'error');
+      }
     }
     
     function reportIssue() {
@@ -770,8 +773,197 @@
       return (hasRecentFrames || hadSomeFrames) && reasonableRetries && notMaxedOut;
     }
 
+    //stream transport selection - HLS (H.264 segments) on mobile browsers that play it natively,
+    //multipart MJPEG everywhere else. ?transport=hls or ?transport=mjpeg overrides the choice
+    const StreamTransport = {
+      mode: 'mjpeg',
+      
+      //pick the transport for this client
+      detect() {
+        const requested = new URLSearchParams(window.location.search).get('transport');
+        const canPlayHls = document.createElement('video').canPlayType('application/vnd.apple.mpegurl') !== '';
+        const isMobileClient = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+        
+        if (requested === 'mjpeg') return 'mjpeg';
+        if (requested === 'hls') return canPlayHls ? 'hls' : 'mjpeg';
+        return isMobileClient && canPlayHls ? 'hls' : 'mjpeg';
+      },
+      
+      isHls() {
+        return this.mode === 'hls';
+      },
+      
+      //swap the MJPEG <img> for a <video> element when HLS is selected
+      init() {
+        this.mode = this.detect();
+        console.log(`[StreamTransport] Using ${this.mode.toUpperCase()} transport`);
+        if (!this.isHls()) return;
+        
+        const streamImg = document.getElementById('stream');
+        if (!streamImg) return;
+        
+        const video = document.createElement('video');
+        video.id = 'stream';
+        video.className = streamImg.className;
+        video.style.display = 'none';
+        video.muted = true;
+        video.autoplay = true;
+        video.playsInline = true;
+        video.setAttribute('playsinline', ''); //older iOS Safari only honors the attribute
+        
+        video.addEventListener('playing', () => {
+          streamRetryCount = 0;
+          handleStreamLoad();
+        });
+        video.addEventListener('waiting', () => {
+          showUnifiedLoader('Buffering stream...', true, true);
+        });
+        video.addEventListener('error', () => this.handleError());
+        
+        //replacing the img also aborts its in-flight MJPEG request
+        streamImg.replaceWith(video);
+        this.load(currentCamera);
+      },
+      
+      //point the active element at a camera
+      load(cameraId) {
+        const stream = document.getElementById('stream');
+        if (!stream) return;
+        
+        if (this.isHls()) {
+          stream.src = `/api/stream/${cameraId}/hls/index.m3u8`;
+          stream.play().catch(err => console.log('[StreamTransport] Autoplay blocked:', err.message));
+        } else {
+          stream.src = `/api/stream/${cameraId}?t=${Date.now()}`;
+        }
+      },
+      
+      //retry the playlist - the server answers 503 while the encoder starts up
+      handleError() {
+        if (streamReconnectTimeout) {
+          TimerManager.clearTimeout(streamReconnectTimeout);
+        }
+        
+        if (streamRetryCount >= MAX_RETRY_COUNT) {
+          console.error('[StreamTransport] Max HLS reconnection attempts reached');
+          showReconnectButton();
+          return;
+        }
+        
+        streamRetryCount++;
+        showUnifiedLoader(`Reconnecting... (${streamRetryCount}/${MAX_RETRY_COUNT})`);
+        streamReconnectTimeout = TimerManager.setTimeout(() => {
+          this.load(currentCamera);
+        }, RETRY_DELAY * Math.min(streamRetryCount, 5), 'streamReconnect');
+      }
+    };
+
+    //rewind scrubber - MJPEG viewers can replay the last few minutes from the server's rewind buffer
+    //the server plays the buffer a little faster than realtime and switches the same request back to live
+    const DvrScrubber = {
+      range: null,   //from /api/stream/:camera/dvr, null when rewind is unavailable
+      offset: 0,     //seconds behind live requested for the current stream
+      startedAt: 0,  //when that stream was requested
+      
+      init() {
+        this.refresh();
+        TimerManager.setInterval(() => this.render(), 1000, 'dvrScrubberRender');
+        TimerManager.setInterval(() => this.refresh(), 60000, 'dvrScrubberRefresh');
+      },
+      
+      async refresh() {
+        //HLS viewers have their own player buffer
+        if (StreamTransport.isHls()) return;
+        
+        try {
+          const response = await fetch(`/api/stream/${currentCamera}/dvr`);
+          const data = await response.json();
+          this.range = data.enabled && data.oldestAt ? data : null;
+        } catch (error) {
+          console.log('[DVR] Rewind range unavailable:', error.message);
+          this.range = null;
+        }
+        this.render();
+      },
+      
+      //seconds that can be rewound right now
+      available() {
+        if (!this.range) return 0;
+        const buffered = Math.floor((Date.now() - new Date(this.range.oldestAt).getTime()) / 1000);
+        return Math.max(0, Math.min(this.range.windowSeconds, buffered));
+      },
+      
+      //how far behind live the picture is - shrinks while playback catches up
+      currentLag() {
+        if (!this.offset || !this.range) return 0;
+        const elapsed = (Date.now() - this.startedAt) / 1000;
+        return Math.max(0, -this.offset - elapsed * (this.range.catchUpSpeed - 1));
+      },
+      
+      format(seconds) {
+        const total = Math.round(Math.abs(seconds));
+        return `-${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+      },
+      
+      //label follows the thumb while dragging
+      preview(value) {
+        const label = document.getElementById('dvrLabel');
+        if (label) {
+          label.textContent = Number(value) < 0 ? this.format(value) : 'LIVE';
+        }
+      },
+      
+      seek(value) {
+        const offset = Math.round(Number(value));
+        this.offset = offset < 0 ? offset : 0;
+        this.startedAt = Date.now();
+        
+        const stream = document.getElementById('stream');
+        if (stream) {
+          showUnifiedLoader(this.offset ? 'Rewinding...' : 'Back to live...', true, true);
+          stream.src = this.offset
+            ? `/api/stream/${currentCamera}?offset=${this.offset}&t=${Date.now()}`
+            : `/api/stream/${currentCamera}?t=${Date.now()}`;
+        }
+        this.render();
+      },
+      
+      goLive() {
+        this.seek(0);
+      },
+      
+      //camera switches and reconnects always load the live stream
+      reset() {
+        this.offset = 0;
+        this.refresh();
+      },
+      
+      render() {
+        const scrubber = document.getElementById('dvrScrubber');
+        const input = document.getElementById('dvrRange');
+        if (!scrubber || !input) return;
+        
+        scrubber.classList.toggle('hidden', !this.range);
+        if (!this.range) return;
+        
+        const lag = this.currentLag();
+        if (!lag) this.offset = 0;
+        input.min = -this.available();
+        //leave the thumb alone while the viewer is dragging it
+        if (document.activeElement !== input) {
+          input.value = -Math.round(lag);
+          this.preview(-lag);
+        }
+        document.getElementById('dvrLiveBtn').disabled = !lag;
+      }
+    };
+    window.DvrScrubber = DvrScrubber;
+
     //auto-reconnect stream on error
     function setupStreamReconnection() {
+      //HLS playback handles its own buffering and retries
+      if (StreamTransport.isHls()) return;
+      
       const streamImg = document.getElementById('stream');
       
       streamImg.onerror = function() {
@@ -807,6 +999,7 @@
           streamReconnectTimeout = TimerManager.setTimeout(() => {
             console.log(`Reconnecting stream (attempt ${streamRetryCount}/${MAX_RETRY_COUNT})...`);
             // Force reload by adding timestamp
+            DvrScrubber.reset();
             streamImg.src = `/api/stream/${currentCamera}?t=${Date.now()}`;
           }, delay, 'streamReconnect');
         } else {
@@ -901,8 +1094,7 @@
         TimerManager.clearTimeout(streamSustainedSuccessTimeout);
         streamSustainedSuccessTimeout = null;
       }
-      const streamImg = document.getElementById('stream');
-      streamImg.src = `/api/stream/${currentCamera}?t=${Date.now()}`;
+      StreamTransport.load(currentCamera);
     }
 
     //check flashlight status from server
@@ -2732,7 +2924,9 @@
     updateStats();
     updateWeather();
     checkFlashlightStatus();
+    StreamTransport.init();
     setupStreamReconnection();
+    DvrScrubber.init();
     updateActiveButton(currentCamera); //set initial camera button state
     updateAllRecordings();
     updateFullscreenButton();